@@ -0,0 +1,84 @@
+// RIKA 2.0 - Address guard: keeps model-chosen URLs away from private networks
+//
+// Ranges are checked with net.BlockList on the parsed address rather than on its text, so
+// every spelling of an address is caught: the URL parser already folds decimal and hex
+// IPv4 hosts into dotted form, and IPv6 addresses that embed an IPv4 one (mapped,
+// compatible, NAT64) are checked again on the IPv4 they carry.
+const dns = require('dns').promises;
+const net = require('net');
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6'));
+
+// /96 prefixes whose last 32 bits are an IPv4 address: IPv4-compatible, IPv4-mapped, NAT64
+const EMBEDDED_IPV4_PREFIXES = [[0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0xffff], [0x64, 0xff9b, 0, 0, 0, 0]];
+
+// '::ffff:7f00:1' -> [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]
+function expandIPv6(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted[2].split('.').map(Number);
+        text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = text.includes('::')
+        ? [...left, ...Array(8 - left.length - right.length).fill('0'), ...right]
+        : left;
+    return groups.map(group => parseInt(group, 16));
+}
+
+function embeddedIPv4(address) {
+    const groups = expandIPv6(address);
+    const prefix = groups.slice(0, 6);
+    if (!EMBEDDED_IPV4_PREFIXES.some(candidate => candidate.every((group, i) => group === prefix[i]))) {
+        return null;
+    }
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+// Anything that is not a valid public IP literal counts as private
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) {
+        return PRIVATE_RANGES.check(address, 'ipv4');
+    }
+    if (family !== 6) {
+        return true;
+    }
+
+    const embedded = embeddedIPv4(address);
+    if (embedded) {
+        return PRIVATE_RANGES.check(embedded, 'ipv4');
+    }
+    return PRIVATE_RANGES.check(address.split('%')[0], 'ipv6');
+}
+
+// Returns the checked address the request must connect to, or null when private
+// addresses are allowed and any resolution will do
+async function assertPublicUrl(url, options = {}) {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`Only http(s) pages can be fetched (got ${url.protocol})`);
+    }
+    if (options.allowPrivate) {
+        return null;
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw new Error(`Refusing to fetch private address ${url.hostname}`);
+    }
+    return addresses[0];
+}
+
+module.exports = { isPrivateAddress, assertPublicUrl };
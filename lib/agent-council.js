@@ -0,0 +1,206 @@
+// RIKA 2.0 - Agent Council: independent reviews by Echo, Scout and Kibo, weighted vote
+//
+// Each member reviews a routed request from its own angle (Echo for risk, Scout for
+// sources, Kibo for clarity) in parallel. Reviews that miss the deadline are cancelled
+// and left out; the rest are combined by weight, and the verdict only counts with a
+// quorum of members.
+
+const VERDICTS = { proceed: 0, caution: 1, block: 2 };
+const CAUTION_AT = 0.5; // weighted mean severity at which the council advises caution
+const BLOCK_AT = 1.5;
+
+const MEMBERS = {
+    echo: {
+        focus: 'risk',
+        weight: 0.5,
+        flags: ['risky_action', 'data_exposure', 'irreversible_action', 'cost_spike'],
+        persona: 'You are Echo, the security specialist on RIKA\'s council. Judge only risk: could acting on this request cause harm, expose personal or credential data, spend money or take an action that cannot be undone?'
+    },
+    scout: {
+        focus: 'sources',
+        weight: 0.3,
+        flags: ['missing_source', 'unverifiable_claim', 'stale_information'],
+        persona: 'You are Scout, the research agent on RIKA\'s council. Judge only sourcing: does a good answer depend on facts that must be current, cited or verified, and is the assigned agent able to source them?'
+    },
+    kibo: {
+        focus: 'clarity',
+        weight: 0.2,
+        flags: ['ambiguous_request', 'missing_detail', 'too_broad'],
+        persona: 'You are Kibo, the learning assistant on RIKA\'s council. Judge only clarity: is the request specific enough to answer well, or would the answer rest on guesses about what the user meant?'
+    }
+};
+
+// "echo=0.5,scout=0.3,kibo=0.2"; members left out keep their default weight
+function parseWeights(value) {
+    const weights = {};
+    for (const pair of String(value || '').split(',')) {
+        const [member, weight] = pair.split('=').map(part => part && part.trim());
+        if (MEMBERS[member] && !Number.isNaN(parseFloat(weight))) {
+            weights[member] = parseFloat(weight);
+        }
+    }
+    return weights;
+}
+
+class AgentCouncil {
+    constructor(toolBroker, options = {}) {
+        this.toolBroker = toolBroker;
+        this.deadlineMs = options.deadlineMs || parseInt(process.env.COUNCIL_DEADLINE_MS, 10) || 3000;
+        this.model = options.model || process.env.COUNCIL_MODEL || 'gpt-3.5-turbo';
+
+        const weights = { ...parseWeights(process.env.COUNCIL_WEIGHTS), ...options.weights };
+        this.members = Object.entries(MEMBERS)
+            .map(([id, member]) => ({ id, ...member, weight: weights[id] ?? member.weight }))
+            .filter(member => member.weight > 0);
+
+        // Minimum number of reviews that must arrive in time for the vote to count
+        this.quorum = Math.min(options.quorum || parseInt(process.env.COUNCIL_QUORUM, 10) || 2, this.members.length);
+        this.stats = { reviews: 0, noQuorum: 0, late: 0, failed: 0, verdicts: { proceed: 0, caution: 0, block: 0 } };
+    }
+
+    get memberIds() {
+        return this.members.map(member => member.id);
+    }
+
+    // request: { message, intent, targetAgent, routingId, priority, tier }
+    async review(request) {
+        const startTime = Date.now();
+        const votes = new Map();
+        const failures = new Map();
+        const controllers = new Map(this.members.map(member => [member.id, new AbortController()]));
+
+        const reviews = this.members.map(member => this.reviewAs(member, request, controllers.get(member.id).signal)
+            .then(vote => votes.set(member.id, { ...vote, latencyMs: Date.now() - startTime }))
+            .catch(error => failures.set(member.id, error.message)));
+
+        let timer;
+        await Promise.race([
+            Promise.all(reviews),
+            new Promise(resolve => { timer = setTimeout(resolve, this.deadlineMs); })
+        ]);
+        clearTimeout(timer);
+
+        // Reviews still in flight would no longer count; cancel them rather than pay for them
+        for (const member of this.members) {
+            if (!votes.has(member.id) && !failures.has(member.id)) {
+                controllers.get(member.id).abort();
+            }
+        }
+
+        const counted = this.members.filter(member => votes.has(member.id))
+            .map(member => ({ member: member.id, focus: member.focus, weight: member.weight, ...votes.get(member.id) }));
+        const missing = this.members.filter(member => !votes.has(member.id))
+            .map(member => failures.has(member.id)
+                ? { member: member.id, status: 'failed', error: failures.get(member.id) }
+                : { member: member.id, status: 'late' });
+
+        const councilTime = Date.now() - startTime;
+        this.stats.reviews++;
+        this.stats.late += missing.filter(entry => entry.status === 'late').length;
+        this.stats.failed += missing.filter(entry => entry.status === 'failed').length;
+
+        return {
+            ...this.aggregate(counted),
+            votes: counted,
+            missing,
+            quorum: { required: this.quorum, reported: counted.length, met: counted.length >= this.quorum },
+            councilTime,
+            deadlineMs: this.deadlineMs,
+            // The deadline timer itself lands a few ms late; what matters is whether anyone missed it
+            withinBudget: !missing.some(entry => entry.status === 'late')
+        };
+    }
+
+    async reviewAs(member, request, signal) {
+        const { message, intent = {}, targetAgent } = request;
+
+        const response = await this.toolBroker.callProvider('openai', 'chat', {
+            model: this.model,
+            messages: [
+                { role: 'system', content: member.persona },
+                {
+                    role: 'user',
+                    content: `Review before ${targetAgent} answers (reason max 15 words):
+Message: "${message}"
+Intent: ${intent.category} (${intent.confidence} confidence)
+
+Flags you may raise: ${member.flags.join(', ')}
+
+Respond with JSON: {"recommendation": "proceed|caution|block", "flags": [], "reason": "brief reason", "confidence": 0.0-1.0}`
+                }
+            ],
+            maxTokens: 80,
+            temperature: 0.1
+        }, {
+            maxRetries: 1,
+            priority: request.priority,
+            queueTimeoutMs: this.deadlineMs,
+            signal,
+            context: { routingId: request.routingId, agent: member.id, tier: request.tier, purpose: 'council' }
+        });
+
+        const content = response.choices[0].message.content;
+        const match = (content || '').match(/\{[\s\S]*\}/);
+        const vote = JSON.parse(match ? match[0] : content);
+
+        if (!Object.prototype.hasOwnProperty.call(VERDICTS, vote.recommendation)) {
+            throw new Error(`Invalid council vote: ${vote.recommendation}`);
+        }
+
+        return {
+            recommendation: vote.recommendation,
+            flags: (vote.flags || []).filter(flag => member.flags.includes(flag)),
+            reason: vote.reason || null,
+            confidence: typeof vote.confidence === 'number' ? Math.max(0, Math.min(1, vote.confidence)) : 1
+        };
+    }
+
+    // Weighted mean severity of the counted votes; each vote weighs its member's weight times its confidence
+    aggregate(votes) {
+        if (votes.length < this.quorum) {
+            this.stats.noQuorum++;
+            // Not enough of the council spoke in time; the request is allowed as before the council existed
+            return {
+                recommendation: 'proceed',
+                flags: [],
+                reason: votes.length === 0 ? 'council_unavailable' : 'no_quorum',
+                score: null
+            };
+        }
+
+        let total = 0;
+        let weighted = 0;
+        for (const vote of votes) {
+            const weight = vote.weight * vote.confidence;
+            total += weight;
+            weighted += weight * VERDICTS[vote.recommendation];
+        }
+
+        const score = total > 0 ? weighted / total : 0;
+        const recommendation = score >= BLOCK_AT ? 'block' : score >= CAUTION_AT ? 'caution' : 'proceed';
+        this.stats.verdicts[recommendation]++;
+
+        // The reason comes from the heaviest vote that agrees with the verdict
+        const spokesperson = votes
+            .filter(vote => vote.recommendation === recommendation)
+            .sort((a, b) => b.weight * b.confidence - a.weight * a.confidence)[0];
+
+        return {
+            recommendation,
+            flags: [...new Set(votes.flatMap(vote => vote.flags))],
+            reason: spokesperson?.reason || votes.find(vote => vote.recommendation !== 'proceed')?.reason || null,
+            score: Math.round(score * 100) / 100
+        };
+    }
+
+    getStatus() {
+        return {
+            members: this.members.map(({ id, focus, weight }) => ({ id, focus, weight })),
+            quorum: this.quorum,
+            deadlineMs: this.deadlineMs,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = AgentCouncil;
@@ -0,0 +1,370 @@
+// RIKA 2.0 - Agent Tools: broker operations exposed to agents through LLM function calling
+//
+// Each tool maps onto one Tool Broker operation, either a whole service chain
+// (callWithFallback) or a single provider (callProvider). Agents list the tools
+// they may use; anything else the model asks for is refused and reported back to it.
+// Adapters can add their own tools (declarative HTTP tools do), granted per agent.
+const MAX_TOOL_RESULT_CHARS = 6000;
+
+// Messaging tools may reach the requesting user's own chat or number, or one the operator
+// whitelisted. Search results and fetched pages share the model's context, so a recipient
+// the model came up with on its own is refused rather than trusted.
+function checkRecipient(recipient, own, whitelistVar, label, normalize = value => value) {
+    const whitelist = (process.env[whitelistVar] || '').split(',').map(entry => normalize(entry.trim())).filter(Boolean);
+    if ((own && recipient === own) || whitelist.includes(recipient)) {
+        return recipient;
+    }
+    throw new Error(whitelist.length
+        ? `${label} ${recipient} is not whitelisted`
+        : `${label} ${recipient} is not the requesting user's; list it in ${whitelistVar} to allow it`);
+}
+
+function normalizePhone(number) {
+    return String(number || '').replace(/[\s().-]/g, '');
+}
+
+const TOOL_DEFINITIONS = {
+    web_search: {
+        description: 'Search the web. Results are numbered; cite them as [n] in the answer.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Search query' },
+                count: { type: 'integer', minimum: 1, maximum: 10, description: 'Number of results (default 5)' }
+            },
+            required: ['query']
+        },
+        service: 'search',
+        operation: 'search',
+        toParams: args => ({ query: args.query, count: args.count || 5 }),
+        summarize: (result, run) => ({
+            results: result.results.map(item => ({
+                ref: run.cite(item),
+                title: item.title,
+                url: item.url,
+                snippet: item.snippet
+            }))
+        })
+    },
+
+    fetch_page: {
+        description: 'Open a web page and read its main text. Long pages come in chunks; ask for the next chunk if needed. Cite it as [n].',
+        parameters: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', description: 'Page URL (http or https)' },
+                chunk: { type: 'integer', minimum: 0, description: 'Chunk index to read (default 0)' }
+            },
+            required: ['url']
+        },
+        provider: 'web',
+        operation: 'fetchPage',
+        toParams: args => ({ url: args.url }),
+        summarize: (result, run, args) => {
+            const index = Math.min(args.chunk || 0, result.chunks.length - 1);
+            return {
+                ref: run.cite({ title: result.title, url: result.finalUrl, snapshot: result.snapshotUrl, contentHash: result.contentHash }),
+                title: result.title,
+                author: result.author,
+                publishedAt: result.publishedAt,
+                chunk: index,
+                totalChunks: result.chunks.length,
+                text: result.chunks[index],
+                links: result.links.filter(link => link.external).slice(0, 10)
+            };
+        }
+    },
+
+    send_telegram_message: {
+        description: 'Send a Telegram message, e.g. a summary the user asked to receive on Telegram.',
+        parameters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Message text' },
+                chatId: { type: 'string', description: 'Target chat; leave out to message the user\'s own chat' }
+            },
+            required: ['text']
+        },
+        provider: 'telegram',
+        operation: 'sendMessage',
+        toParams: (args, toolContext) => {
+            // Requests from outside Telegram (web, voice) count the operator's default chat as their own
+            const own = String(toolContext.telegramChatId || process.env.TELEGRAM_DEFAULT_CHAT_ID || '');
+            const chatId = String(args.chatId || own);
+
+            if (!chatId) {
+                throw new Error('No Telegram chat to send to');
+            }
+
+            return { chatId: checkRecipient(chatId, own, 'TELEGRAM_CHAT_WHITELIST', 'Telegram chat'), text: args.text };
+        },
+        summarize: result => ({ sent: true, messageId: result.message_id })
+    },
+
+    send_sms: {
+        description: 'Send an SMS text message.',
+        parameters: {
+            type: 'object',
+            properties: {
+                to: { type: 'string', description: 'Recipient phone number in E.164 format; leave out to text the user\'s own number' },
+                body: { type: 'string', description: 'Message text' }
+            },
+            required: ['body']
+        },
+        provider: 'twilio',
+        operation: 'message',
+        toParams: (args, toolContext) => {
+            if (!process.env.TWILIO_PHONE_NUMBER) {
+                throw new Error('TWILIO_PHONE_NUMBER is not configured');
+            }
+
+            const own = normalizePhone(toolContext.phoneNumber);
+            const to = normalizePhone(args.to) || own;
+            if (!to) {
+                throw new Error('No phone number to text');
+            }
+
+            return { to: checkRecipient(to, own, 'SMS_RECIPIENT_WHITELIST', 'Phone number', normalizePhone), body: args.body, from: process.env.TWILIO_PHONE_NUMBER };
+        },
+        summarize: result => ({ sent: true, sid: result.sid, status: result.status })
+    },
+
+    query_records: {
+        description: 'Read rows from a database table, optionally filtered, ordered and paged.',
+        parameters: {
+            type: 'object',
+            properties: {
+                table: { type: 'string', description: 'Table name' },
+                columns: { type: 'string', description: 'Comma-separated columns (default all)' },
+                filters: {
+                    type: 'object',
+                    description: 'Column conditions, e.g. {"status": "open", "amount": {"gte": 100}}; operators: eq, neq, gt, gte, lt, lte, like, ilike, in, is'
+                },
+                orderBy: { type: 'string', description: 'Column to sort by' },
+                descending: { type: 'boolean', description: 'Sort newest/largest first' },
+                limit: { type: 'integer', description: 'Maximum rows (default 20)' },
+                offset: { type: 'integer', description: 'Rows to skip, for paging' }
+            },
+            required: ['table']
+        },
+        provider: 'supabase',
+        operation: 'select',
+        toParams: args => ({
+            table: args.table,
+            columns: args.columns,
+            filters: args.filters,
+            order: args.orderBy ? { column: args.orderBy, ascending: !args.descending } : undefined,
+            limit: Math.min(args.limit || 20, 100),
+            offset: args.offset,
+            count: 'exact'
+        }),
+        summarize: result => ({ rows: result.data || [], total: result.count ?? (result.data || []).length })
+    }
+};
+
+class AgentToolRunner {
+    constructor(toolBroker, options = {}) {
+        this.toolBroker = toolBroker;
+        this.definitions = { ...TOOL_DEFINITIONS, ...options.definitions };
+        this.maxSteps = options.maxSteps || parseInt(process.env.AGENT_TOOL_MAX_STEPS, 10) || 4;
+    }
+
+    // Tools declared by provider adapters, named <provider>_<operation>
+    adapterTools() {
+        const tools = {};
+        const registry = this.toolBroker.registry;
+
+        for (const providerName of registry.list()) {
+            for (const [operation, tool] of Object.entries(registry.get(providerName).tools || {})) {
+                tools[`${providerName}_${operation}`] = {
+                    ...tool,
+                    provider: providerName,
+                    operation,
+                    toParams: args => args,
+                    summarize: result => ({ result })
+                };
+            }
+        }
+        return tools;
+    }
+
+    getDefinition(name) {
+        return this.definitions[name] || this.adapterTools()[name];
+    }
+
+    // The agent's own tool list plus adapter tools granted to it (or to '*')
+    toolsFor(agent) {
+        const granted = Object.entries(this.adapterTools())
+            .filter(([name, tool]) => tool.agents?.includes(agent.id) || tool.agents?.includes('*'))
+            .map(([name]) => name);
+
+        return [...new Set([...(agent.tools || []), ...granted])];
+    }
+
+    // Tools the agent is allowed to use and whose provider/service is up
+    availableTools(allowedTools = []) {
+        return allowedTools.filter(name => {
+            const definition = this.getDefinition(name);
+            if (!definition) {
+                return false;
+            }
+            return definition.service
+                ? this.toolBroker.hasService(definition.service)
+                : this.toolBroker.providers.has(definition.provider);
+        });
+    }
+
+    getToolSchemas(toolNames) {
+        return toolNames.map(name => {
+            const definition = this.getDefinition(name);
+            return {
+                type: 'function',
+                function: {
+                    name,
+                    description: definition.description,
+                    parameters: definition.parameters
+                }
+            };
+        });
+    }
+
+    // Chat until the model stops calling tools; results go back as `tool` messages.
+    // With onChunk every round is streamed, so the answer reaches the caller as it is written.
+    async run(allowedTools, messages, callParams = {}, callOptions = {}, toolContext = {}, onChunk = null) {
+        const toolNames = this.availableTools(allowedTools);
+        const tools = this.getToolSchemas(toolNames);
+        const conversation = [...messages];
+        const toolCalls = [];
+        const citations = [];
+
+        const run = {
+            // Fetched pages add a snapshot link, also onto a search result already cited
+            cite: item => {
+                const snapshot = item.snapshot ? { snapshot: item.snapshot, contentHash: item.contentHash } : {};
+                const existing = citations.find(citation => citation.url === item.url);
+                if (existing) {
+                    Object.assign(existing, snapshot);
+                    return existing.ref;
+                }
+                citations.push({ ref: citations.length + 1, title: item.title || item.url, url: item.url, ...snapshot });
+                return citations.length;
+            }
+        };
+
+        let streamed = '';
+        const emit = onChunk && (delta => {
+            streamed += delta;
+            onChunk(delta);
+        });
+
+        for (let step = 0; step <= this.maxSteps; step++) {
+            // Last round forbids tools so the model has to answer with what it has
+            const toolChoice = step === this.maxSteps ? 'none' : 'auto';
+            const reply = await this.chatRound({
+                ...callParams,
+                messages: conversation,
+                options: tools.length ? { tools, tool_choice: toolChoice } : undefined
+            }, callOptions, emit);
+
+            if (!reply.tool_calls?.length) {
+                // A preamble streamed before a tool round is part of what the user saw
+                const text = emit ? streamed : reply.content || '';
+                return { text, toolCalls, citations: this.citedSources(text, citations) };
+            }
+
+            conversation.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.tool_calls });
+
+            for (const call of reply.tool_calls) {
+                const outcome = await this.execute(toolNames, call, callOptions, toolContext, run);
+                toolCalls.push({
+                    name: call.function.name,
+                    arguments: outcome.args,
+                    ok: !outcome.error,
+                    error: outcome.error
+                });
+                conversation.push({
+                    role: 'tool',
+                    tool_call_id: call.id,
+                    content: JSON.stringify(outcome.error ? { error: outcome.error } : outcome.output)
+                        .substring(0, MAX_TOOL_RESULT_CHARS)
+                });
+            }
+        }
+
+        throw new Error(`Agent tool loop exceeded ${this.maxSteps} steps`);
+    }
+
+    // One model turn as an assistant message. Streamed turns pass text on as it arrives,
+    // unless the turn opened with a tool call, and put tool calls back together from deltas.
+    async chatRound(params, callOptions, emit) {
+        if (!emit) {
+            const response = await this.toolBroker.callWithFallback('llm', 'chat', params, callOptions);
+            return response.choices[0].message;
+        }
+
+        let content = '';
+        const calls = [];
+        for await (const chunk of this.toolBroker.streamWithFallback('llm', 'chat', params, callOptions)) {
+            for (const delta of chunk.toolCalls || []) {
+                const index = delta.index ?? calls.length;
+                calls[index] = calls[index] || { id: null, type: 'function', function: { name: '', arguments: '' } };
+                const call = calls[index];
+                call.id = delta.id || call.id;
+                call.function.name += delta.function?.name || '';
+                call.function.arguments += delta.function?.arguments || '';
+            }
+            if (chunk.delta) {
+                content += chunk.delta;
+                if (!calls.length) {
+                    emit(chunk.delta);
+                }
+            }
+        }
+
+        const toolCalls = calls.filter(Boolean);
+        return { role: 'assistant', content: content || null, ...(toolCalls.length && { tool_calls: toolCalls }) };
+    }
+
+    // Keep the sources the answer actually cites as [n]; all of them if it cites none
+    citedSources(text, citations) {
+        const cited = citations.filter(citation => text.includes(`[${citation.ref}]`));
+        return cited.length ? cited : citations;
+    }
+
+    async execute(toolNames, call, callOptions, toolContext, run) {
+        const name = call.function?.name;
+        let args = {};
+
+        try {
+            args = JSON.parse(call.function?.arguments || '{}');
+        } catch (error) {
+            return { args, error: `Invalid JSON arguments: ${error.message}` };
+        }
+
+        if (!toolNames.includes(name)) {
+            return { args, error: `Tool ${name} is not available to this agent` };
+        }
+
+        const definition = this.getDefinition(name);
+        console.log(`🧰 Tool call: ${name}`);
+
+        try {
+            const params = definition.toParams(args, toolContext);
+            const result = definition.service
+                ? await this.toolBroker.callWithFallback(definition.service, definition.operation, params, callOptions)
+                : await this.toolBroker.callProvider(definition.provider, definition.operation, params, {
+                    ...callOptions,
+                    // The model's call id is unique, so a repeated tool call never acts twice
+                    idempotencyKey: call.id && `tool-call:${call.id}`
+                });
+
+            return { args, output: definition.summarize(result, run, args) };
+        } catch (error) {
+            console.log(`❌ Tool ${name} failed:`, error.message);
+            return { args, error: error.message };
+        }
+    }
+}
+
+module.exports = AgentToolRunner;
+module.exports.TOOL_DEFINITIONS = TOOL_DEFINITIONS;
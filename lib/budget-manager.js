@@ -0,0 +1,316 @@
+// RIKA 2.0 - Budget Manager: daily and monthly budgets per scope, with alerts
+//
+// Spend is tracked for four scopes: global, each user, each agent and each QoS tier,
+// over the current UTC day and month. Limits come from config/budgets.json (or
+// RIKA_BUDGETS_FILE) with the DAILY_/MONTHLY_/USER_* env vars as fallbacks; scopes
+// without a limit are tracked but never refused. Spend and the alerts already sent
+// are persisted, so a restart neither forgets the day nor repeats its alerts.
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_PATH = path.join(__dirname, '../data/budget-state.json');
+const PERIODS = ['daily', 'monthly'];
+const SAVE_DELAY_MS = 1000;
+
+function periodKeys(now = new Date()) {
+    const iso = now.toISOString();
+    return { daily: iso.slice(0, 10), monthly: iso.slice(0, 7) };
+}
+
+function emptyPeriod(key) {
+    return { key, spent: {}, alerted: {} };
+}
+
+function parseAmount(value) {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+class BudgetManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.statePath = options.statePath || process.env.BUDGET_STATE_PATH || STATE_PATH;
+        this.limits = options.limits || this.loadLimits();
+        this.thresholds = (options.thresholds || (process.env.BUDGET_ALERT_THRESHOLDS || '50,80,100').split(','))
+            .map(Number)
+            .filter(threshold => threshold > 0)
+            .sort((a, b) => a - b);
+        // Share of a hard limit past which interactive requests drop to the realtime model
+        this.downgradeAt = options.downgradeAt || parseFloat(process.env.BUDGET_DOWNGRADE_AT) || 0.9;
+        this.state = this.loadState();
+        this.saveTimer = null;
+    }
+
+    loadLimits() {
+        const limits = {
+            global: { daily: parseAmount(process.env.DAILY_BUDGET_USD) ?? 10.0, monthly: parseAmount(process.env.MONTHLY_BUDGET_USD) },
+            user: {
+                default: { daily: parseAmount(process.env.USER_DAILY_BUDGET_USD), monthly: parseAmount(process.env.USER_MONTHLY_BUDGET_USD) },
+                overrides: {}
+            },
+            agent: {},
+            tier: {}
+        };
+
+        const filePath = path.resolve(process.cwd(), process.env.RIKA_BUDGETS_FILE || 'config/budgets.json');
+        if (!process.env.RIKA_BUDGETS_FILE && !fs.existsSync(filePath)) {
+            return limits;
+        }
+
+        try {
+            const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return {
+                global: { ...limits.global, ...file.global },
+                user: {
+                    default: { ...limits.user.default, ...file.user?.default },
+                    overrides: file.user?.overrides || {}
+                },
+                agent: file.agent || {},
+                tier: file.tier || {}
+            };
+        } catch (error) {
+            console.log(`⚠️ Budgets in ${filePath} ignored:`, error.message);
+            return limits;
+        }
+    }
+
+    loadState() {
+        const keys = periodKeys();
+        let saved = {};
+        try {
+            saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.log('⚠️ Budget state unreadable, starting from zero:', error.message);
+            }
+        }
+
+        // A period that ended while the server was down starts fresh
+        const state = {};
+        for (const period of PERIODS) {
+            state[period] = saved[period]?.key === keys[period] ? saved[period] : emptyPeriod(keys[period]);
+        }
+        return state;
+    }
+
+    // Starts new periods when the UTC day or month has turned; returns true if anything reset
+    rollover(now = new Date()) {
+        const keys = periodKeys(now);
+        let changed = false;
+        for (const period of PERIODS) {
+            if (this.state[period].key !== keys[period]) {
+                this.state[period] = emptyPeriod(keys[period]);
+                changed = true;
+            }
+        }
+        if (changed) {
+            console.log(`💰 Budget period rolled over: ${keys.daily}`);
+            this.scheduleSave();
+        }
+        return changed;
+    }
+
+    // scope: { userId?, agent?, tier? } -> ['global', 'user:<id>', 'agent:<id>', 'tier:<name>']
+    scopeKeys(scope = {}) {
+        return [
+            'global',
+            ...(scope.userId ? [`user:${scope.userId}`] : []),
+            ...(scope.agent ? [`agent:${scope.agent}`] : []),
+            ...(scope.tier ? [`tier:${scope.tier}`] : [])
+        ];
+    }
+
+    // null means unlimited
+    limitFor(key, period) {
+        const [scope, ...rest] = key.split(':');
+        const id = rest.join(':');
+
+        switch (scope) {
+            case 'global':
+                return this.limits.global[period] ?? null;
+            case 'user':
+                return this.limits.user.overrides[id]?.[period] ?? this.limits.user.default[period] ?? null;
+            case 'agent':
+                return this.limits.agent[id]?.[period] ?? null;
+            case 'tier':
+                return this.limits.tier[id]?.[period] ?? null;
+            default:
+                return null;
+        }
+    }
+
+    spent(key, period) {
+        return this.state[period].spent[key] || 0;
+    }
+
+    record(cost, scope = {}) {
+        if (!cost) {
+            return;
+        }
+        this.rollover();
+
+        const keys = this.scopeKeys(scope);
+        for (const period of PERIODS) {
+            for (const key of keys) {
+                this.state[period].spent[key] = this.spent(key, period) + cost;
+            }
+        }
+        this.checkAlerts(keys);
+        this.scheduleSave();
+    }
+
+    // Emits budget_alert once per scope, period and threshold crossed
+    checkAlerts(keys) {
+        for (const period of PERIODS) {
+            for (const key of keys) {
+                const limit = this.limitFor(key, period);
+                if (!limit) {
+                    continue;
+                }
+
+                const spent = this.spent(key, period);
+                const percent = (spent / limit) * 100;
+                const crossed = this.thresholds.filter(threshold => percent >= threshold).pop();
+                const alerted = this.state[period].alerted[key] || 0;
+                if (!crossed || crossed <= alerted) {
+                    continue;
+                }
+
+                this.state[period].alerted[key] = crossed;
+                const [scope, ...rest] = key.split(':');
+                const alert = {
+                    scope,
+                    id: rest.join(':') || null,
+                    key,
+                    period,
+                    threshold: crossed,
+                    percent: Math.round(percent),
+                    spent,
+                    limit,
+                    timestamp: Date.now()
+                };
+                console.log(`🚨 Budget alert: ${key} ${period} at ${alert.percent}% ($${spent.toFixed(2)} of $${limit.toFixed(2)})`);
+                this.emit('budget_alert', alert);
+            }
+        }
+    }
+
+    // Outstanding estimates per scope key, from the ledger's open reservations
+    pendingByKey(reservations = []) {
+        const pending = {};
+        for (const reservation of reservations) {
+            const outstanding = Math.max(0, reservation.estimatedCost - reservation.actualCost);
+            const scope = reservation.scope || {};
+            if (!outstanding) {
+                continue;
+            }
+
+            for (const key of this.scopeKeys({ userId: scope.userId, tier: scope.tier })) {
+                pending[key] = (pending[key] || 0) + outstanding;
+            }
+            // Agents carry their share of the estimate
+            const costs = Object.entries(scope.costs || {});
+            const estimated = costs.reduce((total, [, cost]) => total + cost, 0);
+            for (const [agent, cost] of costs) {
+                const key = `agent:${agent}`;
+                pending[key] = (pending[key] || 0) + (estimated > 0 ? outstanding * cost / estimated : 0);
+            }
+        }
+        return pending;
+    }
+
+    // request: { userId?, tier, costs: { agentId: estimatedCost } }. Every scope the request
+    // touches must have room for it in both periods.
+    check(request, reservations = []) {
+        this.rollover();
+
+        const pending = this.pendingByKey(reservations);
+        const total = Object.values(request.costs).reduce((sum, cost) => sum + cost, 0);
+        const charges = [
+            ...this.scopeKeys({ userId: request.userId, tier: request.tier }).map(key => [key, total]),
+            ...Object.entries(request.costs).map(([agent, cost]) => [`agent:${agent}`, cost])
+        ];
+
+        const exceeded = [];
+        let tightest = null;
+        for (const period of PERIODS) {
+            for (const [key, cost] of charges) {
+                const limit = this.limitFor(key, period);
+                if (limit === null) {
+                    continue;
+                }
+
+                const committed = this.spent(key, period) + (pending[key] || 0);
+                const usage = { key, period, spent: this.spent(key, period), pending: pending[key] || 0, cost, limit, remaining: limit - committed - cost };
+                usage.ratio = limit > 0 ? (committed + cost) / limit : Infinity;
+
+                if (committed + cost > limit) {
+                    exceeded.push(usage);
+                }
+                if (!tightest || usage.ratio > tightest.ratio) {
+                    tightest = usage;
+                }
+            }
+        }
+
+        return {
+            allowed: exceeded.length === 0,
+            exceeded,
+            tightest,
+            nearLimit: !!tightest && tightest.ratio >= this.downgradeAt,
+            estimatedCost: total
+        };
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+        this.saveTimer.unref?.();
+    }
+
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            const tempPath = `${this.statePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.state));
+            fs.renameSync(tempPath, this.statePath);
+        } catch (error) {
+            console.log('⚠️ Budget state not saved:', error.message);
+        }
+    }
+
+    // Spend against every limited scope, plus the spend of unlimited ones for visibility
+    getStatus() {
+        this.rollover();
+
+        const scopes = {};
+        for (const period of PERIODS) {
+            const keys = new Set([...Object.keys(this.state[period].spent), 'global']);
+            for (const key of keys) {
+                const limit = this.limitFor(key, period);
+                const spent = this.spent(key, period);
+                scopes[key] = scopes[key] || {};
+                scopes[key][period] = {
+                    spent,
+                    limit,
+                    percent: limit ? Math.round((spent / limit) * 100) : null,
+                    alerted: this.state[period].alerted[key] || null
+                };
+            }
+        }
+
+        return {
+            periods: { daily: this.state.daily.key, monthly: this.state.monthly.key },
+            thresholds: this.thresholds,
+            downgradeAt: this.downgradeAt,
+            scopes
+        };
+    }
+}
+
+module.exports = BudgetManager;
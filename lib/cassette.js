@@ -0,0 +1,297 @@
+// RIKA 2.0 - Cassette: record/replay of Tool Broker provider calls for offline runs
+//
+// RIKA_CASSETTE_MODE=record  calls hit live providers and every request/response is saved
+// RIKA_CASSETTE_MODE=replay  calls are answered from fixtures, no network or keys needed
+//
+// Fixtures live in <dir>/<provider>/<operation>/<key>.json, where key is a hash of the
+// provider, operation and normalized params. Repeated identical requests replay in order.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const MODES = ['off', 'record', 'replay'];
+
+class Cassette {
+    constructor(options = {}) {
+        this.mode = options.mode || process.env.RIKA_CASSETTE_MODE || 'off';
+        this.dir = path.resolve(options.dir || process.env.RIKA_CASSETTE_DIR || path.join(__dirname, '../fixtures/cassettes'));
+        this.ignoreParams = new Set(options.ignoreParams || (process.env.RIKA_CASSETTE_IGNORE_PARAMS || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean));
+
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown cassette mode: ${this.mode} (expected ${MODES.join('|')})`);
+        }
+
+        this.recordedKeys = new Set(); // keys rewritten during this recording session
+        this.playhead = new Map();     // key -> next interaction index during replay
+
+        if (this.enabled) {
+            console.log(`📼 Cassette ${this.mode} mode: ${this.dir}`);
+        }
+    }
+
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    get replaying() {
+        return this.mode === 'replay';
+    }
+
+    // Wrap a single provider call
+    async run(provider, operation, params, execute) {
+        const key = this.keyFor(provider, operation, params);
+
+        if (this.replaying) {
+            const interaction = this.nextInteraction(provider, operation, key);
+            if (interaction.error) {
+                throw this.deserializeError(interaction.error);
+            }
+            return this.deserialize(interaction.response);
+        }
+
+        try {
+            const result = await execute();
+            const { stored, value } = await this.capture(result);
+            this.record(provider, operation, key, params, { response: stored });
+            return value;
+        } catch (error) {
+            this.record(provider, operation, key, params, { error: this.serializeError(error) });
+            throw error;
+        }
+    }
+
+    // Wrap a streaming provider call; chunks are recorded and replayed as a sequence
+    async *runStream(provider, operation, params, execute) {
+        const key = this.keyFor(provider, operation, params);
+
+        if (this.replaying) {
+            const interaction = this.nextInteraction(provider, operation, key);
+            for (const chunk of interaction.chunks || []) {
+                yield this.deserialize(chunk);
+            }
+            if (interaction.error) {
+                throw this.deserializeError(interaction.error);
+            }
+            return;
+        }
+
+        const chunks = [];
+        try {
+            for await (const chunk of execute()) {
+                chunks.push((await this.capture(chunk)).stored);
+                yield chunk;
+            }
+            this.record(provider, operation, key, params, { chunks });
+        } catch (error) {
+            this.record(provider, operation, key, params, { chunks, error: this.serializeError(error) });
+            throw error;
+        }
+    }
+
+    // Fixture storage
+    fixturePath(provider, operation, key) {
+        return path.join(this.dir, provider, operation, `${key}.json`);
+    }
+
+    record(provider, operation, key, params, interaction) {
+        const filePath = this.fixturePath(provider, operation, key);
+        let fixture = null;
+
+        // First hit in a session replaces stale recordings; later hits append in order
+        if (this.recordedKeys.has(key) && fs.existsSync(filePath)) {
+            fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+
+        if (!fixture) {
+            fixture = {
+                provider,
+                operation,
+                key,
+                params: this.normalize(params),
+                interactions: []
+            };
+        }
+
+        fixture.interactions.push({ ...interaction, recordedAt: new Date().toISOString() });
+        this.recordedKeys.add(key);
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+    }
+
+    nextInteraction(provider, operation, key) {
+        const filePath = this.fixturePath(provider, operation, key);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`No cassette recorded for ${provider}.${operation} (${key})`);
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const index = this.playhead.get(key) || 0;
+        this.playhead.set(key, index + 1);
+
+        // Past the end, keep answering with the last recording
+        return fixture.interactions[Math.min(index, fixture.interactions.length - 1)];
+    }
+
+    rewind() {
+        this.playhead.clear();
+    }
+
+    // Request matching
+    keyFor(provider, operation, params) {
+        const signature = JSON.stringify({ provider, operation, params: this.normalize(params) });
+        return crypto.createHash('sha256').update(signature).digest('hex').substring(0, 24);
+    }
+
+    normalize(value, depth = 0) {
+        if (value === undefined || value === null || typeof value === 'function' || depth > 20) {
+            return null;
+        }
+
+        if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+            return { $binary: this.digest(Buffer.from(value)), bytes: value.length };
+        }
+
+        // File uploads (Whisper) are matched on file contents, not temp file names
+        if (value instanceof Readable) {
+            if (value.path && fs.existsSync(value.path)) {
+                const contents = fs.readFileSync(value.path);
+                return { $binary: this.digest(contents), bytes: contents.length };
+            }
+            return { $stream: true };
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.normalize(item, depth + 1));
+        }
+
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        if (typeof value === 'object') {
+            const normalized = {};
+            for (const key of Object.keys(value).sort()) {
+                if (this.ignoreParams.has(key) || value[key] === undefined) {
+                    continue;
+                }
+                normalized[key] = this.normalize(value[key], depth + 1);
+            }
+            return normalized;
+        }
+
+        return value;
+    }
+
+    digest(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    // Response (de)serialization; binary bodies are stored as base64
+    async capture(result) {
+        if (result instanceof Readable) {
+            const chunks = [];
+            for await (const chunk of result) {
+                chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+            }
+            const buffer = Buffer.concat(chunks);
+
+            // The original stream is consumed, so hand the caller a fresh one
+            return {
+                stored: { $type: 'Readable', base64: buffer.toString('base64') },
+                value: Readable.from([buffer])
+            };
+        }
+
+        return { stored: this.serialize(result), value: result };
+    }
+
+    serialize(value, seen = new WeakSet()) {
+        if (value === undefined || typeof value === 'function') {
+            return undefined;
+        }
+
+        if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+            return { $type: 'Buffer', base64: Buffer.from(value).toString('base64') };
+        }
+
+        if (value instanceof ArrayBuffer) {
+            return { $type: 'Buffer', base64: Buffer.from(value).toString('base64') };
+        }
+
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        seen.add(value);
+
+        // SDK resource objects (Twilio instances, Dates) know how to flatten themselves
+        if (typeof value.toJSON === 'function') {
+            return this.serialize(value.toJSON(), seen);
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.serialize(item, seen));
+        }
+
+        const serialized = {};
+        for (const [key, item] of Object.entries(value)) {
+            const stored = this.serialize(item, seen);
+            if (stored !== undefined) {
+                serialized[key] = stored;
+            }
+        }
+        return serialized;
+    }
+
+    deserialize(value) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+
+        if (value.$type === 'Buffer') {
+            return Buffer.from(value.base64, 'base64');
+        }
+
+        if (value.$type === 'Readable') {
+            return Readable.from([Buffer.from(value.base64, 'base64')]);
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.deserialize(item));
+        }
+
+        const restored = {};
+        for (const [key, item] of Object.entries(value)) {
+            restored[key] = this.deserialize(item);
+        }
+        return restored;
+    }
+
+    serializeError(error) {
+        return {
+            message: error?.message || String(error),
+            name: error?.name,
+            status: error?.status || error?.response?.status || null,
+            code: error?.code || null
+        };
+    }
+
+    deserializeError(stored) {
+        const error = new Error(stored.message);
+        error.name = stored.name || 'Error';
+        error.status = stored.status;
+        error.code = stored.code;
+        error.replayed = true;
+        return error;
+    }
+}
+
+module.exports = Cassette;
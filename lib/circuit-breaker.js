@@ -0,0 +1,171 @@
+// RIKA 2.0 - Circuit Breaker: closed -> open -> half-open probing per provider operation
+const EventEmitter = require('events');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+const TRANSPORT_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE',
+    'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'
+]);
+const ABORT_NAMES = new Set(['AbortError', 'CanceledError', 'APIUserAbortError']);
+const TRANSPORT_MESSAGE = /timed? ?out|socket hang up|fetch failed|network error|connection (error|reset|refused)/i;
+
+// failure: the provider is unwell (transport error, timeout, 5xx) and counts toward opening.
+// caller: the provider answered but refused this request (4xx, constraint or validation
+// errors); it says nothing about the provider's health. aborted: we gave up on the call.
+function classifyError(error) {
+    if (ABORT_NAMES.has(error?.name)) {
+        return 'aborted';
+    }
+
+    const status = Number(error?.status ?? error?.statusCode ?? error?.response?.status);
+    if (status > 0) {
+        return status >= 500 || status === 408 ? 'failure' : 'caller';
+    }
+
+    if (TRANSPORT_CODES.has(error?.code) || TRANSPORT_MESSAGE.test(`${error?.name || ''} ${error?.message || ''}`)) {
+        return 'failure';
+    }
+    return 'caller';
+}
+
+class CircuitBreaker extends EventEmitter {
+    constructor(name, options = {}) {
+        super();
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+        this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+        this.successThreshold = options.successThreshold || 1;
+
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.halfOpenSuccesses = 0;
+        this.halfOpenInFlight = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.lastStateChange = Date.now();
+    }
+
+    // Returns true when a call may go through; reserves a probe slot in half-open
+    allowRequest() {
+        if (this.state === STATES.OPEN) {
+            if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+                return false;
+            }
+            this.transition(STATES.HALF_OPEN);
+        }
+
+        if (this.state === STATES.HALF_OPEN) {
+            if (this.halfOpenInFlight >= this.halfOpenMaxCalls) {
+                return false;
+            }
+            this.halfOpenInFlight++;
+        }
+
+        return true;
+    }
+
+    recordSuccess() {
+        if (this.state === STATES.HALF_OPEN) {
+            this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+            this.halfOpenSuccesses++;
+
+            if (this.halfOpenSuccesses >= this.successThreshold) {
+                this.transition(STATES.CLOSED);
+            }
+            return;
+        }
+
+        this.failures = 0;
+    }
+
+    recordFailure(error) {
+        const kind = classifyError(error);
+        if (kind === 'caller') {
+            this.recordSuccess();
+            return;
+        }
+        if (kind === 'aborted') {
+            this.release();
+            return;
+        }
+
+        this.lastError = error?.message || String(error);
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+            this.transition(STATES.OPEN);
+            return;
+        }
+
+        this.failures++;
+        if (this.state === STATES.CLOSED && this.failures >= this.failureThreshold) {
+            this.transition(STATES.OPEN);
+        }
+    }
+
+    // Frees a half-open probe slot without judging the provider (an abandoned or aborted call)
+    release() {
+        if (this.state === STATES.HALF_OPEN) {
+            this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+        }
+    }
+
+    transition(nextState) {
+        if (this.state === nextState) {
+            return;
+        }
+
+        const previousState = this.state;
+        this.state = nextState;
+        this.lastStateChange = Date.now();
+
+        if (nextState === STATES.OPEN) {
+            this.openedAt = Date.now();
+            this.halfOpenSuccesses = 0;
+        } else if (nextState === STATES.HALF_OPEN) {
+            this.halfOpenSuccesses = 0;
+            this.halfOpenInFlight = 0;
+        } else {
+            this.failures = 0;
+            this.openedAt = null;
+        }
+
+        this.emit('state_change', {
+            name: this.name,
+            from: previousState,
+            to: nextState,
+            failures: this.failures,
+            lastError: this.lastError,
+            timestamp: this.lastStateChange
+        });
+    }
+
+    retryAfterMs() {
+        if (this.state !== STATES.OPEN) {
+            return 0;
+        }
+        return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt,
+            retryAfterMs: this.retryAfterMs(),
+            lastError: this.lastError,
+            lastStateChange: this.lastStateChange
+        };
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+CircuitBreaker.classifyError = classifyError;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,154 @@
+// RIKA 2.0 - Cost Ledger: actual provider spend by agent, tier and operation
+//
+// Each routed request opens an entry; the Cost Sentinel reserves its estimate there,
+// usage reported by the Tool Broker with the request's routingId accrues against it,
+// and the entry is reconciled (estimate vs actual) once the reply is sent.
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+class CostLedger {
+    constructor(costTracker) {
+        this.costTracker = costTracker;
+        this.breakdown = {
+            byAgent: new Map(),
+            byTier: new Map(),
+            byOperation: new Map(),
+            byPurpose: new Map()
+        };
+        this.reservations = new Map(); // routingId -> { estimatedCost, actualCost, scope, createdAt }
+        this.reconciliation = {
+            count: 0,
+            totalEstimated: 0,
+            totalActual: 0
+        };
+    }
+
+    // Returns the budget scope the spend belongs to: the request's user, the agent and the tier
+    record(event) {
+        const context = event.context || {};
+        const tokens = (event.usage.inputTokens || 0) + (event.usage.outputTokens || 0);
+
+        this.costTracker.daily += event.cost;
+        this.costTracker.monthly += event.cost;
+        this.costTracker.tokens += tokens;
+
+        this.addTo(this.breakdown.byAgent, context.agent || 'system', event, tokens);
+        this.addTo(this.breakdown.byTier, context.tier || 'untiered', event, tokens);
+        this.addTo(this.breakdown.byOperation, `${event.provider}.${event.operation}`, event, tokens);
+        this.addTo(this.breakdown.byPurpose, context.purpose || 'agent', event, tokens);
+
+        const reservation = context.routingId && this.reservations.get(context.routingId);
+        if (reservation) {
+            reservation.actualCost += event.cost;
+        }
+
+        return {
+            userId: reservation?.scope.userId,
+            agent: context.agent,
+            tier: context.tier
+        };
+    }
+
+    addTo(map, key, event, tokens) {
+        const entry = map.get(key) || { cost: 0, calls: 0, inputTokens: 0, outputTokens: 0, tokens: 0 };
+        entry.cost += event.cost;
+        entry.calls++;
+        entry.inputTokens += event.usage.inputTokens || 0;
+        entry.outputTokens += event.usage.outputTokens || 0;
+        entry.tokens += tokens;
+        map.set(key, entry);
+    }
+
+    // scope: { userId? } so spend on the request's behalf counts against that user
+    open(routingId, scope = {}) {
+        this.expireReservations();
+        this.reservations.set(routingId, {
+            estimatedCost: 0,
+            actualCost: 0,
+            scope: { ...scope },
+            createdAt: Date.now()
+        });
+    }
+
+    // Pre-call estimate, held against the budget until the request reconciles;
+    // scope adds the tier and the estimate's split across agents ({ tier, costs })
+    reserve(routingId, estimatedCost, scope = {}) {
+        if (!this.reservations.has(routingId)) {
+            this.open(routingId);
+        }
+        const reservation = this.reservations.get(routingId);
+        reservation.estimatedCost = estimatedCost;
+        Object.assign(reservation.scope, scope);
+    }
+
+    reconcile(routingId) {
+        const reservation = this.reservations.get(routingId);
+        if (!reservation) {
+            return null;
+        }
+
+        this.reservations.delete(routingId);
+        this.reconciliation.count++;
+        this.reconciliation.totalEstimated += reservation.estimatedCost;
+        this.reconciliation.totalActual += reservation.actualCost;
+
+        return {
+            routingId,
+            estimatedCost: reservation.estimatedCost,
+            actualCost: reservation.actualCost,
+            delta: reservation.actualCost - reservation.estimatedCost
+        };
+    }
+
+    // Estimates still outstanding (actual spend is already in costTracker.daily)
+    getPendingCost() {
+        this.expireReservations();
+        let pending = 0;
+        for (const reservation of this.reservations.values()) {
+            pending += Math.max(0, reservation.estimatedCost - reservation.actualCost);
+        }
+        return pending;
+    }
+
+    getPendingReservations() {
+        this.expireReservations();
+        return Array.from(this.reservations.values());
+    }
+
+    expireReservations() {
+        const cutoff = Date.now() - RESERVATION_TTL_MS;
+        for (const [routingId, reservation] of this.reservations) {
+            if (reservation.createdAt < cutoff) {
+                this.reconcile(routingId);
+            }
+        }
+    }
+
+    resetDaily() {
+        for (const map of Object.values(this.breakdown)) {
+            map.clear();
+        }
+    }
+
+    getSummary() {
+        const toObject = map => Object.fromEntries(map);
+        const { count, totalEstimated, totalActual } = this.reconciliation;
+
+        return {
+            byAgent: toObject(this.breakdown.byAgent),
+            byTier: toObject(this.breakdown.byTier),
+            byOperation: toObject(this.breakdown.byOperation),
+            byPurpose: toObject(this.breakdown.byPurpose),
+            pendingReservations: this.reservations.size,
+            pendingCost: this.getPendingCost(),
+            reconciliation: {
+                count,
+                totalEstimated,
+                totalActual,
+                // >1 means the sentinel under-estimates
+                actualToEstimateRatio: totalEstimated > 0 ? totalActual / totalEstimated : null
+            }
+        };
+    }
+}
+
+module.exports = CostLedger;
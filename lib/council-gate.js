@@ -0,0 +1,175 @@
+// RIKA 2.0 - Council Gate: enforces council verdicts before an agent answers
+//
+// block stops the request with the council's reasons. caution parks it until the user
+// explicitly confirms (or declines) within a timeout; only the channel that asked can
+// answer. Every confirmed caution is an override of the council and is logged to
+// data/council-overrides.jsonl.
+const fs = require('fs');
+const path = require('path');
+
+const OVERRIDES_PATH = path.join(__dirname, '../data/council-overrides.jsonl');
+
+class CouncilGate {
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.COUNCIL_CONFIRM_TIMEOUT_MS, 10) || 120000;
+        this.overridesPath = options.overridesPath || process.env.COUNCIL_OVERRIDES_PATH || OVERRIDES_PATH;
+        this.pending = new Map(); // routingId -> { owner, routing, payload, expiresAt, timer }
+        this.stats = { blocked: 0, held: 0, confirmed: 0, declined: 0, expired: 0 };
+    }
+
+    // proceed | caution | block; no council check means proceed
+    verdict(routing) {
+        const recommendation = routing.councilAdvice?.recommendation;
+        return recommendation === 'block' || recommendation === 'caution' ? recommendation : 'proceed';
+    }
+
+    // What the user is shown: the verdict, its reason and flags, and who raised them
+    describe(routing) {
+        const advice = routing.councilAdvice;
+        return {
+            routingId: routing.id,
+            agent: routing.targetAgent,
+            recommendation: advice.recommendation,
+            reason: advice.reason,
+            flags: advice.flags || [],
+            votes: (advice.votes || []).map(({ member, focus, recommendation, flags, reason }) => ({ member, focus, recommendation, flags, reason })),
+            ...(advice.subtaskId && { subtaskId: advice.subtaskId })
+        };
+    }
+
+    block(routing) {
+        this.stats.blocked++;
+        console.log(`⛔ Council blocked ${routing.id} (${routing.targetAgent}): ${routing.councilAdvice.reason}`);
+        return this.describe(routing);
+    }
+
+    // Parks a cautioned request; payload is { message, userId?, ... } for resuming it later,
+    // and onExpire runs if nobody answers in time
+    hold(owner, routing, payload, onExpire) {
+        const expiresAt = Date.now() + this.timeoutMs;
+        const timer = setTimeout(() => {
+            const entry = this.take(owner, routing.id);
+            if (entry) {
+                this.stats.expired++;
+                console.log(`⌛ Council confirmation for ${routing.id} expired`);
+                onExpire?.(entry);
+            }
+        }, this.timeoutMs);
+        timer.unref?.();
+
+        this.pending.set(routing.id, { owner, routing, payload, expiresAt, timer });
+        this.stats.held++;
+        console.log(`⚠️ Council caution on ${routing.id}, waiting for confirmation from ${owner}`);
+
+        return { ...this.describe(routing), expiresAt, timeoutMs: this.timeoutMs };
+    }
+
+    // Removes and returns the pending request if this owner is the one who may answer it
+    take(owner, routingId) {
+        const entry = this.pending.get(routingId);
+        if (!entry || entry.owner !== owner) {
+            return null;
+        }
+        clearTimeout(entry.timer);
+        this.pending.delete(routingId);
+        return entry;
+    }
+
+    // Most recent request this owner has waiting, for channels without per-message buttons
+    latestFor(owner) {
+        let latest = null;
+        for (const [routingId, entry] of this.pending) {
+            if (entry.owner === owner && (!latest || entry.expiresAt > latest.expiresAt)) {
+                latest = { routingId, ...entry };
+            }
+        }
+        return latest?.routingId || null;
+    }
+
+    // decision: confirm | decline. Returns the parked request, or null when nothing was waiting
+    resolve(owner, routingId, decision) {
+        const entry = this.take(owner, routingId);
+        if (!entry) {
+            return null;
+        }
+
+        if (decision !== 'confirm') {
+            this.stats.declined++;
+            console.log(`🛑 Council caution on ${routingId} declined by ${owner}`);
+            return entry;
+        }
+
+        this.stats.confirmed++;
+        entry.routing.councilOverride = true;
+        this.recordOverride(entry);
+        return entry;
+    }
+
+    recordOverride(entry) {
+        const advice = entry.routing.councilAdvice;
+        const record = {
+            routingId: entry.routing.id,
+            owner: entry.owner,
+            userId: entry.payload.userId || null,
+            agent: entry.routing.targetAgent,
+            recommendation: advice.recommendation,
+            reason: advice.reason,
+            flags: advice.flags || [],
+            votes: (advice.votes || []).map(({ member, recommendation }) => ({ member, recommendation })),
+            message: entry.payload.message,
+            timestamp: new Date().toISOString()
+        };
+
+        console.log(`✋ Council override: ${record.owner} confirmed ${record.routingId} (${record.flags.join(', ') || 'no flags'})`);
+        try {
+            fs.mkdirSync(path.dirname(this.overridesPath), { recursive: true });
+            fs.appendFileSync(this.overridesPath, `${JSON.stringify(record)}\n`);
+        } catch (error) {
+            console.log('⚠️ Council override not saved:', error.message);
+        }
+        return record;
+    }
+
+    // Newest first
+    getOverrides(limit = 50) {
+        try {
+            return fs.readFileSync(this.overridesPath, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .slice(-limit)
+                .flatMap(line => {
+                    try {
+                        return [JSON.parse(line)];
+                    } catch (error) {
+                        return []; // torn last line from a crash
+                    }
+                })
+                .reverse();
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // A disconnected socket can no longer confirm; its held requests are dropped
+    dropOwner(owner) {
+        const dropped = [];
+        for (const [routingId, entry] of this.pending) {
+            if (entry.owner === owner) {
+                clearTimeout(entry.timer);
+                this.pending.delete(routingId);
+                dropped.push(entry);
+            }
+        }
+        return dropped;
+    }
+
+    getStatus() {
+        return {
+            pending: this.pending.size,
+            timeoutMs: this.timeoutMs,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = CouncilGate;
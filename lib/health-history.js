@@ -0,0 +1,55 @@
+// RIKA 2.0 - Health History: rolling window of probe results per provider
+const DEFAULT_SIZE = 100;
+const RECENT_FAILURES = 10;
+
+class HealthHistory {
+    constructor(size = DEFAULT_SIZE) {
+        this.size = size;
+        this.samples = []; // { healthy, latency, error, timestamp }, oldest first
+    }
+
+    record(sample) {
+        this.samples.push({
+            healthy: sample.healthy,
+            latency: sample.latency ?? null,
+            error: sample.error || null,
+            timestamp: sample.timestamp || Date.now()
+        });
+
+        if (this.samples.length > this.size) {
+            this.samples.shift();
+        }
+    }
+
+    getSummary() {
+        const healthyCount = this.samples.filter(sample => sample.healthy).length;
+        const latencies = this.samples
+            .filter(sample => sample.latency !== null)
+            .map(sample => sample.latency)
+            .sort((a, b) => a - b);
+        const percentile = p => latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(p * latencies.length))] : null;
+
+        return {
+            samples: this.samples.length,
+            windowStart: this.samples[0]?.timestamp || null,
+            uptimePercent: this.samples.length ? (healthyCount / this.samples.length) * 100 : null,
+            latency: {
+                p50: percentile(0.5),
+                p95: percentile(0.95),
+                p99: percentile(0.99),
+                max: latencies.length ? latencies[latencies.length - 1] : null
+            },
+            recentFailures: this.samples
+                .filter(sample => !sample.healthy)
+                .slice(-RECENT_FAILURES)
+                .reverse(),
+            timeline: this.samples.map(sample => ({
+                healthy: sample.healthy,
+                latency: sample.latency,
+                timestamp: sample.timestamp
+            }))
+        };
+    }
+}
+
+module.exports = HealthHistory;
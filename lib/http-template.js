@@ -0,0 +1,85 @@
+// RIKA 2.0 - HTTP templating helpers for declarative HTTP tools
+//
+// Templates use {{ path }} placeholders resolved against a scope such as
+// { params, secrets, baseUrl }. A body value that is exactly one placeholder keeps
+// the parameter's type (number, object, ...); anything else is string interpolation.
+const PLACEHOLDER = /\{\{\s*([\w.[\]-]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.[\]-]+)\s*\}\}$/;
+
+// Dotted path lookup with [n] indexes: "data.items[0].id"
+function lookup(source, pathExpression) {
+    const segments = pathExpression
+        .replace(/\[(\d+)\]/g, '.$1')
+        .split('.')
+        .filter(Boolean);
+
+    return segments.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), source);
+}
+
+function renderString(template, scope, options = {}) {
+    return template.replace(PLACEHOLDER, (match, pathExpression) => {
+        const value = lookup(scope, pathExpression);
+        if (value === undefined || value === null) {
+            return '';
+        }
+
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // In URLs, caller-supplied values are encoded; config values (baseUrl) are trusted
+        return options.encodeParams && pathExpression.startsWith('params.') ? encodeURIComponent(text) : text;
+    });
+}
+
+function renderTemplate(template, scope) {
+    if (typeof template === 'string') {
+        const whole = template.match(WHOLE_PLACEHOLDER);
+        return whole ? lookup(scope, whole[1]) : renderString(template, scope);
+    }
+
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, scope));
+    }
+
+    if (template && typeof template === 'object') {
+        const rendered = {};
+        for (const [key, value] of Object.entries(template)) {
+            const result = renderTemplate(value, scope);
+            if (result !== undefined) {
+                rendered[key] = result;
+            }
+        }
+        return rendered;
+    }
+
+    return template;
+}
+
+// Minimal JSONPath: "$", "$.data.items[0].name"
+function extractJsonPath(data, jsonPath) {
+    if (!jsonPath || jsonPath === '$') {
+        return data;
+    }
+    if (!jsonPath.startsWith('$')) {
+        throw new Error(`Unsupported JSON path: ${jsonPath}`);
+    }
+    return lookup(data, jsonPath.slice(1));
+}
+
+// Names referenced as {{secrets.NAME}} anywhere in a template
+function findSecretRefs(template) {
+    const refs = new Set();
+    const text = typeof template === 'string' ? template : JSON.stringify(template || '');
+
+    for (const match of text.matchAll(PLACEHOLDER)) {
+        if (match[1].startsWith('secrets.')) {
+            refs.add(match[1].slice('secrets.'.length));
+        }
+    }
+    return Array.from(refs);
+}
+
+module.exports = {
+    renderString,
+    renderTemplate,
+    extractJsonPath,
+    findSecretRefs
+};
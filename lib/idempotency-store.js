@@ -0,0 +1,182 @@
+// RIKA 2.0 - Idempotency Store: side-effecting calls, keyed by idempotency key
+//
+// A retry that reuses a key gets the original result back instead of sending the SMS,
+// placing the call or inserting the row again. A call that failed without the provider
+// confirming either way (timeout, dropped connection, 5xx) may still have gone out, so its
+// key is kept as in doubt and refused rather than run again. Keys are persisted to a JSON
+// file so they survive restarts; concurrent callers with the same key share one attempt.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PATH = path.join(__dirname, '../data/idempotency.json');
+
+// Failures that prove the request never reached the provider, so the key can be used again
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// Settled time of an entry; files written before in-doubt keys existed only have completedAt
+function settledAt(entry) {
+    return entry.completedAt ?? entry.failedAt;
+}
+
+class IdempotencyStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.IDEMPOTENCY_STORE_PATH || DEFAULT_PATH;
+        this.ttlMs = options.ttlMs || (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 3600000;
+        this.entries = new Map(); // key -> { provider, operation, result, completedAt } or { provider, operation, inDoubt, error, failedAt }
+        this.inFlight = new Map(); // key -> Promise
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const [key, entry] of Object.entries(saved)) {
+                this.entries.set(key, entry);
+            }
+            this.prune();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.log('⚠️ Idempotency store unreadable, starting empty:', error.message);
+            }
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.entries)));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.log('⚠️ Idempotency store not saved:', error.message);
+        }
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.ttlMs;
+        for (const [key, entry] of this.entries) {
+            if (settledAt(entry) < cutoff) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry && settledAt(entry) < Date.now() - this.ttlMs) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    // Runs execute() at most once per key. A rejected call frees the key for a retry; one the
+    // provider may have acted on leaves it in doubt, and in-doubt keys are never run again.
+    async run(key, provider, operation, execute) {
+        const settled = this.get(key);
+        if (settled?.inDoubt) {
+            throw this.inDoubtError(key, settled);
+        }
+        if (settled) {
+            console.log(`♻️ ${provider}.${operation} already completed for key ${key}`);
+            return { result: settled.result, replayed: true };
+        }
+
+        if (this.inFlight.has(key)) {
+            return { result: await this.inFlight.get(key), replayed: true };
+        }
+
+        const attempt = (async () => {
+            try {
+                const result = await execute();
+                this.settle(key, { provider, operation, result: this.toPlain(result), completedAt: Date.now() });
+                return result;
+            } catch (error) {
+                if (!IdempotencyStore.wasRejected(error)) {
+                    console.log(`⚠️ ${provider}.${operation} unconfirmed, key ${key} is now in doubt:`, error.message);
+                    this.settle(key, { provider, operation, inDoubt: true, error: error.message, failedAt: Date.now() });
+                }
+                throw error;
+            }
+        })();
+
+        this.inFlight.set(key, attempt);
+        try {
+            return { result: await attempt, replayed: false };
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    settle(key, entry) {
+        this.entries.set(key, entry);
+        this.prune();
+        this.save();
+    }
+
+    // Lets an operator release an in-doubt key once they know whether the call went out
+    forget(key) {
+        const existed = this.entries.delete(key);
+        if (existed) {
+            this.save();
+        }
+        return existed;
+    }
+
+    inDoubtError(key, entry) {
+        const error = new Error(`${entry.provider}.${entry.operation} for key ${key} may already have been sent (${entry.error}); refusing to repeat it`);
+        error.code = 'IDEMPOTENCY_IN_DOUBT';
+        return error;
+    }
+
+    // True when the provider answered with a refusal (4xx) or the request never left
+    static wasRejected(error) {
+        const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+        if (Number.isInteger(status)) {
+            return status >= 400 && status < 500 && status !== 408;
+        }
+        return NOT_SENT_CODES.has(error?.code);
+    }
+
+    // Key for a call that brought none: the same logical call (scope, usually the routing id)
+    // making the same request with the same params is the same side effect
+    static deriveKey(scope, provider, operation, params) {
+        const signature = JSON.stringify([scope, provider, operation, params], (key, value) => (
+            value && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value)
+                ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+                : value
+        ));
+        return `auto:${crypto.createHash('sha256').update(signature).digest('hex').substring(0, 32)}`;
+    }
+
+    // SDK result objects carry clients and circular references; keep only their data
+    toPlain(value) {
+        const seen = new WeakSet();
+        const json = JSON.stringify(value, (key, item) => {
+            if (key.startsWith('_')) {
+                return undefined;
+            }
+            if (item && typeof item === 'object') {
+                if (seen.has(item)) {
+                    return undefined;
+                }
+                seen.add(item);
+            }
+            return item;
+        });
+        return json === undefined ? null : JSON.parse(json);
+    }
+
+    getStats() {
+        const inDoubt = [...this.entries.values()].filter(entry => entry.inDoubt).length;
+        return {
+            completedKeys: this.entries.size - inDoubt,
+            inDoubtKeys: inDoubt,
+            inFlight: this.inFlight.size,
+            ttlMs: this.ttlMs
+        };
+    }
+}
+
+module.exports = IdempotencyStore;
@@ -1,5 +1,19 @@
 // RIKA 2.0 - Intelligence Layer: Intent Router + QoS + Memory + Council + Cost Sentinel
 const { v4: uuidv4 } = require('uuid');
+const CostLedger = require('./cost-ledger');
+const { LocalIntentClassifier } = require('./intent-classifier');
+const TaskDecomposer = require('./task-decomposer');
+const AgentCouncil = require('./agent-council');
+const BudgetManager = require('./budget-manager');
+
+// How long an answer to a clarifying question still counts as a training label
+const CLARIFICATION_TTL_MS = 10 * 60 * 1000;
+
+// Messages that tell RIKA something about the user are remembered however short they are
+const MEMORY_CUE = /\b(remember|my|i am|i'm|i have|i've|i like|i prefer|call me)\b/i;
+
+// Pinned notes go into every prompt of their user, so only a few are kept
+const MAX_PINS_PER_USER = 20;
 
 class IntelligenceRouter {
     constructor(toolBroker) {
@@ -12,9 +26,39 @@ class IntelligenceRouter {
             requests: 0,
             tokens: 0
         };
+        this.costLedger = new CostLedger(this.costTracker);
+        this.budgets = new BudgetManager();
+        this.syncCostTracker();
+        this.toolBroker.on('usage', event => this.budgets.record(event.cost, this.costLedger.record(event)));
         this.qosTiers = this.initQoSTiers();
         this.memoryShaping = this.initMemoryShaping();
-        this.councilMembers = ['echo', 'scout', 'kibo'];
+        this.memoryMinWords = parseInt(process.env.MEMORY_MIN_WORDS, 10) || 6;
+        this.council = new AgentCouncil(toolBroker);
+        this.categoryAgents = {
+            security: 'echo',
+            creative: 'rig',
+            research: 'scout',
+            learning: 'kibo',
+            content: 'craft',
+            fashion: 'moda',
+            finance: 'mint',
+            fitness: 'pulse',
+            general: 'rika'
+        };
+
+        // Below the threshold a guessed specialist is not trusted: ask (clarify) or let RIKA answer (fallback)
+        this.confidenceThreshold = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.65;
+        this.lowConfidenceMode = process.env.INTENT_LOW_CONFIDENCE_MODE || 'clarify';
+        this.routingStats = { clarifications: 0, lowConfidenceFallbacks: 0, decomposed: 0 };
+        // Clarifying questions asked and not yet answered: routingId -> { message, agentIds, owner, expiresAt }
+        this.pendingClarifications = new Map();
+
+        this.localClassifier = new LocalIntentClassifier();
+        this.localIntentThreshold = parseFloat(process.env.INTENT_LOCAL_MIN_CONFIDENCE) || 0.75;
+        this.intentLearnThreshold = 0.85;
+        this.intentStats = { local: 0, escalated: 0 };
+
+        this.taskDecomposer = new TaskDecomposer(toolBroker, this.localClassifier, this.categoryAgents);
     }
 
     initQoSTiers() {
@@ -57,7 +101,7 @@ class IntelligenceRouter {
             shortTerm: new Map(), // Current conversation
             midTerm: new Map(),   // Project summaries
             longTerm: new Map(),  // Vector store refs
-            pins: new Set(),      // Pinned important items
+            pins: new Map(),      // userId -> pinned notes, oldest first
             decay: {
                 shortTerm: 3600000,    // 1 hour
                 midTerm: 86400000,     // 1 day
@@ -72,30 +116,66 @@ class IntelligenceRouter {
 
         try {
             console.log(`🧠 Intelligence Router: Processing ${routingId}`);
+            this.costLedger.open(routingId, { userId: context.userId });
 
             // 1. Intent Classification
-            const intent = await this.classifyIntent(message, context);
+            const intent = await this.classifyIntent(message, context, routingId);
+            this.learnFromClarification(message, context);
+
+            // 1a. Compound requests fan out to several specialists, RIKA merges
+            const plan = await this.planSubtasks(message, context, routingId);
             
+            // 1b. Low confidence: ask the user, or hand the request to RIKA
+            const candidates = this.getIntentCandidates(intent);
+            const uncertain = !plan && this.isUncertain(intent, candidates, context);
+            if (uncertain && this.canClarify(context)) {
+                this.routingStats.clarifications++;
+                this.costLedger.reconcile(routingId);
+                return this.createClarification(message, intent, candidates, routingId, context.socketId);
+            }
+
             // 2. QoS Tier Selection
-            const qosTier = this.selectQoSTier(intent, context);
+            let qosTier = this.selectQoSTier(intent, context);
             
             // 3. Memory Context Assembly
-            const memoryContext = await this.assembleMemoryContext(message, intent);
+            const memoryContext = await this.assembleMemoryContext(message, intent, qosTier, routingId, {
+                userId: context.userId,
+                agent: context.memoryAgent
+            });
             
-            // 4. Cost Check
-            const costCheck = await this.checkCostSentinel(qosTier, message);
+            // 4. Agent Selection (budgets are per agent, so this comes before the cost check)
+            let targetAgent = plan ? 'rika' : this.selectTargetAgent(intent, context);
+            if (plan) {
+                console.log(`🧩 Compound request split into ${plan.subtasks.length} subtasks: ${plan.subtasks.map(subtask => subtask.agentId).join(', ')}`);
+            } else if (uncertain) {
+                targetAgent = 'rika';
+            }
+
+            // 5. Cost Check: may downgrade the tier near a hard limit rather than refuse
+            const costCheck = await this.checkCostSentinel(qosTier, message, intent, routingId, {
+                plan,
+                targetAgent,
+                userId: context.userId
+            });
             if (!costCheck.allowed) {
+                this.costLedger.reconcile(routingId);
                 return this.createErrorResponse(costCheck.reason, routingId);
             }
-            
-            // 5. Agent Selection
-            const targetAgent = this.selectTargetAgent(intent, context);
+            qosTier = costCheck.qosTier;
+
+            if (plan) {
+                this.routingStats.decomposed++;
+            } else if (uncertain) {
+                this.routingStats.lowConfidenceFallbacks++;
+                console.log(`🤔 Low intent confidence (${intent.confidence}), RIKA answers; candidates: ${candidates.map(c => c.category).join(', ')}`);
+            }
             
             // 6. Council Check (if needed)
-            const needsCouncil = this.requiresCouncilCheck(intent, targetAgent);
             let councilAdvice = null;
-            if (needsCouncil) {
-                councilAdvice = await this.performCouncilCheck(message, intent, targetAgent);
+            if (plan) {
+                councilAdvice = await this.performPlanCouncilCheck(plan, routingId);
+            } else if (this.requiresCouncilCheck(intent, targetAgent)) {
+                councilAdvice = await this.performCouncilCheck(message, intent, targetAgent, routingId);
             }
 
             const processingTime = Date.now() - startTime;
@@ -107,6 +187,10 @@ class IntelligenceRouter {
                 qosTier: qosTier,
                 memoryContext: memoryContext,
                 councilAdvice: councilAdvice,
+                ...(uncertain && { lowConfidence: true, candidates }),
+                ...(plan && { plan }),
+                ...(costCheck.downgraded && { budgetDowngrade: costCheck.downgraded }),
+                estimatedCost: costCheck.estimatedCost,
                 processingTime: processingTime,
                 timestamp: Date.now()
             };
@@ -116,11 +200,12 @@ class IntelligenceRouter {
 
         } catch (error) {
             console.error(`❌ Routing failed for ${routingId}:`, error);
+            this.costLedger.reconcile(routingId);
             return this.createErrorResponse(error.message, routingId);
         }
     }
 
-    async classifyIntent(message, context) {
+    async classifyIntent(message, context, routingId = null) {
         const cacheKey = `intent_${this.hashMessage(message)}`;
         const cached = this.intentCache.get(cacheKey);
         
@@ -128,50 +213,85 @@ class IntelligenceRouter {
             return cached.intent;
         }
 
-        try {
-            const classification = await this.toolBroker.callProvider('openai', 'chat', {
-                model: 'gpt-3.5-turbo',
-                messages: [
-                    {
-                        role: 'system',
-                        content: `Classify the user's intent. Respond with JSON:
+        // Local classifier first; only ambiguous messages pay for an LLM round trip
+        let intent = this.localClassifier.classify(message);
+
+        if (this.shouldEscalateIntent(intent, context)) {
+            try {
+                const local = intent;
+                intent = await this.classifyIntentWithLLM(message, context, routingId);
+                intent.source = 'llm';
+                this.intentStats.escalated++;
+
+                // Confident LLM labels teach the local model
+                if (intent.confidence >= this.intentLearnThreshold && intent.category !== local.category) {
+                    this.localClassifier.learn(message, intent.category, 'llm');
+                }
+            } catch (error) {
+                console.warn('LLM intent classification failed, using local result:', error.message);
+            }
+        } else {
+            this.intentStats.local++;
+        }
+
+        // Add context enhancements
+        intent.hasContext = !!context.conversationId;
+        intent.isFollowUp = !!context.previousMessage;
+        intent.userPreferences = context.userPreferences || {};
+
+        // Cache the result
+        this.intentCache.set(cacheKey, {
+            intent,
+            timestamp: Date.now()
+        });
+
+        return intent;
+    }
+
+    // Voice turns never wait on the LLM classifier; neither does a confident local result
+    shouldEscalateIntent(intent, context = {}) {
+        return intent.confidence < this.localIntentThreshold &&
+            !context.isVoice && !context.isCall &&
+            this.toolBroker.hasService('llm');
+    }
+
+    async classifyIntentWithLLM(message, context, routingId) {
+        const classification = await this.toolBroker.callWithFallback('llm', 'chat', {
+            model: 'gpt-3.5-turbo',
+            messages: [
+                {
+                    role: 'system',
+                    content: `Classify the user's intent. Respond with JSON:
 {
   "category": "security|creative|research|learning|content|fashion|finance|fitness|general",
   "confidence": 0.0-1.0,
+  "alternatives": [{ "category": "next most likely category", "confidence": 0.0-1.0 }],
   "complexity": "simple|moderate|complex",
   "urgency": "low|medium|high",
   "requiresTools": true|false,
   "estimatedTokens": number
 }`
-                    },
-                    {
-                        role: 'user',
-                        content: message
-                    }
-                ],
-                maxTokens: 200,
-                temperature: 0.1
-            });
-
-            const intent = JSON.parse(classification.choices[0].message.content);
-            
-            // Add context enhancements
-            intent.hasContext = !!context.conversationId;
-            intent.isFollowUp = !!context.previousMessage;
-            intent.userPreferences = context.userPreferences || {};
-
-            // Cache the result
-            this.intentCache.set(cacheKey, {
-                intent,
-                timestamp: Date.now()
-            });
+                },
+                {
+                    role: 'user',
+                    content: message
+                }
+            ],
+            maxTokens: 200,
+            temperature: 0.1
+        }, {
+            priority: this.getCallPriority(context),
+            context: { routingId, purpose: 'classifier' }
+        });
 
-            return intent;
+        return this.parseJsonResponse(classification.choices[0].message.content);
+    }
 
-        } catch (error) {
-            console.warn('Intent classification failed, using fallback:', error.message);
-            return this.getFallbackIntent(message);
-        }
+    // Calls made before a tier is chosen still jump the queue for voice
+    getCallPriority(context = {}) {
+        return context.isVoice || context.isCall
+            ? this.qosTiers.realtime.priority
+            : this.qosTiers.interactive.priority;
     }
 
     selectQoSTier(intent, context) {
@@ -194,7 +314,7 @@ class IntelligenceRouter {
         return this.qosTiers.interactive;
     }
 
-    async assembleMemoryContext(message, intent) {
+    async assembleMemoryContext(message, intent, qosTier = this.qosTiers.interactive, routingId = null, scope = {}) {
         const context = {
             shortTerm: [],
             midTerm: [],
@@ -216,14 +336,19 @@ class IntelligenceRouter {
             }
         }
 
-        // Get pinned items
-        context.pins = Array.from(this.memoryShaping.pins);
+        // Pinned notes belong to whoever pinned them
+        context.pins = this.pinsFor(scope.userId);
 
-        // Vector search for long-term memory (if available)
-        if (this.toolBroker.providers.has('pinecone')) {
+        // Vector search for long-term memory (Pinecone, or the local SQLite store)
+        if (this.canUseLongTermMemory(scope.userId)) {
             try {
-                // This would be implemented with actual vector embeddings
                 console.log('🔍 Searching long-term memory...');
+                context.longTerm = await this.searchLongTermMemory(message, {
+                    userId: scope.userId,
+                    agent: scope.agent,
+                    priority: qosTier.priority,
+                    context: { routingId, tier: qosTier.name, purpose: 'memory' }
+                });
             } catch (error) {
                 console.warn('Vector search failed:', error.message);
             }
@@ -232,45 +357,91 @@ class IntelligenceRouter {
         return context;
     }
 
-    async checkCostSentinel(qosTier, message) {
-        const dailyBudget = parseFloat(process.env.DAILY_BUDGET_USD) || 10.0;
-        const estimatedCost = this.estimateRequestCost(qosTier, message);
+    // options: { plan?, targetAgent, userId? }. Every budget scope the request touches
+    // (global, user, agent, tier; daily and monthly) must have room for its estimate.
+    async checkCostSentinel(qosTier, message, intent = {}, routingId = null, options = {}) {
+        const request = tier => ({
+            userId: options.userId,
+            tier: tier.name,
+            costs: this.estimateAgentCosts(tier, message, intent, options)
+        });
 
-        if (this.costTracker.daily + estimatedCost > dailyBudget) {
+        const reservations = this.costLedger.getPendingReservations();
+        let tier = qosTier;
+        let check = this.budgets.check(request(tier), reservations);
+        let downgraded = null;
+
+        // Near (or over) a hard limit, the realtime model may still fit where interactive does not
+        if (tier.name === 'interactive' && (!check.allowed || check.nearLimit)) {
+            const cheaper = this.getDowngradedTier(tier);
+            const retry = this.budgets.check(request(cheaper), reservations);
+            if (retry.allowed) {
+                downgraded = { from: tier.name, to: cheaper.name, model: cheaper.model, budget: check.tightest.key, period: check.tightest.period };
+                console.log(`📉 ${check.tightest.key} ${check.tightest.period} budget at ${Math.round(check.tightest.ratio * 100)}%, downgrading to ${cheaper.model}`);
+                tier = cheaper;
+                check = retry;
+            }
+        }
+
+        if (!check.allowed) {
+            const [first] = check.exceeded;
+            const label = first.key === 'global' ? 'Global' : first.key;
             return {
                 allowed: false,
-                reason: `Daily budget exceeded: $${this.costTracker.daily.toFixed(2)} + $${estimatedCost.toFixed(2)} > $${dailyBudget}`,
-                currentSpend: this.costTracker.daily,
-                estimatedCost,
-                dailyBudget
+                reason: `${label} ${first.period} budget exceeded: $${(first.spent + first.pending).toFixed(2)} + $${first.cost.toFixed(2)} > $${first.limit.toFixed(2)}`,
+                exceeded: check.exceeded,
+                estimatedCost: check.estimatedCost
             };
         }
 
-        // Update cost tracking
-        this.costTracker.daily += estimatedCost;
+        // Hold the estimate until the actual cost is reconciled
+        if (routingId) {
+            this.costLedger.reserve(routingId, check.estimatedCost, { tier: tier.name, costs: request(tier).costs });
+        }
         this.costTracker.requests++;
 
         return {
             allowed: true,
-            estimatedCost,
-            remainingBudget: dailyBudget - this.costTracker.daily
+            qosTier: tier,
+            downgraded,
+            estimatedCost: check.estimatedCost,
+            tightestBudget: check.tightest
         };
     }
 
-    selectTargetAgent(intent, context) {
-        const agentMap = {
-            security: 'echo',
-            creative: 'rig',
-            research: 'scout',
-            learning: 'kibo',
-            content: 'craft',
-            fashion: 'moda',
-            finance: 'mint',
-            fitness: 'pulse',
-            general: 'rika'
+    // Estimated spend per agent: one call for a single agent; for a plan one per subtask plus RIKA's merge
+    estimateAgentCosts(qosTier, message, intent, options) {
+        const costs = {};
+        const add = (agent, cost) => { costs[agent] = (costs[agent] || 0) + cost; };
+
+        if (options.plan) {
+            options.plan.subtasks.forEach(subtask => add(subtask.agentId, this.estimateRequestCost(qosTier, subtask.task, subtask.intent)));
+        }
+        add(options.targetAgent || 'rika', this.estimateRequestCost(qosTier, message, intent));
+        return costs;
+    }
+
+    // The realtime model at the original tier's priority and timeout: cheaper, not queue-jumping
+    getDowngradedTier(qosTier) {
+        return {
+            ...this.qosTiers.realtime,
+            priority: qosTier.priority,
+            timeoutMs: qosTier.timeoutMs,
+            downgradedFrom: qosTier.name
         };
+    }
+
+    reconcileCost(routingId) {
+        const result = this.costLedger.reconcile(routingId);
+        if (result) {
+            console.log(`💰 Cost ${routingId}: estimated $${result.estimatedCost.toFixed(4)}, actual $${result.actualCost.toFixed(4)}`);
+        }
+        return result;
+    }
 
-        const targetAgent = agentMap[intent.category] || 'rika';
+
+    selectTargetAgent(intent, context) {
+        const targetAgent = this.categoryAgents[intent.category] || 'rika';
         
         // Override with context preferences
         if (context.preferredAgent && this.isAgentAvailable(context.preferredAgent)) {
@@ -280,6 +451,118 @@ class IntelligenceRouter {
         return targetAgent;
     }
 
+    // The agent picked in answer to a clarifying question labels the original message. Only
+    // answers to a question this server asked count, once, from whoever it was asked of, and
+    // only with one of the offered agents; anything else a client claims is not a label.
+    learnFromClarification(message, context) {
+        if (!context.clarified || !context.preferredAgent) {
+            return;
+        }
+
+        const pending = this.pendingClarifications.get(context.clarified);
+        if (!pending || pending.expiresAt < Date.now() || pending.owner !== (context.socketId || null) ||
+            pending.message !== message || !pending.agentIds.includes(context.preferredAgent)) {
+            return;
+        }
+        this.pendingClarifications.delete(context.clarified);
+
+        const category = Object.keys(this.categoryAgents).find(name => this.categoryAgents[name] === context.preferredAgent);
+        if (category) {
+            this.localClassifier.learn(message, category, 'clarification');
+        }
+    }
+
+    // A user who picked an agent wants that agent; voice turns cannot wait for a fan-out
+    async planSubtasks(message, context, routingId) {
+        if (context.preferredAgent || context.isVoice || context.isCall || context.decompose === false) {
+            return null;
+        }
+
+        try {
+            return await this.taskDecomposer.decompose(message, {
+                routingId,
+                priority: this.getCallPriority(context)
+            });
+        } catch (error) {
+            console.warn('Task decomposition failed, routing to a single agent:', error.message);
+            return null;
+        }
+    }
+
+    // Top two categories the classifier considered, one per agent, most likely first
+    getIntentCandidates(intent) {
+        const ranked = [{ category: intent.category, confidence: intent.confidence }, ...(intent.alternatives || [])]
+            .filter(candidate => this.categoryAgents[candidate?.category])
+            .map(candidate => ({
+                category: candidate.category,
+                confidence: typeof candidate.confidence === 'number' ? candidate.confidence : null,
+                agentId: this.categoryAgents[candidate.category]
+            }))
+            .sort((a, b) => (b.confidence ?? 0) - (a.confidence ?? 0));
+
+        const candidates = [];
+        for (const candidate of ranked) {
+            if (!candidates.some(existing => existing.agentId === candidate.agentId)) {
+                candidates.push(candidate);
+            }
+        }
+        return candidates.slice(0, 2);
+    }
+
+    // Only matters when no agent was chosen by the user and a specialist is in play
+    isUncertain(intent, candidates, context) {
+        if (context.preferredAgent || typeof intent.confidence !== 'number') {
+            return false;
+        }
+        return intent.confidence < this.confidenceThreshold &&
+            candidates.some(candidate => candidate.agentId !== 'rika');
+    }
+
+    // Channels that can render quick replies say so with context.canClarify
+    canClarify(context) {
+        return this.lowConfidenceMode === 'clarify' &&
+            !!context.canClarify &&
+            !context.isVoice && !context.isCall;
+    }
+
+    createClarification(message, intent, candidates, routingId, owner = null) {
+        const options = candidates
+            .filter(candidate => candidate.agentId !== 'rika')
+            .map(candidate => ({
+                agentId: candidate.agentId,
+                category: candidate.category,
+                confidence: candidate.confidence,
+                label: `${candidate.category.charAt(0).toUpperCase()}${candidate.category.slice(1)} (${candidate.agentId})`
+            }));
+        options.push({ agentId: 'rika', category: 'general', confidence: null, label: 'Just answer (rika)' });
+
+        const now = Date.now();
+        for (const [id, pending] of this.pendingClarifications) {
+            if (pending.expiresAt < now) {
+                this.pendingClarifications.delete(id);
+            }
+        }
+        this.pendingClarifications.set(routingId, {
+            message,
+            agentIds: options.map(option => option.agentId),
+            owner,
+            expiresAt: now + CLARIFICATION_TTL_MS
+        });
+
+        return {
+            id: routingId,
+            clarification: {
+                message,
+                question: `I'm not sure what kind of help you need. Is this about ${options.slice(0, -1).map(option => option.category).join(' or ')}?`,
+                options,
+                confidence: intent.confidence,
+                threshold: this.confidenceThreshold
+            },
+            intent,
+            timestamp: Date.now()
+        };
+    }
+
     requiresCouncilCheck(intent, targetAgent) {
         // Council check for high-stakes decisions
         if (intent.urgency === 'high' && intent.complexity === 'complex') {
@@ -299,49 +582,38 @@ class IntelligenceRouter {
         return false;
     }
 
-    async performCouncilCheck(message, intent, targetAgent) {
-        const councilStartTime = Date.now();
-        const budgetMs = 120; // 120ms budget for council check
-        
-        console.log(`🏛️ Council check for ${targetAgent}: ${this.councilMembers.join(', ')}`);
-
-        try {
-            const councilPrompt = `Brief council review (max 20 words):
-Message: "${message}"
-Target Agent: ${targetAgent}
-Intent: ${intent.category} (${intent.confidence} confidence)
-
-Flags to check: missing_source, risky_action, cost_spike
+    async performCouncilCheck(message, intent, targetAgent, routingId = null) {
+        console.log(`🏛️ Council check for ${targetAgent}: ${this.council.memberIds.join(', ')}`);
 
-Respond with JSON: {"flags": ["flag1", "flag2"], "recommendation": "proceed|caution|block", "reason": "brief reason"}`;
-
-            const councilResponse = await this.toolBroker.callProvider('openai', 'chat', {
-                model: 'gpt-3.5-turbo',
-                messages: [{ role: 'user', content: councilPrompt }],
-                maxTokens: 100,
-                temperature: 0.1
-            }, { maxRetries: 1 });
+        const advice = await this.council.review({
+            message,
+            intent,
+            targetAgent,
+            routingId,
+            priority: this.qosTiers.realtime.priority,
+            tier: this.qosTiers.realtime.name
+        });
 
-            const advice = JSON.parse(councilResponse.choices[0].message.content);
-            const councilTime = Date.now() - councilStartTime;
+        const missing = advice.missing.length ? `, missing ${advice.missing.map(entry => `${entry.member} (${entry.status})`).join(', ')}` : '';
+        console.log(`✅ Council decision: ${advice.recommendation} from ${advice.votes.length} votes (${advice.councilTime}ms${missing})`);
+        return advice;
+    }
 
-            console.log(`✅ Council decision: ${advice.recommendation} (${councilTime}ms)`);
+    // Each subtask that would need a council check gets one; the strictest advice stands for the plan
+    async performPlanCouncilCheck(plan, routingId = null) {
+        const checked = plan.subtasks.filter(subtask => this.requiresCouncilCheck(subtask.intent, subtask.agentId));
+        if (checked.length === 0) {
+            return null;
+        }
 
-            return {
-                ...advice,
-                councilTime,
-                withinBudget: councilTime <= budgetMs
-            };
+        const severity = { proceed: 0, caution: 1, block: 2 };
+        const results = await Promise.all(checked.map(async subtask => {
+            subtask.councilAdvice = await this.performCouncilCheck(subtask.task, subtask.intent, subtask.agentId, routingId);
+            return { ...subtask.councilAdvice, subtaskId: subtask.id };
+        }));
 
-        } catch (error) {
-            console.warn('Council check failed, allowing by default:', error.message);
-            return {
-                flags: [],
-                recommendation: 'proceed',
-                reason: 'council_unavailable',
-                councilTime: Date.now() - councilStartTime
-            };
-        }
+        return results.reduce((strictest, advice) =>
+            (severity[advice.recommendation] || 0) > (severity[strictest.recommendation] || 0) ? advice : strictest);
     }
 
     // Memory Management
@@ -363,11 +635,189 @@ Respond with JSON: {"flags": ["flag1", "flag2"], "recommendation": "proceed|caut
         });
     }
 
-    pinToMemory(item) {
-        this.memoryShaping.pins.add({
-            ...item,
-            pinnedAt: Date.now()
+    // Long-term memory: embeddings in the vector chain (pinecone -> sqlite). It is per user;
+    // anonymous requests would all share one namespace, so they neither read nor write it
+    canUseLongTermMemory(userId) {
+        return !!userId && this.toolBroker.hasService('vector') && this.toolBroker.hasService('llm');
+    }
+
+    // Each stored exchange costs an embedding, so small talk is not kept. Short messages
+    // only count when they say something about the user ("remember I'm vegetarian").
+    isWorthRemembering(message, reply) {
+        if (!reply || !message) {
+            return false;
+        }
+        const words = message.trim().split(/\s+/).length;
+        return words >= this.memoryMinWords || MEMORY_CUE.test(message);
+    }
+
+    // Stores a finished exchange for the user; resolves to the memory id, or null when skipped
+    async rememberExchange(message, reply, routing, options = {}) {
+        if (!this.canUseLongTermMemory(options.userId) || !this.isWorthRemembering(message, reply)) {
+            return null;
+        }
+
+        return this.storeLongTermMemory(
+            `User: ${message}\n${routing.targetAgent}: ${reply}`,
+            {
+                agent: routing.targetAgent,
+                category: routing.intent.category,
+                routingId: routing.id,
+                ...(options.channel && { channel: options.channel })
+            },
+            { userId: options.userId }
+        );
+    }
+
+    async embedText(text, priority, context) {
+        const response = await this.toolBroker.callWithFallback('llm', 'embed', { input: text }, { priority, context });
+        return response.data[0].embedding;
+    }
+
+    // One namespace per user so memories never cross users; agents are a metadata filter
+    // within it, so RIKA can still recall what the user told Scout
+    memoryNamespace(userId) {
+        return userId ? `user:${userId}` : '';
+    }
+
+    memoryFilter(options = {}) {
+        const conditions = [];
+        if (options.agent) {
+            conditions.push({ agent: { $eq: options.agent } });
+        }
+        if (options.filter) {
+            conditions.push(options.filter);
+        }
+
+        if (conditions.length === 0) {
+            return undefined;
+        }
+        return conditions.length === 1 ? conditions[0] : { $and: conditions };
+    }
+
+    async storeLongTermMemory(text, metadata = {}, options = {}) {
+        if (!this.canUseLongTermMemory(options.userId)) {
+            return null;
+        }
+
+        const id = options.id || uuidv4();
+        const namespace = this.memoryNamespace(options.userId);
+        const priority = options.priority || this.qosTiers.batch.priority;
+        const usageContext = { agent: metadata.agent, purpose: 'memory' };
+        const values = await this.embedText(text, priority, usageContext);
+
+        await this.toolBroker.callWithFallback('vector', 'upsert', {
+            namespace,
+            vectors: [{
+                id,
+                values,
+                metadata: {
+                    ...metadata,
+                    ...(options.userId ? { userId: String(options.userId) } : {}),
+                    text,
+                    timestamp: Date.now()
+                }
+            }]
+        }, { priority, context: usageContext });
+
+        this.memoryShaping.longTerm.set(id, {
+            id,
+            namespace,
+            agent: metadata.agent,
+            timestamp: Date.now()
         });
+
+        return id;
+    }
+
+    async searchLongTermMemory(text, options = {}) {
+        const minScore = options.minScore ?? (parseFloat(process.env.MEMORY_MIN_SCORE) || 0.75);
+        const vector = await this.embedText(text, options.priority, options.context);
+
+        const result = await this.toolBroker.callWithFallback('vector', 'query', {
+            vector,
+            topK: options.topK || 5,
+            namespace: this.memoryNamespace(options.userId),
+            filter: this.memoryFilter(options)
+        }, { priority: options.priority, context: options.context });
+
+        return (result.matches || [])
+            .filter(match => match.score >= minScore)
+            .map(match => ({
+                id: match.id,
+                score: match.score,
+                ...match.metadata
+            }));
+    }
+
+    // Forget a user's memories: specific ids, one agent's, a metadata filter, or all of them.
+    // Writes go to whichever vector provider was up, so every configured one is cleared.
+    async forgetLongTermMemory(options = {}) {
+        const namespace = this.memoryNamespace(options.userId);
+        const ids = options.ids?.length ? options.ids.map(String) : undefined;
+        const filter = ids ? undefined : this.memoryFilter(options);
+
+        if (!ids && !filter && !options.userId) {
+            throw new Error('Refusing to forget the shared memory namespace without ids or a filter');
+        }
+
+        const params = { namespace, ids, filter, deleteAll: !ids && !filter };
+        const results = {};
+
+        for (const provider of this.toolBroker.getServiceProviders('vector')) {
+            try {
+                const result = await this.toolBroker.callProvider(provider, 'delete', params, {
+                    context: { purpose: 'memory' }
+                });
+                results[provider] = { deleted: true, deletedCount: result?.deletedCount ?? null };
+            } catch (error) {
+                console.warn(`Memory delete failed on ${provider}:`, error.message);
+                results[provider] = { deleted: false, error: error.message };
+            }
+        }
+
+        for (const [id, ref] of this.memoryShaping.longTerm) {
+            const inScope = ref.namespace === namespace && (!options.agent || ref.agent === options.agent);
+            if (inScope && (ids ? ids.includes(id) : !options.filter)) {
+                this.memoryShaping.longTerm.delete(id);
+            }
+        }
+
+        console.log(`🧹 Forgot long-term memory in "${namespace || 'shared'}"${options.agent ? ` for ${options.agent}` : ''}`);
+        return { namespace, providers: results };
+    }
+
+    async getLongTermMemoryStats() {
+        const stats = {};
+        for (const provider of this.toolBroker.getServiceProviders('vector')) {
+            try {
+                stats[provider] = await this.toolBroker.callProvider(provider, 'stats', {});
+            } catch (error) {
+                stats[provider] = { error: error.message };
+            }
+        }
+        return stats;
+    }
+
+    // The newest MAX_PINS_PER_USER notes are kept; returns how many the user has pinned
+    pinToMemory(userId, item) {
+        if (!userId) {
+            throw new Error('Pinning needs a userId');
+        }
+
+        const pins = this.memoryShaping.pins.get(userId) || [];
+        pins.push({ ...item, pinnedAt: Date.now() });
+        pins.splice(0, pins.length - MAX_PINS_PER_USER);
+        this.memoryShaping.pins.set(userId, pins);
+        return pins.length;
+    }
+
+    pinsFor(userId) {
+        return userId ? [...(this.memoryShaping.pins.get(userId) || [])] : [];
+    }
+
+    clearPins(userId) {
+        return this.memoryShaping.pins.delete(userId);
     }
 
     cleanupMemory(type) {
@@ -383,20 +833,29 @@ Respond with JSON: {"flags": ["flag1", "flag2"], "recommendation": "proceed|caut
     }
 
     // Utility methods
+    parseJsonResponse(content) {
+        // Local models often wrap JSON in prose or code fences
+        const match = (content || '').match(/\{[\s\S]*\}/);
+        return JSON.parse(match ? match[0] : content);
+    }
+
     hashMessage(message) {
         return require('crypto').createHash('md5').update(message).digest('hex').substring(0, 8);
     }
 
-    estimateRequestCost(qosTier, message) {
-        const baseCost = {
-            'gpt-3.5-turbo': 0.0015, // per 1K tokens
-            'gpt-4': 0.03
-        };
+    estimateRequestCost(qosTier, message, intent = {}) {
+        // ~4 characters per token, plus the agent system prompt
+        const inputTokens = Math.ceil(message.length / 4) + 50;
+        const outputTokens = Math.min(intent.estimatedTokens || qosTier.maxTokens / 2, qosTier.maxTokens);
 
-        const estimatedTokens = Math.ceil(message.length / 3); // Rough estimate
-        const modelCost = baseCost[qosTier.model] || baseCost['gpt-3.5-turbo'];
-        
-        return (estimatedTokens / 1000) * modelCost * qosTier.costMultiplier;
+        const cost = this.toolBroker.pricing.price({
+            provider: 'openai',
+            model: qosTier.model,
+            inputTokens,
+            outputTokens
+        });
+
+        return cost * qosTier.costMultiplier;
     }
 
     isAgentAvailable(agentId) {
@@ -404,17 +863,6 @@ Respond with JSON: {"flags": ["flag1", "flag2"], "recommendation": "proceed|caut
         return ['rika', 'echo', 'rig', 'scout', 'kibo', 'craft', 'moda', 'mint', 'pulse'].includes(agentId);
     }
 
-    getFallbackIntent(message) {
-        return {
-            category: 'general',
-            confidence: 0.5,
-            complexity: 'moderate',
-            urgency: 'medium',
-            requiresTools: false,
-            estimatedTokens: 500
-        };
-    }
-
     createErrorResponse(message, routingId) {
         return {
             id: routingId,
@@ -430,15 +878,28 @@ Respond with JSON: {"flags": ["flag1", "flag2"], "recommendation": "proceed|caut
     getStatus() {
         return {
             costTracker: this.costTracker,
+            costBreakdown: this.costLedger.getSummary(),
+            budgets: this.budgets.getStatus(),
             memoryStats: {
                 shortTerm: this.memoryShaping.shortTerm.size,
                 midTerm: this.memoryShaping.midTerm.size,
                 longTerm: this.memoryShaping.longTerm.size,
-                pins: this.memoryShaping.pins.size
+                pins: [...this.memoryShaping.pins.values()].reduce((total, pins) => total + pins.length, 0)
             },
             intentCache: {
                 size: this.intentCache.size,
                 hitRate: this.getCacheHitRate()
+            },
+            intentClassifier: {
+                ...this.intentStats,
+                escalateBelow: this.localIntentThreshold,
+                ...this.localClassifier.getStats()
+            },
+            council: this.council.getStatus(),
+            intentConfidence: {
+                threshold: this.confidenceThreshold,
+                lowConfidenceMode: this.lowConfidenceMode,
+                ...this.routingStats
             }
         };
     }
@@ -448,9 +909,17 @@ Respond with JSON: {"flags": ["flag1", "flag2"], "recommendation": "proceed|caut
         return 0.85; // Placeholder
     }
 
+    // costTracker's daily and monthly totals follow the persisted global budget periods
+    syncCostTracker() {
+        this.costTracker.daily = this.budgets.spent('global', 'daily');
+        this.costTracker.monthly = this.budgets.spent('global', 'monthly');
+    }
+
     resetDailyCosts() {
-        this.costTracker.daily = 0;
+        this.budgets.rollover();
+        this.syncCostTracker();
         this.costTracker.requests = 0;
+        this.costLedger.resetDaily();
         console.log('💰 Daily cost tracker reset');
     }
 }
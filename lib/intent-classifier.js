@@ -0,0 +1,304 @@
+// RIKA 2.0 - Offline intent classifier: keyword rules + a naive Bayes model
+//
+// Runs before the LLM classifier and returns the same intent schema. The model is
+// trained by scripts/train-intent-model.js from config/intent-training.json plus
+// labeled routing history, and keeps learning from new labels at runtime (LLM
+// classifications it was confident about, answers to clarifying questions).
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_PATH = path.join(__dirname, '../config/intent-model.json');
+const HISTORY_PATH = path.join(__dirname, '../data/intent-history.jsonl');
+const HISTORY_REPLAY_LIMIT = 5000;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'to', 'of', 'in', 'on', 'for',
+    'with', 'at', 'by', 'from', 'it', 'this', 'that', 'these', 'those', 'i', 'me', 'my', 'we', 'our', 'you',
+    'your', 'do', 'does', 'did', 'can', 'could', 'should', 'would', 'will', 'please', 'what', 'how', 'so',
+    'if', 'as', 'about', 'some', 'any', 'there', 'them', 'they', 'he', 'she', 'him', 'her', 'its', 'am'
+]);
+
+// One point per pattern that matches; a strong signal on short messages the model has little to go on
+const RULES = {
+    security: [
+        /\b(passwords?|passphrases?|2fa|mfa|two[- ]factor)\b/i,
+        /\b(phish\w*|malware|ransomware|virus(es)?|trojans?|spyware)\b/i,
+        /\b(breach\w*|hack(ed|er|ers|ing)?|leak(ed|s)?|exploit\w*|vulnerab\w*|cve-\d{4}-\d+)\b/i,
+        /\b(firewall|encrypt\w*|ssh|vpn|threat model\w*|gdpr|compliance)\b/i
+    ],
+    creative: [
+        /\b(3d|blender|render(s|ing)?|mesh(es)?|low[- ]poly|uv unwrap|textur\w*)\b/i,
+        /\b(illustrat\w*|sketch\w*|storyboard\w*|concept art|logo|colou?r palette)\b/i,
+        /\b(animat\w*|model(l)?ing a|visuali[sz]ation|camera angles?)\b/i
+    ],
+    research: [
+        /\b(research|studies|study on|papers?|peer[- ]reviewed|literature review)\b/i,
+        /\b(sources?|citations?|cite|fact[- ]check\w*|verify|evidence)\b/i,
+        /\b(latest|recent|history of|who invented|statistics|market share)\b/i
+    ],
+    learning: [
+        /\b(learn(ing)?|study plan|studying|flashcards?|quiz me|spaced repetition)\b/i,
+        /\b(exam|certification|course|curriculum|lesson|tutor\w*)\b/i,
+        /\b(explain .* (beginner|simply)|teach me|practice problems|step by step)\b/i
+    ],
+    content: [
+        /\b(post|tweets?|thread|caption|hashtags?|newsletter|press release|blog)\b/i,
+        /\b(content calendar|campaign|engagement|followers|brand voice|tagline\w*|copy(writing)?)\b/i,
+        /\b(linkedin|instagram|tiktok|youtube|twitter|social media)\b/i
+    ],
+    fashion: [
+        /\b(wear|outfits?|wardrobe|dress(es)?|shoes|jacket|trousers|jeans|accessor\w*)\b/i,
+        /\b(style|styling|fashion|trend(s|y)?|undertones?|capsule)\b/i
+    ],
+    finance: [
+        /\b(budget\w*|sav(e|ing|ings)|spend(ing)?|expenses?|overspend\w*)\b/i,
+        /\b(invest\w*|stocks?|bonds?|etfs?|index funds?|portfolio|retirement|401k|ira)\b/i,
+        /\b(mortgage|loan|credit card|debt|interest rates?|tax(es|ed)?|capital gains)\b/i,
+        /[$€£]\s?\d/
+    ],
+    fitness: [
+        /\b(workout|exercis\w*|training|gym|squats?|lift(ing)?|run(ning)?|marathon|cardio)\b/i,
+        /\b(calories|protein|diet|meal prep|nutrition|weight loss|lose weight)\b/i,
+        /\b(stretch\w*|mobility|recovery|heart rate|steps)\b/i
+    ],
+    general: [
+        /^\s*(hi|hello|hey|good (morning|evening|night)|thanks?( you)?|goodnight)\b/i,
+        /\b(who are you|what can you do|tell me a joke|remind me|set a reminder)\b/i
+    ]
+};
+
+const COMPLEX_HINTS = /\b(plan|strategy|compare|comparison|analy[sz]e|analysis|detailed|comprehensive|in depth|step by step|review|literature|trade-?offs?)\b/i;
+const URGENT_HINTS = /\b(urgent\w*|asap|immediately|right now|emergency|critical|hacked|breach(ed)?)\b|!!/i;
+const SOON_HINTS = /\b(today|tonight|soon|quick(ly)?|this morning)\b/i;
+const TOOL_HINTS = /\b(search|look up|find|latest|current|news|send|text|message|remind|price|weather)\b/i;
+
+function tokenize(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9$€£\s-]/g, ' ')
+        .split(/[\s-]+/)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+    const tokens = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+        tokens.push(`${words[i]}_${words[i + 1]}`);
+    }
+    return tokens;
+}
+
+function emptyModel() {
+    return { version: 1, trainedAt: null, examples: 0, categories: {} };
+}
+
+function addExample(model, text, category) {
+    const entry = model.categories[category] || (model.categories[category] = { docs: 0, tokenCount: 0, counts: {} });
+    entry.docs++;
+    model.examples++;
+
+    for (const token of tokenize(text)) {
+        entry.counts[token] = (entry.counts[token] || 0) + 1;
+        entry.tokenCount++;
+    }
+}
+
+function trainModel(examples) {
+    const model = emptyModel();
+    for (const example of examples) {
+        if (example?.text && RULES[example.category]) {
+            addExample(model, example.text, example.category);
+        }
+    }
+    model.trainedAt = new Date().toISOString();
+    return model;
+}
+
+function softmax(scores) {
+    const max = Math.max(...Object.values(scores));
+    const exps = {};
+    let total = 0;
+    for (const [key, value] of Object.entries(scores)) {
+        exps[key] = Math.exp(value - max);
+        total += exps[key];
+    }
+    for (const key of Object.keys(exps)) {
+        exps[key] /= total;
+    }
+    return exps;
+}
+
+class LocalIntentClassifier {
+    constructor(options = {}) {
+        this.modelPath = options.modelPath || process.env.INTENT_MODEL_PATH || MODEL_PATH;
+        this.historyPath = options.historyPath || process.env.INTENT_HISTORY_PATH || HISTORY_PATH;
+        this.model = this.loadModel();
+        this.learned = this.replayHistory();
+        this.vocabulary = this.buildVocabulary();
+    }
+
+    loadModel() {
+        try {
+            return JSON.parse(fs.readFileSync(this.modelPath, 'utf8'));
+        } catch (error) {
+            console.log('⚠️ Intent model unavailable, using rules only:', error.message);
+            return emptyModel();
+        }
+    }
+
+    // Labels collected since the model was last trained
+    replayHistory() {
+        let lines = [];
+        try {
+            lines = fs.readFileSync(this.historyPath, 'utf8').split('\n').filter(Boolean).slice(-HISTORY_REPLAY_LIMIT);
+        } catch (error) {
+            return 0;
+        }
+
+        const trainedAt = this.model.trainedAt ? Date.parse(this.model.trainedAt) : 0;
+        let replayed = 0;
+        for (const line of lines) {
+            try {
+                const label = JSON.parse(line);
+                if (RULES[label.category] && Date.parse(label.timestamp) > trainedAt) {
+                    addExample(this.model, label.text, label.category);
+                    replayed++;
+                }
+            } catch (error) {
+                // A torn last line from a crash; skip it
+            }
+        }
+        return replayed;
+    }
+
+    buildVocabulary() {
+        const vocabulary = new Set();
+        for (const entry of Object.values(this.model.categories)) {
+            Object.keys(entry.counts).forEach(token => vocabulary.add(token));
+        }
+        return vocabulary;
+    }
+
+    // Naive Bayes posteriors plus how many known tokens they rest on
+    modelScores(tokens) {
+        const categories = Object.entries(this.model.categories);
+        if (categories.length === 0 || tokens.length === 0) {
+            return null;
+        }
+
+        const vocabularySize = Math.max(this.vocabulary.size, 1);
+        const known = tokens.filter(token => this.vocabulary.has(token));
+        if (known.length === 0) {
+            return null;
+        }
+
+        const logits = {};
+        for (const [category, entry] of categories) {
+            let score = Math.log(entry.docs / this.model.examples);
+            for (const token of known) {
+                score += Math.log(((entry.counts[token] || 0) + 1) / (entry.tokenCount + vocabularySize));
+            }
+            logits[category] = score;
+        }
+        return { scores: softmax(logits), evidence: known.length };
+    }
+
+    ruleScores(message) {
+        const hits = {};
+        let total = 0;
+        for (const [category, patterns] of Object.entries(RULES)) {
+            const count = patterns.filter(pattern => pattern.test(message)).length;
+            if (count > 0) {
+                hits[category] = count;
+                total += count;
+            }
+        }
+        if (total === 0) {
+            return null;
+        }
+
+        const scores = {};
+        for (const [category, count] of Object.entries(hits)) {
+            scores[category] = count / total;
+        }
+        return scores;
+    }
+
+    classify(message) {
+        const tokens = tokenize(message);
+        const model = this.modelScores(tokens);
+        const rules = this.ruleScores(message);
+
+        // The model earns weight with evidence; rules alone are never taken as certain
+        const modelWeight = !model ? 0 : (rules ? Math.min(0.7, model.evidence / (model.evidence + 3)) : 1);
+        const ruleWeight = model ? 1 - modelWeight : 0.8;
+
+        const combined = {};
+        for (const category of Object.keys(RULES)) {
+            combined[category] = modelWeight * (model?.scores[category] || 0) + ruleWeight * (rules?.[category] || 0);
+        }
+
+        const ranked = Object.entries(combined).sort((a, b) => b[1] - a[1]);
+        const [category, confidence] = model || rules ? ranked[0] : ['general', 0.3];
+        const complexity = this.estimateComplexity(message);
+
+        return {
+            category,
+            confidence: Math.round(confidence * 100) / 100,
+            alternatives: ranked.slice(1, 3)
+                .filter(([, score]) => score > 0)
+                .map(([name, score]) => ({ category: name, confidence: Math.round(score * 100) / 100 })),
+            complexity,
+            urgency: URGENT_HINTS.test(message) ? 'high' : SOON_HINTS.test(message) ? 'medium' : 'low',
+            requiresTools: TOOL_HINTS.test(message),
+            estimatedTokens: { simple: 200, moderate: 500, complex: 1500 }[complexity],
+            source: 'local'
+        };
+    }
+
+    estimateComplexity(message) {
+        const words = message.trim().split(/\s+/).length;
+        const questions = (message.match(/\?/g) || []).length;
+
+        if (words > 60 || questions > 2 || (COMPLEX_HINTS.test(message) && words > 12)) {
+            return 'complex';
+        }
+        if (words < 8 && !COMPLEX_HINTS.test(message)) {
+            return 'simple';
+        }
+        return 'moderate';
+    }
+
+    // Online update, persisted so the next training run (and restart) includes it
+    learn(text, category, source) {
+        if (!RULES[category] || !text) {
+            return false;
+        }
+
+        addExample(this.model, text, category);
+        tokenize(text).forEach(token => this.vocabulary.add(token));
+        this.learned++;
+
+        try {
+            fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+            fs.appendFileSync(this.historyPath, `${JSON.stringify({ text, category, source, timestamp: new Date().toISOString() })}\n`);
+        } catch (error) {
+            console.log('⚠️ Intent label not saved:', error.message);
+        }
+        return true;
+    }
+
+    getStats() {
+        return {
+            modelExamples: this.model.examples,
+            trainedAt: this.model.trainedAt,
+            learnedSinceTraining: this.learned,
+            vocabulary: this.vocabulary.size
+        };
+    }
+}
+
+module.exports = {
+    LocalIntentClassifier,
+    trainModel,
+    tokenize,
+    CATEGORIES: Object.keys(RULES)
+};
@@ -0,0 +1,61 @@
+// RIKA 2.0 - Pinecone-style metadata filter evaluation for local vector stores
+//
+// Supports { field: value }, { field: { $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists } }
+// and the $and / $or combinators, matching the Pinecone filter language.
+
+const COMPARATORS = {
+    $eq: (actual, expected) => matchesValue(actual, expected),
+    $ne: (actual, expected) => !matchesValue(actual, expected),
+    $gt: (actual, expected) => actual > expected,
+    $gte: (actual, expected) => actual >= expected,
+    $lt: (actual, expected) => actual < expected,
+    $lte: (actual, expected) => actual <= expected,
+    $in: (actual, expected) => Array.isArray(expected) && expected.some(value => matchesValue(actual, value)),
+    $nin: (actual, expected) => Array.isArray(expected) && !expected.some(value => matchesValue(actual, value)),
+    $exists: (actual, expected) => (actual !== undefined && actual !== null) === Boolean(expected)
+};
+
+function matchesValue(actual, expected) {
+    // List-valued metadata matches when any element matches
+    if (Array.isArray(actual)) {
+        return actual.includes(expected);
+    }
+    return actual === expected;
+}
+
+function matchesCondition(actual, condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return matchesValue(actual, condition);
+    }
+
+    return Object.entries(condition).every(([operator, expected]) => {
+        const compare = COMPARATORS[operator];
+        if (!compare) {
+            throw new Error(`Unsupported metadata filter operator: ${operator}`);
+        }
+        if (actual === undefined && operator !== '$ne' && operator !== '$nin' && operator !== '$exists') {
+            return false;
+        }
+        return compare(actual, expected);
+    });
+}
+
+function matchesFilter(metadata = {}, filter) {
+    if (!filter || Object.keys(filter).length === 0) {
+        return true;
+    }
+
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') {
+            return condition.every(clause => matchesFilter(metadata, clause));
+        }
+        if (key === '$or') {
+            return condition.some(clause => matchesFilter(metadata, clause));
+        }
+        return matchesCondition(metadata[key], condition);
+    });
+}
+
+module.exports = {
+    matchesFilter
+};
@@ -0,0 +1,115 @@
+// RIKA 2.0 - Page Cache: content-addressed snapshots of fetched web pages
+//
+// Each extracted text is stored once under its SHA-256, so a citation that carries the
+// hash keeps pointing at exactly what the agent read even after the live page changes.
+// What a URL resolved to (final URL, title, links, when) lives in a per-URL index, since
+// two URLs can serve identical text. The index is capped; snapshots no URL points at any
+// more are deleted with the entries that referenced them.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '../data/page-cache');
+
+class PageCache {
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.PAGE_CACHE_DIR || DEFAULT_DIR;
+        this.ttlMs = options.ttlMs || (parseFloat(process.env.PAGE_CACHE_TTL_HOURS) || 6) * 3600000;
+        this.maxPages = options.maxPages || parseInt(process.env.PAGE_CACHE_MAX_PAGES, 10) || 500;
+        this.indexPath = path.join(this.dir, 'index.json');
+        this.index = this.loadIndex(); // url -> { finalUrl, title, author, publishedAt, links, contentHash, fetchedAt }
+    }
+
+    loadIndex() {
+        try {
+            return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.log('⚠️ Page cache index unreadable, starting empty:', error.message);
+            }
+            return {};
+        }
+    }
+
+    static hash(text) {
+        return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+    }
+
+    snapshotPath(contentHash) {
+        if (!/^[a-f0-9]{64}$/.test(contentHash)) {
+            throw new Error('Invalid content hash');
+        }
+        return path.join(this.dir, `${contentHash}.json`);
+    }
+
+    // Latest page for a URL while it is fresh, otherwise null
+    getFresh(url) {
+        const entry = this.index[url];
+        if (!entry || Date.now() - entry.fetchedAt > this.ttlMs) {
+            return null;
+        }
+
+        const snapshot = this.getSnapshot(entry.contentHash);
+        return snapshot ? { url, ...entry, text: snapshot.text } : null;
+    }
+
+    // The text behind a hash and the URLs currently known to serve it
+    getSnapshot(contentHash) {
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath(contentHash), 'utf8'));
+            const sources = Object.entries(this.index)
+                .filter(([, entry]) => entry.contentHash === contentHash)
+                .map(([url, entry]) => ({ url, finalUrl: entry.finalUrl, title: entry.title, fetchedAt: entry.fetchedAt }));
+            return { ...snapshot, sources };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Stores the text (unchanged content is written once), indexes the URL and returns the page with its hash
+    put(page) {
+        const contentHash = PageCache.hash(page.text);
+        const { url, text, ...meta } = page;
+
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            const snapshotFile = this.snapshotPath(contentHash);
+            if (!fs.existsSync(snapshotFile)) {
+                fs.writeFileSync(snapshotFile, JSON.stringify({ contentHash, text }));
+            }
+
+            this.index[url] = { ...meta, contentHash };
+            this.evict();
+            const tempPath = `${this.indexPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.index));
+            fs.renameSync(tempPath, this.indexPath);
+        } catch (error) {
+            console.log('⚠️ Page snapshot not saved:', error.message);
+        }
+
+        return { ...page, contentHash };
+    }
+
+    // Drops the oldest URLs past the cap, and the snapshots only they pointed at
+    evict() {
+        const urls = Object.keys(this.index);
+        if (urls.length <= this.maxPages) {
+            return;
+        }
+
+        const dropped = urls
+            .sort((a, b) => this.index[a].fetchedAt - this.index[b].fetchedAt)
+            .slice(0, urls.length - this.maxPages);
+        const hashes = new Set(dropped.map(url => this.index[url].contentHash));
+        dropped.forEach(url => delete this.index[url]);
+
+        for (const entry of Object.values(this.index)) {
+            hashes.delete(entry.contentHash);
+        }
+        for (const contentHash of hashes) {
+            fs.rmSync(this.snapshotPath(contentHash), { force: true });
+        }
+    }
+}
+
+module.exports = PageCache;
@@ -0,0 +1,188 @@
+// RIKA 2.0 - Readable content extraction for fetched web pages
+//
+// Strips page chrome (navigation, ads, scripts), picks the main content block and
+// returns its text with title, author, publish date and outbound links. Long text is
+// split into overlapping chunks so an agent can read a page a piece at a time.
+const cheerio = require('cheerio');
+const { cleanText } = require('./search-results');
+
+const NOISE_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form',
+    'nav', 'header', 'footer', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+    '.advert', '.ad', '.ads', '.cookie-banner', '.newsletter', '.share', '.social', '.related', '.comments'
+].join(', ');
+
+const BLOCK_SELECTORS = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, td, figcaption';
+
+function firstAttr($, selectors, attribute) {
+    for (const selector of selectors) {
+        const value = $(selector).first().attr(attribute);
+        if (value && value.trim()) {
+            return value.trim();
+        }
+    }
+    return null;
+}
+
+// schema.org Article metadata, when the page embeds it
+function readJsonLd($) {
+    const found = {};
+
+    $('script[type="application/ld+json"]').each((index, element) => {
+        try {
+            const data = JSON.parse($(element).contents().text());
+            for (const item of [].concat(data['@graph'] || data)) {
+                const author = [].concat(item.author || [])[0];
+                found.author = found.author || (typeof author === 'string' ? author : author?.name);
+                found.publishedAt = found.publishedAt || item.datePublished;
+                found.title = found.title || item.headline;
+            }
+        } catch (error) {
+            // Malformed JSON-LD is common; the meta tags still apply
+        }
+    });
+
+    return found;
+}
+
+// The element holding the most paragraph text, unless the page marks its main content
+function findMainContent($) {
+    for (const selector of ['article', 'main', '[role="main"]', '#content', '.post-content', '.entry-content']) {
+        const candidate = $(selector).first();
+        if (candidate.length && cleanText(candidate.text()).length > 200) {
+            return candidate;
+        }
+    }
+
+    const scores = new Map();
+    $('p').each((index, element) => {
+        const parent = $(element).parent().get(0);
+        scores.set(parent, (scores.get(parent) || 0) + cleanText($(element).text()).length);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [element, score] of scores) {
+        if (score > bestScore) {
+            best = element;
+            bestScore = score;
+        }
+    }
+
+    return best ? $(best) : $('body');
+}
+
+function extractText($, root) {
+    const blocks = [];
+    root.find(BLOCK_SELECTORS).each((index, element) => {
+        // Nested blocks (p inside li) would otherwise be counted twice
+        if ($(element).parents(BLOCK_SELECTORS).length) {
+            return;
+        }
+        const text = cleanText($(element).text());
+        if (text) {
+            blocks.push(text);
+        }
+    });
+
+    return blocks.length ? blocks.join('\n\n') : cleanText(root.text());
+}
+
+function extractLinks($, root, pageUrl, limit) {
+    const pageHost = new URL(pageUrl).host;
+    const seen = new Set();
+    const links = [];
+
+    root.find('a[href]').each((index, element) => {
+        let url;
+        try {
+            url = new URL($(element).attr('href'), pageUrl);
+        } catch (error) {
+            return;
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return;
+        }
+
+        url.hash = '';
+        if (seen.has(url.href) || links.length >= limit) {
+            return;
+        }
+        seen.add(url.href);
+        links.push({
+            url: url.href,
+            text: cleanText($(element).text()),
+            external: url.host !== pageHost
+        });
+    });
+
+    return links;
+}
+
+function extractReadable(html, pageUrl, options = {}) {
+    const $ = cheerio.load(html);
+    const jsonLd = readJsonLd($);
+
+    const title = firstAttr($, ['meta[property="og:title"]', 'meta[name="twitter:title"]'], 'content') ||
+        jsonLd.title ||
+        cleanText($('title').first().text()) ||
+        cleanText($('h1').first().text()) ||
+        null;
+
+    const author = firstAttr($, ['meta[name="author"]', 'meta[property="article:author"]'], 'content') ||
+        jsonLd.author ||
+        cleanText($('[rel="author"], .author, .byline').first().text()) ||
+        null;
+
+    const publishedAt = firstAttr($, [
+        'meta[property="article:published_time"]',
+        'meta[name="date"]',
+        'meta[name="pubdate"]',
+        'meta[itemprop="datePublished"]'
+    ], 'content') || jsonLd.publishedAt || firstAttr($, ['time[datetime]'], 'datetime') || null;
+
+    $(NOISE_SELECTORS).remove();
+    const root = findMainContent($);
+
+    return {
+        title,
+        author,
+        publishedAt,
+        text: extractText($, root),
+        links: extractLinks($, root, pageUrl, options.maxLinks || 100)
+    };
+}
+
+// Splits on paragraph boundaries where possible; overlap keeps context across chunks
+function chunkText(text, chunkSize = 2000, overlap = 200) {
+    if (text.length <= chunkSize) {
+        return [text];
+    }
+
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+        let end = Math.min(start + chunkSize, text.length);
+        if (end < text.length) {
+            const breakAt = text.lastIndexOf('\n\n', end);
+            if (breakAt > start + chunkSize / 2) {
+                end = breakAt;
+            }
+        }
+
+        chunks.push(text.slice(start, end).trim());
+        if (end >= text.length) {
+            break;
+        }
+        start = Math.max(end - overlap, start + 1);
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    extractReadable,
+    chunkText
+};
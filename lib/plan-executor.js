@@ -0,0 +1,149 @@
+// RIKA 2.0 - Plan Executor: runs a decomposed request across agents, then merges
+//
+// Subtasks run in waves: everything whose dependencies are done runs in parallel, and
+// a dependent subtask sees the answers it depends on. RIKA then merges the answers into
+// one reply with a section per agent. Progress is reported per subtask as it happens.
+
+class PlanExecutor {
+    constructor(deps) {
+        this.agents = deps.agents;
+        this.processAgentRequest = deps.processAgentRequest;
+    }
+
+    // Groups subtasks into waves that can run in parallel, in dependency order
+    static orderWaves(subtasks) {
+        const done = new Set();
+        const remaining = [...subtasks];
+        const waves = [];
+
+        while (remaining.length) {
+            const ready = remaining.filter(subtask => subtask.dependsOn.every(id => done.has(id) || !subtasks.some(other => other.id === id)));
+            // Unsatisfiable dependencies (a cycle) run together rather than never
+            const wave = ready.length ? ready : [...remaining];
+            wave.forEach(subtask => {
+                done.add(subtask.id);
+                remaining.splice(remaining.indexOf(subtask), 1);
+            });
+            waves.push(wave);
+        }
+
+        return waves;
+    }
+
+    // Used when there is no model to merge with: the sections as they are, attributed
+    static formatSections(sections) {
+        return sections.map(section => section.status === 'done'
+            ? `${section.emoji} ${section.agentName} — ${section.task}\n${section.response}`
+            : `${section.emoji} ${section.agentName} — ${section.task}\n⚠️ Not completed: ${section.error}`
+        ).join('\n\n');
+    }
+
+    // options: { onProgress?, onChunk?, history?, toolContext? }
+    async run(message, routing, options = {}) {
+        const { plan } = routing;
+        const onProgress = options.onProgress || (() => {});
+        const startTime = Date.now();
+        const results = new Map();
+
+        plan.subtasks.forEach((subtask, index) => onProgress(this.progressEvent(subtask, index, plan, 'queued')));
+
+        for (const wave of PlanExecutor.orderWaves(plan.subtasks)) {
+            await Promise.all(wave.map(subtask => this.runSubtask(message, subtask, routing, results, options, onProgress)));
+        }
+
+        const sections = plan.subtasks.map(subtask => results.get(subtask.id));
+
+        onProgress({ subtaskId: 'merge', agent: 'rika', status: 'running', index: plan.subtasks.length, total: plan.subtasks.length });
+        // The merge only combines what the specialists said; RIKA's own tools stay out of it
+        const merged = await this.processAgentRequest('rika', message, { ...routing, mergeSections: sections }, {
+            history: options.history,
+            onChunk: options.onChunk,
+            tools: false
+        });
+        onProgress({ subtaskId: 'merge', agent: 'rika', status: 'done', index: plan.subtasks.length, total: plan.subtasks.length });
+
+        const toolCalls = sections.flatMap(section => section.toolCalls || []);
+        return {
+            ...merged,
+            processingTime: Date.now() - startTime,
+            sections: sections.map(({ toolCalls: omitted, ...section }) => section),
+            ...(toolCalls.length && { toolCalls })
+        };
+    }
+
+    async runSubtask(message, subtask, routing, results, options, onProgress) {
+        const index = routing.plan.subtasks.indexOf(subtask);
+        const agent = this.agents.get(subtask.agentId);
+        const startTime = Date.now();
+        const section = {
+            subtaskId: subtask.id,
+            agent: subtask.agentId,
+            agentName: agent?.name || subtask.agentId,
+            emoji: agent?.emoji || '🤖',
+            task: subtask.task
+        };
+
+        const dependencies = subtask.dependsOn
+            .map(id => results.get(id))
+            .filter(result => result?.status === 'done');
+
+        onProgress(this.progressEvent(subtask, index, routing.plan, 'running'));
+
+        try {
+            const response = await this.processAgentRequest(subtask.agentId, subtask.task, {
+                ...routing,
+                targetAgent: subtask.agentId,
+                intent: subtask.intent,
+                councilAdvice: subtask.councilAdvice || null,
+                plan: undefined,
+                subtask: {
+                    id: subtask.id,
+                    request: message,
+                    dependencies: dependencies.map(({ agentName, task, response: answer }) => ({ agentName, task, response: answer }))
+                }
+            }, {
+                history: options.history,
+                toolContext: options.toolContext
+            });
+
+            results.set(subtask.id, {
+                ...section,
+                status: 'done',
+                response: response.response,
+                processingTime: Date.now() - startTime,
+                ...(response.citations?.length && { citations: response.citations }),
+                ...(response.toolCalls?.length && { toolCalls: response.toolCalls })
+            });
+        } catch (error) {
+            // One failed subtask should not sink the others; the merge reports it
+            console.warn(`Subtask ${subtask.id} (${subtask.agentId}) failed:`, error.message);
+            results.set(subtask.id, {
+                ...section,
+                status: 'failed',
+                error: error.message,
+                processingTime: Date.now() - startTime
+            });
+        }
+
+        const result = results.get(subtask.id);
+        onProgress({
+            ...this.progressEvent(subtask, index, routing.plan, result.status),
+            processingTime: result.processingTime,
+            ...(result.error && { error: result.error })
+        });
+    }
+
+    progressEvent(subtask, index, plan, status) {
+        return {
+            subtaskId: subtask.id,
+            agent: subtask.agentId,
+            task: subtask.task,
+            dependsOn: subtask.dependsOn,
+            status, // queued | running | done | failed
+            index,
+            total: plan.subtasks.length
+        };
+    }
+}
+
+module.exports = PlanExecutor;
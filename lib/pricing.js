@@ -0,0 +1,91 @@
+// RIKA 2.0 - Pricing Table: USD rates used to turn provider usage into cost
+//
+// Override or extend with a JSON file at RIKA_PRICING_FILE, same shape as DEFAULT_PRICING.
+// Token prices are per 1K tokens; TTS per 1K characters; audio and calls per minute.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICING = {
+    models: {
+        'gpt-4': { input: 0.03, output: 0.06 },
+        'gpt-4-turbo': { input: 0.01, output: 0.03 },
+        'gpt-4o': { input: 0.005, output: 0.015 },
+        'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+        'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+        'text-embedding-3-small': { input: 0.00002, output: 0 },
+        'text-embedding-ada-002': { input: 0.0001, output: 0 },
+        'whisper-1': { perMinute: 0.006 },
+        'eleven_monolingual_v1': { perThousandCharacters: 0.30 },
+        'eleven_turbo_v2': { perThousandCharacters: 0.15 }
+    },
+    providers: {
+        local: { input: 0, output: 0 },
+        twilio: { callPerMinute: 0.014, smsPerSegment: 0.0079 },
+        brave: { perRequest: 0 },
+        duckduckgo: { perRequest: 0 }
+    }
+};
+
+class PricingTable {
+    constructor(overrides = null) {
+        this.table = this.merge(DEFAULT_PRICING, overrides || this.loadOverrides());
+    }
+
+    loadOverrides() {
+        const filePath = process.env.RIKA_PRICING_FILE;
+        if (!filePath) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+        } catch (error) {
+            console.log(`⚠️ Pricing overrides ignored (${filePath}):`, error.message);
+            return {};
+        }
+    }
+
+    merge(base, overrides) {
+        return {
+            models: { ...base.models, ...overrides.models },
+            providers: { ...base.providers, ...overrides.providers }
+        };
+    }
+
+    // Provider rates win, so a local server that echoes "gpt-4" is still free.
+    // Versioned model ids (gpt-4-0613, gpt-3.5-turbo-0125) fall back to their family.
+    ratesFor(provider, model) {
+        const providerRates = this.table.providers[provider] || {};
+        if (!model) {
+            return providerRates;
+        }
+
+        const family = this.table.models[model] ? model : Object.keys(this.table.models)
+            .filter(name => model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return { ...(family ? this.table.models[family] : {}), ...providerRates };
+    }
+
+    // Adapter defaults; entries from RIKA_PRICING_FILE still win
+    setProviderRates(provider, rates) {
+        this.table.providers[provider] = { ...rates, ...this.table.providers[provider] };
+    }
+
+    price(usage) {
+        const rates = this.ratesFor(usage.provider, usage.model);
+        let cost = 0;
+
+        cost += ((usage.inputTokens || 0) / 1000) * (rates.input || 0);
+        cost += ((usage.outputTokens || 0) / 1000) * (rates.output || 0);
+        cost += ((usage.characters || 0) / 1000) * (rates.perThousandCharacters || 0);
+        cost += ((usage.audioSeconds || 0) / 60) * (rates.perMinute || 0);
+        cost += (usage.callMinutes || 0) * (rates.callPerMinute || 0);
+        cost += (usage.segments || 0) * (rates.smsPerSegment || 0);
+        cost += (usage.requests || 0) * (rates.perRequest || 0);
+
+        return cost;
+    }
+}
+
+module.exports = PricingTable;
@@ -0,0 +1,159 @@
+// RIKA 2.0 - Provider Limiter: concurrency + requests-per-minute with QoS priority queueing
+//
+// Waiting calls are ordered by QoS priority (1 = realtime first), then arrival.
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+
+const WAIT_SAMPLE_SIZE = 200;
+
+class ProviderLimiter {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.maxConcurrent = options.maxConcurrent || Infinity;
+        this.requestsPerMinute = options.requestsPerMinute || 0;
+        this.queueTimeoutMs = options.queueTimeoutMs || 30000;
+        this.maxQueueSize = options.maxQueueSize || 500;
+
+        this.rateLimiter = this.requestsPerMinute > 0
+            ? new RateLimiterMemory({ points: this.requestsPerMinute, duration: 60 })
+            : null;
+
+        this.active = 0;
+        this.queue = [];
+        this.sequence = 0;
+        this.draining = false;
+        this.waitSamples = [];
+        this.stats = {
+            granted: 0,
+            timedOut: 0,
+            rejected: 0
+        };
+    }
+
+    // Resolves with a release() function once a slot and a rate token are available
+    acquire(priority = 2, timeoutMs = this.queueTimeoutMs) {
+        if (this.queue.length >= this.maxQueueSize) {
+            this.stats.rejected++;
+            return Promise.reject(new Error(`Queue full for ${this.name} (${this.queue.length} waiting)`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                priority,
+                sequence: this.sequence++,
+                enqueuedAt: Date.now(),
+                resolve,
+                reject
+            };
+
+            waiter.timer = setTimeout(() => {
+                const index = this.queue.indexOf(waiter);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    this.stats.timedOut++;
+                    reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${this.name}`));
+                }
+            }, timeoutMs);
+
+            this.enqueue(waiter);
+            this.drain();
+        });
+    }
+
+    enqueue(waiter) {
+        const index = this.queue.findIndex(queued =>
+            queued.priority > waiter.priority ||
+            (queued.priority === waiter.priority && queued.sequence > waiter.sequence));
+
+        if (index === -1) {
+            this.queue.push(waiter);
+        } else {
+            this.queue.splice(index, 0, waiter);
+        }
+    }
+
+    async drain() {
+        if (this.draining) {
+            return;
+        }
+        this.draining = true;
+
+        try {
+            while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+                if (this.rateLimiter) {
+                    try {
+                        await this.rateLimiter.consume(this.name);
+                    } catch (rateLimited) {
+                        if (rateLimited instanceof Error) {
+                            throw rateLimited;
+                        }
+                        await new Promise(resolve => setTimeout(resolve, rateLimited.msBeforeNext));
+                        continue;
+                    }
+                }
+
+                // The head may have timed out while we waited for a rate token
+                const waiter = this.queue.shift();
+                if (!waiter) {
+                    await this.rateLimiter?.reward(this.name);
+                    break;
+                }
+
+                clearTimeout(waiter.timer);
+                this.active++;
+                this.stats.granted++;
+                this.recordWait(Date.now() - waiter.enqueuedAt);
+                waiter.resolve(this.createRelease());
+            }
+        } catch (error) {
+            console.error(`❌ Limiter ${this.name} failed:`, error.message);
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    createRelease() {
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            this.active--;
+            this.drain();
+        };
+    }
+
+    recordWait(waitMs) {
+        this.waitSamples.push(waitMs);
+        if (this.waitSamples.length > WAIT_SAMPLE_SIZE) {
+            this.waitSamples.shift();
+        }
+    }
+
+    getMetrics() {
+        const sorted = [...this.waitSamples].sort((a, b) => a - b);
+        const percentile = p => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+        const now = Date.now();
+
+        return {
+            active: this.active,
+            queueDepth: this.queue.length,
+            queuedByPriority: this.queue.reduce((counts, waiter) => {
+                counts[waiter.priority] = (counts[waiter.priority] || 0) + 1;
+                return counts;
+            }, {}),
+            oldestWaitMs: this.queue.length ? Math.max(...this.queue.map(waiter => now - waiter.enqueuedAt)) : 0,
+            maxConcurrent: Number.isFinite(this.maxConcurrent) ? this.maxConcurrent : null,
+            requestsPerMinute: this.requestsPerMinute || null,
+            waitMs: {
+                avg: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : 0,
+                p50: percentile(0.5),
+                p95: percentile(0.95),
+                max: sorted.length ? sorted[sorted.length - 1] : 0
+            },
+            ...this.stats
+        };
+    }
+}
+
+module.exports = ProviderLimiter;
@@ -0,0 +1,134 @@
+// RIKA 2.0 - Provider Registry: pluggable SaaS adapters for the Tool Broker
+//
+// Every provider is an adapter module with the same shape:
+//   name         unique provider id used by callProvider()
+//   init(env)    builds the client, or returns null when not configured
+//   healthCheck  async (client, { reportUsage }) => boolean; paid probes report their usage
+//   operations   { [operation]: async (client, params, { signal }) => result }; signal is
+//                an AbortSignal the caller may use to cancel (pass it on where the SDK takes one)
+//   describe()   metadata for dashboards and routing
+//   streams      optional { [operation]: async function* (client, params) }
+//   limits       optional { maxConcurrent, requestsPerMinute } defaults
+//   health       optional { intervalMs } how often the (cheap) healthCheck probe runs
+//   sideEffects  optional [operation] that act on the outside world (SMS, calls, inserts);
+//                these get idempotency keys and no automatic retries
+//   pricing      optional default rates for the pricing table, e.g. { perRequest: 0.001 }
+//   tools        optional { [operation]: { description, parameters, agents } } offered to
+//                agents through function calling
+//   usage        optional { [operation]: (result, params) => usage } for cost accounting,
+//                where usage is { model, inputTokens, outputTokens, characters,
+//                audioSeconds, callMinutes, segments, requests }; streams yield it as chunk.usage
+class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    register(adapter) {
+        this.validateAdapter(adapter);
+
+        if (this.adapters.has(adapter.name)) {
+            console.log(`♻️ Provider adapter replaced: ${adapter.name}`);
+        }
+
+        this.adapters.set(adapter.name, adapter);
+        return adapter;
+    }
+
+    unregister(name) {
+        return this.adapters.delete(name);
+    }
+
+    validateAdapter(adapter) {
+        if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+            throw new Error('Provider adapter must have a name');
+        }
+
+        for (const fn of ['init', 'healthCheck', 'describe']) {
+            if (typeof adapter[fn] !== 'function') {
+                throw new Error(`Provider adapter ${adapter.name} is missing ${fn}()`);
+            }
+        }
+
+        if (!adapter.operations || typeof adapter.operations !== 'object') {
+            throw new Error(`Provider adapter ${adapter.name} has no operations`);
+        }
+
+        if (adapter.streams && typeof adapter.streams !== 'object') {
+            throw new Error(`Provider adapter ${adapter.name} has invalid streams`);
+        }
+
+        if (adapter.sideEffects && !Array.isArray(adapter.sideEffects)) {
+            throw new Error(`Provider adapter ${adapter.name} has invalid sideEffects`);
+        }
+
+        if (adapter.tools && typeof adapter.tools !== 'object') {
+            throw new Error(`Provider adapter ${adapter.name} has invalid tools`);
+        }
+
+        if (adapter.usage && typeof adapter.usage !== 'object') {
+            throw new Error(`Provider adapter ${adapter.name} has invalid usage extractors`);
+        }
+    }
+
+    loadModule(modulePath) {
+        const adapter = require(modulePath);
+        return this.register(adapter.default || adapter);
+    }
+
+    get(name) {
+        return this.adapters.get(name);
+    }
+
+    has(name) {
+        return this.adapters.has(name);
+    }
+
+    getOperation(name, operation) {
+        const adapter = this.adapters.get(name);
+        if (!adapter) {
+            throw new Error(`Unknown provider: ${name}`);
+        }
+
+        const handler = adapter.operations[operation];
+        if (typeof handler !== 'function') {
+            throw new Error(`Unknown ${adapter.describe().displayName || name} operation: ${operation}`);
+        }
+
+        return handler;
+    }
+
+    isSideEffecting(name, operation) {
+        return !!this.adapters.get(name)?.sideEffects?.includes(operation);
+    }
+
+    getUsageExtractor(name, operation) {
+        const extractor = this.adapters.get(name)?.usage?.[operation];
+        return typeof extractor === 'function' ? extractor : null;
+    }
+
+    getStream(name, operation) {
+        if (!this.supportsStream(name, operation)) {
+            throw new Error(`${name}.${operation} does not support streaming`);
+        }
+        return this.adapters.get(name).streams[operation];
+    }
+
+    supportsStream(name, operation) {
+        return typeof this.adapters.get(name)?.streams?.[operation] === 'function';
+    }
+
+    list() {
+        return Array.from(this.adapters.keys());
+    }
+
+    describeAll() {
+        return Array.from(this.adapters.values()).map(adapter => ({
+            ...adapter.describe(),
+            name: adapter.name,
+            operations: Object.keys(adapter.operations),
+            streams: Object.keys(adapter.streams || {})
+        }));
+    }
+}
+
+module.exports = ProviderRegistry;
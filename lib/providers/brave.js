@@ -0,0 +1,70 @@
+// RIKA 2.0 - Brave Search adapter: web search
+const axios = require('axios');
+const { normalizeResults, toPage } = require('../search-results');
+
+module.exports = {
+    name: 'brave',
+
+    limits: { maxConcurrent: 1, requestsPerMinute: 60 },
+
+    describe() {
+        return {
+            displayName: 'Brave Search',
+            service: 'search',
+            description: 'Web search via the Brave Search API'
+        };
+    },
+
+    async init(env) {
+        if (!env.BRAVE_API_KEY) {
+            return null;
+        }
+
+        return {
+            apiKey: env.BRAVE_API_KEY,
+            baseURL: (env.BRAVE_BASE_URL || 'https://api.search.brave.com/res/v1').replace(/\/+$/, '')
+        };
+    },
+
+    // Brave has no free status endpoint, so the one-result search runs rarely
+    health: { intervalMs: 30 * 60 * 1000 },
+
+    async healthCheck(client, { reportUsage } = {}) {
+        const response = await axios.get(`${client.baseURL}/web/search`, {
+            headers: { 'X-Subscription-Token': client.apiKey },
+            params: { q: 'test', count: 1 },
+            timeout: 5000
+        });
+        reportUsage?.({ requests: 1 });
+        return response.status === 200;
+    },
+
+    operations: {
+        async search(client, params) {
+            // Brave paginates by page, not by result
+            const count = params.count || 10;
+            const offset = params.offset || 0;
+            const { page, skip } = toPage(offset, count);
+            const response = await axios.get(`${client.baseURL}/web/search`, {
+                headers: { 'X-Subscription-Token': client.apiKey },
+                params: {
+                    q: params.query,
+                    count,
+                    offset: page
+                }
+            });
+
+            const items = (response.data?.web?.results || []).slice(skip).map(result => ({
+                title: result.title,
+                url: result.url,
+                snippet: result.description
+            }));
+
+            return normalizeResults(params.query, 'brave', items, offset);
+        }
+    },
+
+    usage: {
+        search: () => ({ requests: 1 })
+    }
+};
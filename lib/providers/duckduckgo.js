@@ -0,0 +1,102 @@
+// RIKA 2.0 - DuckDuckGo adapter: keyless web search via the HTML results page
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { normalizeResults } = require('../search-results');
+
+// Result links are wrapped in a redirect: //duckduckgo.com/l/?uddg=<target>&rut=...
+function unwrapRedirect(href) {
+    if (!href) {
+        return null;
+    }
+
+    try {
+        const url = new URL(href, 'https://duckduckgo.com');
+        const target = url.searchParams.get('uddg');
+        return target || url.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseResults(html) {
+    const $ = cheerio.load(html);
+    const items = [];
+
+    $('.result').each((index, element) => {
+        const result = $(element);
+        if (result.hasClass('result--ad')) {
+            return;
+        }
+
+        const link = result.find('a.result__a').first();
+        items.push({
+            title: link.text(),
+            url: unwrapRedirect(link.attr('href')),
+            snippet: result.find('.result__snippet').first().text()
+        });
+    });
+
+    return items;
+}
+
+module.exports = {
+    name: 'duckduckgo',
+
+    limits: { maxConcurrent: 1, requestsPerMinute: 20 },
+
+    describe() {
+        return {
+            displayName: 'DuckDuckGo',
+            service: 'search',
+            description: 'Keyless web search parsed from the DuckDuckGo HTML page'
+        };
+    },
+
+    async init(env) {
+        // Opt-in: a search service that is always up would put every tool-capable agent
+        // through the function-calling loop
+        if (env.DUCKDUCKGO_ENABLED !== 'true') {
+            return null;
+        }
+
+        return {
+            baseURL: 'https://html.duckduckgo.com/html/',
+            userAgent: env.DUCKDUCKGO_USER_AGENT || 'Mozilla/5.0 (compatible; RIKA/3.0; +https://github.com/Sasageyo1230/rika-2.0-ai-orchestration)'
+        };
+    },
+
+    health: { intervalMs: 10 * 60 * 1000 },
+
+    async healthCheck(client) {
+        const response = await axios.head(client.baseURL, {
+            headers: { 'User-Agent': client.userAgent },
+            timeout: 5000
+        });
+        return response.status < 400;
+    },
+
+    operations: {
+        async search(client, params) {
+            // s is a result index, which is what offset already means
+            const response = await axios.post(client.baseURL, new URLSearchParams({
+                q: params.query,
+                s: String(params.offset || 0)
+            }).toString(), {
+                headers: {
+                    'User-Agent': client.userAgent,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                timeout: 10000
+            });
+
+            const items = parseResults(response.data)
+                .slice(0, params.count || 10);
+
+            return normalizeResults(params.query, 'duckduckgo', items, params.offset || 0);
+        }
+    },
+
+    usage: {
+        search: () => ({ requests: 1 })
+    }
+};
@@ -0,0 +1,75 @@
+// RIKA 2.0 - ElevenLabs adapter: premium TTS over the REST API
+const axios = require('axios');
+
+module.exports = {
+    name: 'elevenlabs',
+
+    limits: { maxConcurrent: 2 },
+
+    describe() {
+        return {
+            displayName: 'ElevenLabs',
+            service: 'tts',
+            description: 'Text-to-speech synthesis and voice catalog'
+        };
+    },
+
+    async init(env) {
+        if (!env.ELEVENLABS_API_KEY) {
+            return null;
+        }
+
+        return {
+            apiKey: env.ELEVENLABS_API_KEY,
+            baseURL: (env.ELEVENLABS_BASE_URL || 'https://api.elevenlabs.io/v1').replace(/\/+$/, '')
+        };
+    },
+
+    health: { intervalMs: 60000 },
+
+    // Account lookup spends no characters
+    async healthCheck(client) {
+        const response = await axios.get(`${client.baseURL}/user`, {
+            headers: { 'xi-api-key': client.apiKey },
+            timeout: 5000
+        });
+        return response.status === 200;
+    },
+
+    operations: {
+        // Resolves with a readable stream of MP3 audio
+        async synthesize(client, params) {
+            const response = await axios.post(
+                `${client.baseURL}/text-to-speech/${params.voiceId || 'EXAVITQu4vr4xnSDxMaL'}`,
+                {
+                    text: params.text,
+                    model_id: params.modelId || 'eleven_monolingual_v1',
+                    voice_settings: params.voiceSettings
+                },
+                {
+                    headers: {
+                        'xi-api-key': client.apiKey,
+                        Accept: 'audio/mpeg'
+                    },
+                    responseType: 'stream'
+                }
+            );
+            return response.data;
+        },
+
+        async voices(client) {
+            const response = await axios.get(`${client.baseURL}/voices`, {
+                headers: { 'xi-api-key': client.apiKey }
+            });
+            return response.data;
+        }
+    },
+
+    usage: {
+        // ElevenLabs bills by characters synthesized
+        synthesize: (result, params) => ({
+            model: params.modelId || 'eleven_monolingual_v1',
+            characters: (params.text || '').length
+        })
+    }
+};
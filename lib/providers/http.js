@@ -0,0 +1,134 @@
+// RIKA 2.0 - Declarative HTTP adapter: internal services (CRM, tickets, home automation)
+//
+// Built from a config entry instead of code; see config/http-tools.example.json.
+// Placeholders: {{params.x}} from the caller, {{secrets.NAME}} from the secrets
+// store / environment, {{baseUrl}} from the entry.
+const fs = require('fs');
+const axios = require('axios');
+const { renderString, renderTemplate, extractJsonPath, findSecretRefs } = require('../http-template');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function validateDefinition(definition) {
+    if (!definition?.name || !/^[a-z][a-z0-9_-]*$/.test(definition.name)) {
+        throw new Error(`HTTP tool needs a lowercase name (got ${definition?.name})`);
+    }
+    if (!definition.operations || Object.keys(definition.operations).length === 0) {
+        throw new Error(`HTTP tool ${definition.name} has no operations`);
+    }
+
+    for (const [operation, spec] of Object.entries(definition.operations)) {
+        if (!spec.url) {
+            throw new Error(`HTTP tool ${definition.name}.${operation} has no url`);
+        }
+    }
+}
+
+async function send(client, spec, params) {
+    const scope = { params, secrets: client.secrets, baseUrl: client.baseUrl };
+    const method = (spec.method || 'GET').toUpperCase();
+
+    const response = await axios({
+        method,
+        url: renderString(spec.url, scope, { encodeParams: true }),
+        headers: renderTemplate({ ...client.headers, ...spec.headers }, scope),
+        data: spec.body !== undefined && method !== 'GET' ? renderTemplate(spec.body, scope) : undefined,
+        timeout: spec.timeoutMs || client.timeoutMs
+    });
+
+    return response;
+}
+
+function createHttpAdapter(definition) {
+    validateDefinition(definition);
+
+    const operationNames = Object.keys(definition.operations);
+    const secretNames = findSecretRefs(definition);
+
+    const operations = {};
+    const usage = {};
+    const tools = {};
+
+    for (const name of operationNames) {
+        const spec = definition.operations[name];
+
+        operations[name] = async (client, params) => {
+            const response = await send(client, spec, params);
+            return extractJsonPath(response.data, spec.extract);
+        };
+
+        usage[name] = () => ({ requests: 1 });
+
+        // Operations with a description are offered to agents as function-calling tools
+        if (spec.description) {
+            tools[name] = {
+                description: spec.description,
+                parameters: spec.parameters || { type: 'object', properties: {} },
+                agents: spec.agents || definition.agents || []
+            };
+        }
+    }
+
+    return {
+        name: definition.name,
+        limits: definition.limits,
+        health: definition.health?.intervalMs ? { intervalMs: definition.health.intervalMs } : undefined,
+        sideEffects: operationNames.filter(name => definition.operations[name].sideEffect),
+        pricing: definition.costPerRequest ? { perRequest: definition.costPerRequest } : undefined,
+
+        describe() {
+            return {
+                displayName: definition.displayName || definition.name,
+                service: definition.service || 'http',
+                description: definition.description || 'Declarative HTTP tool'
+            };
+        },
+
+        // Not configured until every referenced secret is available
+        async init(env) {
+            const secrets = {};
+            for (const secretName of secretNames) {
+                if (!env[secretName]) {
+                    return null;
+                }
+                secrets[secretName] = env[secretName];
+            }
+
+            return {
+                baseUrl: (definition.baseUrl || '').replace(/\/+$/, ''),
+                headers: definition.headers || {},
+                timeoutMs: definition.timeoutMs || DEFAULT_TIMEOUT_MS,
+                secrets
+            };
+        },
+
+        // Without a health entry the service is assumed up; failures still trip its circuits
+        async healthCheck(client) {
+            if (!definition.health) {
+                return true;
+            }
+
+            const response = await send(client, {
+                method: 'GET',
+                timeoutMs: 5000,
+                ...definition.health
+            }, {});
+            return response.status < 400;
+        },
+
+        operations,
+        usage,
+        tools
+    };
+}
+
+// Config file: { "providers": [ ...definitions ] }
+function loadHttpAdapters(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return (config.providers || []).map(createHttpAdapter);
+}
+
+module.exports = {
+    createHttpAdapter,
+    loadHttpAdapters
+};
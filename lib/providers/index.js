@@ -0,0 +1,14 @@
+// RIKA 2.0 - Built-in provider adapters, registered with the Tool Broker at boot
+module.exports = [
+    require('./openai'),
+    require('./local'),
+    require('./elevenlabs'),
+    require('./twilio'),
+    require('./pinecone'),
+    require('./sqlite'),
+    require('./supabase'),
+    require('./telegram'),
+    require('./brave'),
+    require('./duckduckgo'),
+    require('./web')
+];
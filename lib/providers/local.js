@@ -0,0 +1,169 @@
+// RIKA 2.0 - Local LLM adapter: any OpenAI-compatible server (llama.cpp, Ollama, vLLM)
+const axios = require('axios');
+
+// Parse an OpenAI-style server-sent event stream into JSON payloads
+async function* readEventStream(stream) {
+    let buffer = '';
+
+    for await (const data of stream) {
+        buffer += data.toString('utf8');
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+
+            if (!line.startsWith('data:')) {
+                continue;
+            }
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') {
+                return;
+            }
+            yield JSON.parse(payload);
+        }
+    }
+}
+
+function tokenUsage(response, model) {
+    if (!response?.usage) {
+        return null;
+    }
+
+    return {
+        model: response.model || model,
+        inputTokens: response.usage.prompt_tokens || 0,
+        outputTokens: response.usage.completion_tokens || 0
+    };
+}
+
+module.exports = {
+    name: 'local',
+
+    limits: { maxConcurrent: 2 },
+
+    describe() {
+        return {
+            displayName: 'Local LLM',
+            service: 'llm',
+            description: 'OpenAI-compatible chat completions and embeddings on a self-hosted endpoint'
+        };
+    },
+
+    // The model has to be named: hosted names (gpt-4, ...) that callers pass mean nothing here
+    async init(env) {
+        if (!env.LOCAL_LLM_BASE_URL) {
+            return null;
+        }
+        if (!env.LOCAL_LLM_MODEL) {
+            console.log('⚠️ Local LLM disabled: LOCAL_LLM_MODEL is not set');
+            return null;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (env.LOCAL_LLM_API_KEY) {
+            headers.Authorization = `Bearer ${env.LOCAL_LLM_API_KEY}`;
+        }
+
+        return {
+            // Accept both http://host:11434 and http://host:11434/v1
+            baseURL: env.LOCAL_LLM_BASE_URL.replace(/\/+$/, '').replace(/(\/v1)?$/, '/v1'),
+            model: env.LOCAL_LLM_MODEL,
+            embeddingModel: env.LOCAL_LLM_EMBEDDING_MODEL || env.LOCAL_LLM_MODEL,
+            timeout: parseInt(env.LOCAL_LLM_TIMEOUT_MS, 10) || 60000,
+            headers
+        };
+    },
+
+    async healthCheck(client) {
+        const response = await axios.get(`${client.baseURL}/models`, {
+            headers: client.headers,
+            timeout: 5000
+        });
+        return response.status === 200;
+    },
+
+    operations: {
+        // Same params and response shape as openai.chat, so callers can swap freely
+        async chat(client, params, { signal } = {}) {
+            const response = await axios.post(`${client.baseURL}/chat/completions`, {
+                model: client.model,
+                messages: params.messages,
+                max_tokens: params.maxTokens || 1000,
+                temperature: params.temperature || 0.7,
+                ...params.options,
+                stream: false
+            }, {
+                headers: client.headers,
+                timeout: client.timeout,
+                signal
+            });
+
+            const completion = response.data;
+            if (!completion?.choices?.length) {
+                throw new Error('Local LLM returned no choices');
+            }
+
+            return completion;
+        },
+
+        async embed(client, params) {
+            const response = await axios.post(`${client.baseURL}/embeddings`, {
+                model: client.embeddingModel,
+                input: params.input
+            }, {
+                headers: client.headers,
+                timeout: client.timeout
+            });
+
+            if (!response.data?.data?.length) {
+                throw new Error('Local LLM returned no embeddings');
+            }
+
+            return response.data;
+        }
+    },
+
+    usage: {
+        chat: (result, params) => tokenUsage(result, params.model),
+
+        embed: (result, params) => tokenUsage(result, params.model)
+    },
+
+    streams: {
+        async *chat(client, params) {
+            const response = await axios.post(`${client.baseURL}/chat/completions`, {
+                model: client.model,
+                messages: params.messages,
+                max_tokens: params.maxTokens || 1000,
+                temperature: params.temperature || 0.7,
+                ...params.options,
+                stream: true
+            }, {
+                headers: client.headers,
+                timeout: client.timeout,
+                responseType: 'stream'
+            });
+
+            for await (const part of readEventStream(response.data)) {
+                // llama.cpp and vLLM report token counts on the final chunk
+                if (part.usage) {
+                    yield { delta: '', finishReason: null, usage: tokenUsage(part, client.model) };
+                }
+
+                const choice = part.choices?.[0];
+                if (!choice) {
+                    continue;
+                }
+
+                yield {
+                    delta: choice.delta?.content || '',
+                    finishReason: choice.finish_reason || null,
+                    // Function calls arrive in pieces: { index, id?, function: { name?, arguments } }
+                    ...(choice.delta?.tool_calls && { toolCalls: choice.delta.tool_calls })
+                };
+            }
+        }
+    }
+};
@@ -0,0 +1,123 @@
+// RIKA 2.0 - OpenAI adapter: primary LLM + Whisper STT
+const { OpenAI } = require('openai');
+
+function tokenUsage(response, fallbackModel) {
+    if (!response?.usage) {
+        return null;
+    }
+
+    return {
+        model: response.model || fallbackModel,
+        inputTokens: response.usage.prompt_tokens || 0,
+        outputTokens: response.usage.completion_tokens || 0
+    };
+}
+
+module.exports = {
+    name: 'openai',
+
+    limits: { maxConcurrent: 8, requestsPerMinute: 500 },
+
+    describe() {
+        return {
+            displayName: 'OpenAI',
+            service: 'llm',
+            description: 'Chat completions, embeddings and Whisper transcription'
+        };
+    },
+
+    async init(env) {
+        if (!env.OPENAI_API_KEY) {
+            return null;
+        }
+
+        return new OpenAI({
+            apiKey: env.OPENAI_API_KEY,
+            baseURL: env.OPENAI_BASE_URL || undefined
+        });
+    },
+
+    health: { intervalMs: 60000 },
+
+    // Listing models is free and still proves the key and the API are good
+    async healthCheck(client) {
+        const models = await client.models.list();
+        return models.data?.length > 0;
+    },
+
+    operations: {
+        async chat(client, params, { signal } = {}) {
+            return await client.chat.completions.create({
+                model: params.model || 'gpt-4',
+                messages: params.messages,
+                max_tokens: params.maxTokens || 1000,
+                temperature: params.temperature || 0.7,
+                ...params.options
+            }, { signal });
+        },
+
+        async embed(client, params) {
+            return await client.embeddings.create({
+                model: params.model || 'text-embedding-3-small',
+                input: params.input
+            });
+        },
+
+        // params: { file, language?, prompt?, response_format?, temperature? }. verbose_json is the
+        // default because only it carries the audio duration that Whisper is billed on.
+        async transcribe(client, params) {
+            return await client.audio.transcriptions.create({
+                file: params.file,
+                model: 'whisper-1',
+                response_format: params.response_format || 'verbose_json',
+                ...(params.language && { language: params.language }),
+                ...(params.prompt && { prompt: params.prompt }),
+                ...(params.temperature !== undefined && { temperature: params.temperature })
+            });
+        }
+    },
+
+    usage: {
+        chat: (result, params) => tokenUsage(result, params.model || 'gpt-4'),
+
+        embed: (result, params) => tokenUsage(result, params.model || 'text-embedding-3-small'),
+
+        transcribe: result => ({
+            model: 'whisper-1',
+            audioSeconds: result?.duration || 0
+        })
+    },
+
+    streams: {
+        async *chat(client, params) {
+            const stream = await client.chat.completions.create({
+                model: params.model || 'gpt-4',
+                messages: params.messages,
+                max_tokens: params.maxTokens || 1000,
+                temperature: params.temperature || 0.7,
+                ...params.options,
+                stream: true,
+                stream_options: { include_usage: true }
+            });
+
+            for await (const part of stream) {
+                // With include_usage the last chunk has no choices, only token counts
+                if (part.usage) {
+                    yield { delta: '', finishReason: null, usage: tokenUsage(part, params.model || 'gpt-4') };
+                }
+
+                const choice = part.choices?.[0];
+                if (!choice) {
+                    continue;
+                }
+
+                yield {
+                    delta: choice.delta?.content || '',
+                    finishReason: choice.finish_reason || null,
+                    // Function calls arrive in pieces: { index, id?, function: { name?, arguments } }
+                    ...(choice.delta?.tool_calls && { toolCalls: choice.delta.tool_calls })
+                };
+            }
+        }
+    }
+};
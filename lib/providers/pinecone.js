@@ -0,0 +1,97 @@
+// RIKA 2.0 - Pinecone adapter: long-term vector memory
+//
+// Every operation accepts { indexName, namespace }; the index defaults to PINECONE_INDEX
+// and the namespace to the default ('') one. Filters use the Pinecone metadata filter
+// language ({ agent: { $eq: 'scout' } }), which the SQLite fallback also understands.
+const { PineconeClient } = require('@pinecone-database/pinecone');
+
+function indexFor(client, params) {
+    return client.Index(params.indexName || client.defaultIndex);
+}
+
+module.exports = {
+    name: 'pinecone',
+
+    describe() {
+        return {
+            displayName: 'Pinecone',
+            service: 'vector',
+            description: 'Namespaced vector upsert, filtered query, fetch, delete and index stats'
+        };
+    },
+
+    async init(env) {
+        if (!env.PINECONE_API_KEY || !env.PINECONE_ENVIRONMENT) {
+            return null;
+        }
+
+        const pinecone = new PineconeClient();
+        await pinecone.init({
+            environment: env.PINECONE_ENVIRONMENT,
+            apiKey: env.PINECONE_API_KEY
+        });
+        pinecone.defaultIndex = env.PINECONE_INDEX || 'rika-memory';
+        return pinecone;
+    },
+
+    health: { intervalMs: 120000 },
+
+    // Control-plane call, no read units spent
+    async healthCheck(client) {
+        await client.listIndexes();
+        return true;
+    },
+
+    operations: {
+        async upsert(client, params) {
+            return await indexFor(client, params).upsert({
+                upsertRequest: {
+                    vectors: params.vectors,
+                    namespace: params.namespace
+                }
+            });
+        },
+
+        async query(client, params) {
+            return await indexFor(client, params).query({
+                queryRequest: {
+                    vector: params.vector,
+                    topK: params.topK || 10,
+                    namespace: params.namespace,
+                    filter: params.filter,
+                    includeMetadata: params.includeMetadata ?? true,
+                    includeValues: params.includeValues || false
+                }
+            });
+        },
+
+        async fetch(client, params) {
+            return await indexFor(client, params).fetch({
+                ids: params.ids,
+                namespace: params.namespace
+            });
+        },
+
+        // By ids, by metadata filter, or everything in the namespace (deleteAll)
+        async delete(client, params) {
+            if (!params.ids?.length && !params.filter && !params.deleteAll) {
+                throw new Error('Pinecone delete needs ids, a filter or deleteAll');
+            }
+
+            return await indexFor(client, params)._delete({
+                deleteRequest: {
+                    ids: params.ids,
+                    filter: params.filter,
+                    deleteAll: params.deleteAll || false,
+                    namespace: params.namespace
+                }
+            });
+        },
+
+        async stats(client, params) {
+            return await indexFor(client, params).describeIndexStats({
+                describeIndexStatsRequest: { filter: params.filter }
+            });
+        }
+    }
+};
@@ -0,0 +1,53 @@
+// RIKA 2.0 - SQLite adapter: embedded vector memory, drop-in fallback for Pinecone
+const path = require('path');
+const SqliteVectorStore = require('../vector-store');
+
+module.exports = {
+    name: 'sqlite',
+
+    describe() {
+        return {
+            displayName: 'SQLite Vectors',
+            service: 'vector',
+            description: 'Local cosine-similarity vector store persisted to a SQLite file'
+        };
+    },
+
+    async init(env) {
+        if (env.SQLITE_VECTOR_ENABLED === 'false') {
+            return null;
+        }
+
+        return new SqliteVectorStore({
+            filePath: env.SQLITE_VECTOR_PATH ? path.resolve(env.SQLITE_VECTOR_PATH) : undefined,
+            defaultIndex: env.PINECONE_INDEX || 'rika-memory'
+        });
+    },
+
+    async healthCheck(client) {
+        client.describeIndexStats();
+        return true;
+    },
+
+    operations: {
+        async upsert(client, params) {
+            return client.upsert(params);
+        },
+
+        async query(client, params) {
+            return client.query(params);
+        },
+
+        async fetch(client, params) {
+            return client.fetch(params);
+        },
+
+        async delete(client, params) {
+            return client.delete(params);
+        },
+
+        async stats(client, params) {
+            return client.describeIndexStats(params);
+        }
+    }
+};
@@ -0,0 +1,166 @@
+// RIKA 2.0 - Supabase adapter: database & storage
+const { createClient } = require('@supabase/supabase-js');
+
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'in', 'is'];
+
+// PostgREST / storage failures, thrown instead of being returned as a successful { error }
+class SupabaseError extends Error {
+    constructor(error, status, operation) {
+        super(`Supabase ${operation} failed: ${error.message || 'unknown error'}`);
+        this.name = 'SupabaseError';
+        this.code = error.code || null;
+        this.details = error.details || null;
+        this.hint = error.hint || null;
+        this.status = status || error.statusCode || null;
+    }
+}
+
+function unwrap(result, operation) {
+    if (result.error) {
+        throw new SupabaseError(result.error, result.status, operation);
+    }
+    return { data: result.data, count: result.count ?? null };
+}
+
+// filters: { status: 'open', score: { gte: 10, lte: 90 }, id: { in: [1, 2] }, name: { like: 'A%' } }
+function applyFilters(query, filters = {}) {
+    for (const [column, condition] of Object.entries(filters)) {
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+            query = Array.isArray(condition) ? query.in(column, condition) : query.eq(column, condition);
+            continue;
+        }
+
+        for (const [operator, value] of Object.entries(condition)) {
+            if (!FILTER_OPERATORS.includes(operator)) {
+                throw new Error(`Unsupported Supabase filter operator: ${operator}`);
+            }
+            query = query[operator](column, value);
+        }
+    }
+    return query;
+}
+
+// order: 'created_at' | { column, ascending } | [...both]
+function applyOrder(query, order) {
+    const orders = Array.isArray(order) ? order : (order ? [order] : []);
+    for (const entry of orders) {
+        const { column, ascending = true, nullsFirst } = typeof entry === 'string' ? { column: entry } : entry;
+        query = query.order(column, { ascending, nullsFirst });
+    }
+    return query;
+}
+
+function applyPagination(query, params) {
+    if (params.limit === undefined) {
+        return query;
+    }
+    const offset = params.offset || 0;
+    return query.range(offset, offset + params.limit - 1);
+}
+
+// Updates and deletes without a filter would touch every row
+function requireFilters(params, operation) {
+    const filters = params.filters || (params.id !== undefined ? { id: params.id } : null);
+    if (!filters || Object.keys(filters).length === 0) {
+        throw new Error(`Supabase ${operation} needs filters or an id`);
+    }
+    return filters;
+}
+
+module.exports = {
+    name: 'supabase',
+
+    describe() {
+        return {
+            displayName: 'Supabase',
+            service: 'database',
+            description: 'Filtered queries, upserts, counts, RPC and storage buckets'
+        };
+    },
+
+    async init(env) {
+        if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) {
+            return null;
+        }
+
+        return createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
+    },
+
+    health: { intervalMs: 60000 },
+
+    // A missing health_check table still proves the API answered with our key
+    async healthCheck(client) {
+        const { error, status } = await client.from('health_check').select('*').limit(1);
+        return !error || status === 404 || error.code === '42P01';
+    },
+
+    sideEffects: ['insert', 'rpc', 'upload'],
+
+    operations: {
+        async select(client, params) {
+            let query = client.from(params.table).select(params.columns || '*', {
+                count: params.count,
+                head: params.head
+            });
+            query = applyFilters(query, params.filters);
+            query = applyOrder(query, params.order);
+            query = applyPagination(query, params);
+
+            if (params.single) {
+                query = query.maybeSingle();
+            }
+            return unwrap(await query, 'select');
+        },
+
+        async count(client, params) {
+            const query = applyFilters(
+                client.from(params.table).select('*', { count: params.mode || 'exact', head: true }),
+                params.filters
+            );
+            const { count } = unwrap(await query, 'count');
+            return { count };
+        },
+
+        async insert(client, params) {
+            return unwrap(await client.from(params.table).insert(params.data).select(params.returning || '*'), 'insert');
+        },
+
+        async upsert(client, params) {
+            return unwrap(await client.from(params.table).upsert(params.data, {
+                onConflict: Array.isArray(params.onConflict) ? params.onConflict.join(',') : params.onConflict,
+                ignoreDuplicates: params.ignoreDuplicates || false
+            }).select(params.returning || '*'), 'upsert');
+        },
+
+        async update(client, params) {
+            const query = applyFilters(client.from(params.table).update(params.data), requireFilters(params, 'update'));
+            return unwrap(await query.select(params.returning || '*'), 'update');
+        },
+
+        async delete(client, params) {
+            const query = applyFilters(client.from(params.table).delete(), requireFilters(params, 'delete'));
+            return unwrap(await query.select(params.returning || '*'), 'delete');
+        },
+
+        async rpc(client, params) {
+            return unwrap(await client.rpc(params.fn, params.args || {}, { count: params.count }), 'rpc');
+        },
+
+        // file: Buffer, or a base64 string
+        async upload(client, params) {
+            const body = Buffer.isBuffer(params.file) ? params.file : Buffer.from(params.file, 'base64');
+            return unwrap(await client.storage.from(params.bucket).upload(params.path, body, {
+                contentType: params.contentType,
+                upsert: params.upsert || false
+            }), 'upload');
+        },
+
+        async download(client, params) {
+            const { data } = unwrap(await client.storage.from(params.bucket).download(params.path), 'download');
+            return {
+                data: Buffer.from(await data.arrayBuffer()),
+                contentType: data.type || null
+            };
+        }
+    }
+};
@@ -0,0 +1,73 @@
+// RIKA 2.0 - Telegram adapter: bot messaging
+const TelegramBot = require('node-telegram-bot-api');
+
+module.exports = {
+    name: 'telegram',
+
+    describe() {
+        return {
+            displayName: 'Telegram',
+            service: 'messaging',
+            description: 'Bot messages, file downloads, commands and long polling'
+        };
+    },
+
+    async init(env) {
+        if (!env.TELEGRAM_BOT_TOKEN) {
+            return null;
+        }
+
+        return new TelegramBot(env.TELEGRAM_BOT_TOKEN, { polling: false });
+    },
+
+    health: { intervalMs: 120000 },
+
+    async healthCheck(client) {
+        const me = await client.getMe();
+        return !!me?.id;
+    },
+
+    sideEffects: ['sendMessage', 'sendPhoto'],
+
+    operations: {
+        async sendMessage(client, params) {
+            return await client.sendMessage(params.chatId, params.text, params.options);
+        },
+
+        async sendPhoto(client, params) {
+            return await client.sendPhoto(params.chatId, params.photo, params.options);
+        },
+
+        async sendChatAction(client, params) {
+            return await client.sendChatAction(params.chatId, params.action || 'typing');
+        },
+
+        // Voice notes and photos arrive as file ids; returns the file contents
+        async downloadFile(client, params) {
+            const chunks = [];
+            for await (const chunk of client.getFileStream(params.fileId)) {
+                chunks.push(chunk);
+            }
+            return { fileId: params.fileId, data: Buffer.concat(chunks) };
+        },
+
+        // Long polling; Telegram holds the request open up to `timeout` seconds
+        async getUpdates(client, params) {
+            return await client.getUpdates({
+                offset: params.offset,
+                timeout: params.timeout ?? 25,
+                limit: params.limit || 100,
+                allowed_updates: JSON.stringify(params.allowedUpdates || ['message'])
+            });
+        },
+
+        // getUpdates is refused while a webhook is registered
+        async deleteWebhook(client) {
+            return await client.deleteWebHook();
+        },
+
+        async setCommands(client, params) {
+            return await client.setMyCommands(params.commands);
+        }
+    }
+};
@@ -0,0 +1,75 @@
+// RIKA 2.0 - Twilio adapter: voice calls & SMS
+const twilio = require('twilio');
+
+// Sends every Twilio REST call to a different host, e.g. a local stand-in server
+class BaseUrlRequestClient extends twilio.RequestClient {
+    constructor(baseURL) {
+        super();
+        this.baseURL = baseURL.replace(/\/+$/, '');
+    }
+
+    request(opts) {
+        return super.request({
+            ...opts,
+            uri: opts.uri.replace(/^https?:\/\/[^/]+/, this.baseURL)
+        });
+    }
+}
+
+module.exports = {
+    name: 'twilio',
+
+    describe() {
+        return {
+            displayName: 'Twilio',
+            service: 'telephony',
+            description: 'Outbound voice calls and SMS messages'
+        };
+    },
+
+    async init(env) {
+        if (!env.TWILIO_ACCOUNT_SID || !env.TWILIO_AUTH_TOKEN) {
+            return null;
+        }
+
+        return twilio(env.TWILIO_ACCOUNT_SID, env.TWILIO_AUTH_TOKEN, {
+            httpClient: env.TWILIO_BASE_URL ? new BaseUrlRequestClient(env.TWILIO_BASE_URL) : undefined
+        });
+    },
+
+    health: { intervalMs: 120000 },
+
+    async healthCheck(client) {
+        const account = await client.api.v2010.accounts(client.accountSid).fetch();
+        return account.status === 'active';
+    },
+
+    sideEffects: ['call', 'message'],
+
+    operations: {
+        async call(client, params) {
+            // Minutes are only known once the call ends; the status callback reports them
+            return await client.calls.create({
+                url: params.twimlUrl || params.url,
+                to: params.to,
+                from: params.from,
+                ...(params.statusCallback && {
+                    statusCallback: params.statusCallback,
+                    statusCallbackEvent: ['completed']
+                })
+            });
+        },
+
+        async message(client, params) {
+            return await client.messages.create({
+                body: params.body,
+                to: params.to,
+                from: params.from
+            });
+        }
+    },
+
+    usage: {
+        message: result => ({ segments: parseInt(result?.numSegments, 10) || 1 })
+    }
+};
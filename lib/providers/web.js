@@ -0,0 +1,177 @@
+// RIKA 2.0 - Web adapter: fetch a page and extract its readable content
+//
+// Fetches are bounded by size, time and robots.txt, refuse private network addresses
+// (URLs come from model output), and land in the content-addressed page cache.
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const PageCache = require('../page-cache');
+const { assertPublicUrl } = require('../address-guard');
+const { parseRobots, isAllowed } = require('../robots-txt');
+const { extractReadable, chunkText } = require('../page-extractor');
+
+const MAX_REDIRECTS = 5;
+const ROBOTS_TTL_MS = 3600000;
+
+// Agents that connect to the address already checked instead of resolving the name again,
+// so a DNS answer that changes in between (rebinding) cannot reach a private address
+function pinnedAgents(pinned) {
+    if (!pinned) {
+        return {};
+    }
+
+    const lookup = (hostname, options, callback) => {
+        if (options?.all) {
+            callback(null, [pinned]);
+        } else {
+            callback(null, pinned.address, pinned.family);
+        }
+    };
+    return { httpAgent: new http.Agent({ lookup }), httpsAgent: new https.Agent({ lookup }) };
+}
+
+// Redirects are followed by hand so every hop gets the private-address check and its own
+// pin, and with options.robots the robots.txt of the host it lands on
+async function request(client, url, options = {}) {
+    let current = new URL(url);
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        if (options.robots && !(await robotsAllow(client, current))) {
+            throw new Error(`robots.txt disallows fetching ${current.href}`);
+        }
+        const pinned = await assertPublicUrl(current, client);
+
+        const response = await axios.get(current.href, {
+            ...pinnedAgents(pinned),
+            proxy: false,
+            headers: { 'User-Agent': client.userAgent, Accept: 'text/html,application/xhtml+xml,text/plain;q=0.8' },
+            timeout: options.timeoutMs || client.timeoutMs,
+            maxContentLength: options.maxBytes || client.maxBytes,
+            maxRedirects: 0,
+            responseType: 'text',
+            transformResponse: data => data,
+            validateStatus: status => status < 500
+        });
+
+        if (response.status >= 300 && response.status < 400 && response.headers.location) {
+            current = new URL(response.headers.location, current);
+            continue;
+        }
+        return { response, finalUrl: current.href };
+    }
+
+    throw new Error(`Too many redirects fetching ${url}`);
+}
+
+async function robotsAllow(client, url) {
+    if (!client.respectRobots) {
+        return true;
+    }
+
+    let entry = client.robots.get(url.origin);
+    if (!entry || Date.now() - entry.fetchedAt > ROBOTS_TTL_MS) {
+        let groups = [];
+        try {
+            const { response } = await request(client, `${url.origin}/robots.txt`, { timeoutMs: 5000, maxBytes: 512 * 1024 });
+            // A missing robots.txt allows everything
+            groups = response.status === 200 ? parseRobots(response.data) : [];
+        } catch (error) {
+            console.log(`⚠️ robots.txt unavailable for ${url.origin}:`, error.message);
+        }
+        entry = { groups, fetchedAt: Date.now() };
+        client.robots.set(url.origin, entry);
+    }
+
+    return isAllowed(entry.groups, client.robotsToken, url.pathname + url.search);
+}
+
+module.exports = {
+    name: 'web',
+
+    limits: { maxConcurrent: 2, requestsPerMinute: 30 },
+    pricing: { perRequest: 0 },
+
+    describe() {
+        return {
+            displayName: 'Web Pages',
+            service: 'fetch',
+            description: 'Fetch a page and extract its readable text, metadata and links'
+        };
+    },
+
+    async init(env) {
+        if (env.WEB_FETCH_ENABLED === 'false') {
+            return null;
+        }
+
+        return {
+            userAgent: env.WEB_FETCH_USER_AGENT || 'Mozilla/5.0 (compatible; RIKA/3.0; +https://github.com/Sasageyo1230/rika-2.0-ai-orchestration)',
+            timeoutMs: parseInt(env.WEB_FETCH_TIMEOUT_MS, 10) || 10000,
+            maxBytes: parseInt(env.WEB_FETCH_MAX_BYTES, 10) || 2 * 1024 * 1024,
+            respectRobots: env.WEB_FETCH_RESPECT_ROBOTS !== 'false',
+            robotsToken: env.WEB_FETCH_ROBOTS_TOKEN || 'RIKA',
+            allowPrivate: env.WEB_FETCH_ALLOW_PRIVATE === 'true',
+            robots: new Map(), // origin -> { groups, fetchedAt }
+            cache: new PageCache()
+        };
+    },
+
+    // Nothing remote to probe; failures of individual pages stay per-call
+    async healthCheck() {
+        return true;
+    },
+
+    operations: {
+        // params: { url, chunkSize?, refresh? } -> page metadata plus text chunks
+        async fetchPage(client, params) {
+            const url = new URL(params.url);
+            url.hash = '';
+
+            let page = params.refresh ? null : client.cache.getFresh(url.href);
+            const cached = !!page;
+
+            if (!page) {
+                const { response, finalUrl } = await request(client, url.href, { robots: true });
+                if (response.status >= 400) {
+                    throw new Error(`Fetching ${url.href} failed with HTTP ${response.status}`);
+                }
+
+                const contentType = String(response.headers['content-type'] || '');
+                if (!/text\/html|application\/xhtml|text\/plain/.test(contentType)) {
+                    throw new Error(`Unsupported content type: ${contentType || 'unknown'}`);
+                }
+
+                const extracted = contentType.includes('text/plain')
+                    ? { title: null, author: null, publishedAt: null, text: response.data.trim(), links: [] }
+                    : extractReadable(response.data, finalUrl);
+
+                page = client.cache.put({
+                    url: url.href,
+                    finalUrl,
+                    ...extracted,
+                    fetchedAt: Date.now()
+                });
+            }
+
+            const chunks = chunkText(page.text, params.chunkSize || 2000);
+            return {
+                url: page.url,
+                finalUrl: page.finalUrl,
+                title: page.title,
+                author: page.author,
+                publishedAt: page.publishedAt,
+                fetchedAt: page.fetchedAt,
+                contentHash: page.contentHash,
+                snapshotUrl: `/api/sources/${page.contentHash}`,
+                cached,
+                length: page.text.length,
+                chunks,
+                links: page.links
+            };
+        }
+    },
+
+    usage: {
+        fetchPage: result => ({ requests: result?.cached ? 0 : 1 })
+    }
+};
@@ -0,0 +1,79 @@
+// RIKA 2.0 - robots.txt rules (RFC 9309): user-agent groups, Allow/Disallow, * and $
+//
+// Groups naming our product token (matched whole, case-insensitively) win over "*";
+// groups for the same agent are combined. The longest matching rule decides, and
+// Allow wins a tie.
+
+function parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (current && (field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value });
+        }
+    }
+
+    return groups;
+}
+
+function ruleMatches(rulePath, urlPath) {
+    const anchored = rulePath.endsWith('$');
+    const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+// productToken is the crawler name robots.txt addresses ("RIKA"), not the full User-Agent header
+function isAllowed(groups, productToken, urlPath) {
+    const token = productToken.toLowerCase();
+    const named = groups.filter(entry => entry.agents.includes(token));
+    const matched = named.length ? named : groups.filter(entry => entry.agents.includes('*'));
+
+    if (matched.length === 0) {
+        return true;
+    }
+
+    let decision = null;
+    for (const rule of matched.flatMap(entry => entry.rules)) {
+        if (!ruleMatches(rule.path, urlPath)) {
+            continue;
+        }
+        const length = rule.path.length;
+        if (!decision || length > decision.length || (length === decision.length && rule.allow)) {
+            decision = { allow: rule.allow, length };
+        }
+    }
+
+    return decision ? decision.allow : true;
+}
+
+module.exports = {
+    parseRobots,
+    isAllowed
+};
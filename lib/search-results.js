@@ -0,0 +1,43 @@
+// RIKA 2.0 - Search result schema shared by every provider in the search chain
+//
+// { query, source, results: [{ title, url, snippet, source, rank }] }
+//
+// Search params are { query, count, offset }, where offset is the number of results to
+// skip (a result index, not a page). Providers that page by page convert with toPage so
+// the same call returns the same slice whichever provider in the chain answers it.
+
+function cleanText(value) {
+    return String(value || '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeResults(query, source, items, offset = 0) {
+    const results = items
+        .filter(item => item && item.url)
+        .map((item, index) => ({
+            title: cleanText(item.title) || item.url,
+            url: item.url,
+            snippet: cleanText(item.snippet),
+            source,
+            rank: offset + index + 1
+        }));
+
+    return { query, source, results };
+}
+
+// offset 25, count 10 -> page 2 of 10 results, skipping its first 5
+function toPage(offset = 0, count = 10) {
+    const page = Math.floor(offset / count);
+    return { page, skip: offset - page * count };
+}
+
+module.exports = {
+    cleanText,
+    toPage,
+    normalizeResults
+};
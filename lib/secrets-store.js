@@ -0,0 +1,170 @@
+// RIKA 2.0 - Secrets Store: encrypted provider credentials on disk
+//
+// Credentials are kept per provider as env-style names (OPENAI_API_KEY, ...) and
+// overlay process.env when the Tool Broker builds that provider's client. Each entry
+// is sealed with AES-256-GCM under a key derived from ENCRYPTION_KEY.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_PATH = path.join(__dirname, '../data/secrets.enc.json');
+const ENV_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+class SecretsStore {
+    constructor(options = {}) {
+        const secret = options.encryptionKey || process.env.ENCRYPTION_KEY;
+        if (!secret || secret.length < 16) {
+            throw new Error('ENCRYPTION_KEY must be set (16+ characters) to use the secrets store');
+        }
+
+        this.filePath = options.filePath || process.env.SECRETS_STORE_PATH || DEFAULT_PATH;
+        this.file = this.load();
+        this.key = crypto.scryptSync(secret, Buffer.from(this.file.salt, 'base64'), 32);
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Secrets store unreadable: ${error.message}`);
+            }
+            return { version: 1, salt: crypto.randomBytes(16).toString('base64'), providers: {} };
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.file, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    encrypt(payload) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(sealed) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(sealed.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+
+        try {
+            const data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+            return JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            throw new Error('Secrets store could not be decrypted (wrong ENCRYPTION_KEY?)');
+        }
+    }
+
+    validateValues(values) {
+        if (!values || typeof values !== 'object' || Object.keys(values).length === 0) {
+            throw new Error('Credentials must be an object of environment-style names to values');
+        }
+
+        for (const [name, value] of Object.entries(values)) {
+            if (!ENV_NAME_PATTERN.test(name)) {
+                throw new Error(`Invalid credential name: ${name}`);
+            }
+            if (typeof value !== 'string' || !value) {
+                throw new Error(`Credential ${name} must be a non-empty string`);
+            }
+        }
+    }
+
+    // Decrypted credentials for a provider, or null when none are stored
+    get(provider) {
+        const entry = this.file.providers[provider];
+        if (!entry || entry.revoked) {
+            return null;
+        }
+        return this.decrypt(entry.sealed).values;
+    }
+
+    isRevoked(provider) {
+        return !!this.file.providers[provider]?.revoked;
+    }
+
+    // The set a rollback would restore, or null
+    previous(provider) {
+        const entry = this.file.providers[provider];
+        if (!entry || entry.revoked) {
+            return null;
+        }
+        return this.decrypt(entry.sealed).previous || null;
+    }
+
+    // Merge into the provider's current credentials (add a phone number, change a region, ...)
+    set(provider, values) {
+        this.validateValues(values);
+        return this.write(provider, { ...this.get(provider), ...values }, this.get(provider));
+    }
+
+    // Replace the provider's credentials outright; the old set is kept sealed for rollback
+    rotate(provider, values) {
+        this.validateValues(values);
+        return this.write(provider, values, this.get(provider));
+    }
+
+    // Swap back to the set before the last change; rolling back twice undoes the rollback
+    rollback(provider) {
+        const previous = this.previous(provider);
+        if (!previous) {
+            throw new Error(`No previous credentials stored for ${provider}`);
+        }
+        return this.write(provider, previous, this.get(provider));
+    }
+
+    // Wipe the credentials; the broker will not fall back to process.env until set again
+    revoke(provider) {
+        const current = this.file.providers[provider];
+        this.file.providers[provider] = {
+            revoked: true,
+            version: (current?.version || 0) + 1,
+            updatedAt: Date.now()
+        };
+        this.save();
+        return this.describe(provider);
+    }
+
+    write(provider, values, previous) {
+        const current = this.file.providers[provider];
+        this.file.providers[provider] = {
+            sealed: this.encrypt({ values, previous }),
+            names: Object.keys(values),
+            version: (current?.version || 0) + 1,
+            updatedAt: Date.now()
+        };
+        this.save();
+        return this.describe(provider);
+    }
+
+    // Metadata only; values never leave the store through here
+    describe(provider) {
+        const entry = this.file.providers[provider];
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            provider,
+            names: entry.names || [],
+            version: entry.version,
+            revoked: !!entry.revoked,
+            updatedAt: entry.updatedAt
+        };
+    }
+
+    list() {
+        return Object.keys(this.file.providers).map(provider => this.describe(provider));
+    }
+}
+
+module.exports = SecretsStore;
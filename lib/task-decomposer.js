@@ -0,0 +1,187 @@
+// RIKA 2.0 - Task Decomposer: splits compound requests into per-agent subtasks
+//
+// "plan my week: gym three times, stay under $200, and learn Spanish basics" concerns
+// Pulse, Mint and Kibo at once. Clauses are scored with the local intent classifier;
+// only when two or more specialists are confidently in play does the request become a
+// plan, which the LLM planner may then refine (better splits, dependencies).
+
+const MAX_SUBTASKS = 4;
+const CLAUSE_MIN_CONFIDENCE = 0.6;
+
+// Clause boundaries: semicolons, new lines, commas and "and"/"then"/"also" joins
+const CLAUSE_SEPARATOR = /(\s*(?:;|\n+|,\s*(?:and\s+|then\s+|also\s+|plus\s+)?|\s+(?:and then|and also|and|then|also|plus)\s+)\s*)/i;
+const LIST_MARKER = /^\s*(?:[-*•]|\d+[.)])\s+/;
+const DEPENDENCY_HINT = /\b(then|after that|afterwards|based on (that|this|it|those)|using (that|this|those|it)|with (that|those) results?)\b/i;
+
+// "plan my week: ..." — a short lead-in before a colon is the goal every subtask shares
+function splitGoal(message) {
+    const match = message.match(/^([^:\n]{3,80}):\s+([\s\S]+)$/);
+    return match ? { goal: match[1].trim(), body: match[2] } : { goal: null, body: message };
+}
+
+class TaskDecomposer {
+    constructor(toolBroker, classifier, categoryAgents) {
+        this.toolBroker = toolBroker;
+        this.classifier = classifier;
+        this.categoryAgents = categoryAgents;
+        this.maxSubtasks = parseInt(process.env.TASK_MAX_SUBTASKS, 10) || MAX_SUBTASKS;
+        this.mode = process.env.TASK_DECOMPOSITION_MODE || 'llm'; // llm | local | off
+    }
+
+    // A plan for compound requests, null for everything a single agent can take
+    async decompose(message, options = {}) {
+        if (this.mode === 'off') {
+            return null;
+        }
+
+        const local = this.localPlan(message);
+        if (!local) {
+            return null;
+        }
+
+        if (this.mode === 'llm' && !options.realtime && this.toolBroker.hasService('llm')) {
+            try {
+                const refined = await this.llmPlan(message, local, options);
+                if (refined) {
+                    return refined;
+                }
+            } catch (error) {
+                console.warn('LLM task planner failed, using local split:', error.message);
+            }
+        }
+
+        return local;
+    }
+
+    localPlan(message) {
+        const { goal, body } = splitGoal(message.trim());
+        const parts = body.split(CLAUSE_SEPARATOR);
+        const subtasks = [];
+        const lead = [];
+
+        // split() with a capture group alternates clause, separator, clause, ...
+        for (let i = 0; i < parts.length; i += 2) {
+            const clause = parts[i].replace(LIST_MARKER, '').trim();
+            if (!clause) {
+                continue;
+            }
+
+            const separator = parts[i - 1] || '';
+            const dependent = i > 0 && DEPENDENCY_HINT.test(`${separator} ${clause}`);
+            const intent = this.classifier.classify(clause);
+            const agentId = this.categoryAgents[intent.category];
+            const confident = intent.confidence >= CLAUSE_MIN_CONFIDENCE && agentId && agentId !== 'rika';
+
+            // Weak clauses belong to the one before them ("..., and make it fun")
+            if (!confident) {
+                if (subtasks.length) {
+                    subtasks[subtasks.length - 1].clauses.push(clause);
+                } else {
+                    lead.push(clause);
+                }
+                continue;
+            }
+
+            const previous = subtasks[subtasks.length - 1];
+            const sameAgent = dependent ? (previous?.agentId === agentId ? previous : null) : subtasks.find(subtask => subtask.agentId === agentId);
+            if (sameAgent) {
+                sameAgent.clauses.push(clause);
+                continue;
+            }
+
+            subtasks.push({
+                agentId,
+                category: intent.category,
+                confidence: intent.confidence,
+                clauses: [clause],
+                dependsOnPrevious: dependent && !!previous
+            });
+        }
+
+        if (subtasks.length < 2) {
+            return null;
+        }
+
+        const sharedGoal = [goal, ...lead].filter(Boolean).join(', ') || null;
+        const kept = subtasks.slice(0, this.maxSubtasks);
+
+        return this.buildPlan(message, sharedGoal, kept.map((subtask, index) => ({
+            agentId: subtask.agentId,
+            category: subtask.category,
+            task: sharedGoal ? `${sharedGoal}: ${subtask.clauses.join(', ')}` : subtask.clauses.join(', '),
+            dependsOn: subtask.dependsOnPrevious ? [index - 1] : []
+        })), 'local');
+    }
+
+    async llmPlan(message, local, options) {
+        const agents = Object.entries(this.categoryAgents)
+            .filter(([, agentId]) => agentId !== 'rika')
+            .map(([category, agentId]) => `${agentId} (${category})`)
+            .join(', ');
+
+        const response = await this.toolBroker.callWithFallback('llm', 'chat', {
+            model: 'gpt-3.5-turbo',
+            messages: [
+                {
+                    role: 'system',
+                    content: `Split the user's request into at most ${this.maxSubtasks} subtasks, one per specialist. Specialists: ${agents}.
+Only split when different specialists are needed. A subtask that needs another's result lists its index in dependsOn.
+Respond with JSON: {"goal": "shared goal or null", "subtasks": [{"agent": "agent id", "task": "self-contained instruction", "dependsOn": [0]}]}`
+                },
+                {
+                    role: 'user',
+                    content: message
+                }
+            ],
+            maxTokens: 400,
+            temperature: 0.1
+        }, {
+            priority: options.priority,
+            context: { routingId: options.routingId, purpose: 'planner' }
+        });
+
+        const content = response.choices[0].message.content;
+        const match = (content || '').match(/\{[\s\S]*\}/);
+        const parsed = JSON.parse(match ? match[0] : content);
+
+        const categories = Object.fromEntries(Object.entries(this.categoryAgents).map(([category, agentId]) => [agentId, category]));
+        const subtasks = (parsed.subtasks || [])
+            .slice(0, this.maxSubtasks)
+            .filter(subtask => categories[subtask?.agent] && subtask.agent !== 'rika' && typeof subtask.task === 'string' && subtask.task.trim());
+
+        // The planner agreeing there is nothing to split is not a reason to override the local split
+        if (subtasks.length < 2 || subtasks.length !== (parsed.subtasks || []).slice(0, this.maxSubtasks).length) {
+            return null;
+        }
+
+        return this.buildPlan(message, parsed.goal || local.goal, subtasks.map((subtask, index) => ({
+            agentId: subtask.agent,
+            category: categories[subtask.agent],
+            task: subtask.task.trim(),
+            // Only earlier subtasks can be depended on, which rules out cycles
+            dependsOn: [...new Set((subtask.dependsOn || []).filter(dependency => Number.isInteger(dependency) && dependency >= 0 && dependency < index))]
+        })), 'llm');
+    }
+
+    buildPlan(message, goal, subtasks, source) {
+        const withIds = subtasks.map((subtask, index) => {
+            const intent = this.classifier.classify(subtask.task);
+            return {
+                id: `t${index + 1}`,
+                agentId: subtask.agentId,
+                task: subtask.task,
+                dependsOn: subtask.dependsOn.map(dependency => `t${dependency + 1}`),
+                intent: { ...intent, category: subtask.category }
+            };
+        });
+
+        return {
+            goal,
+            request: message,
+            subtasks: withIds,
+            source
+        };
+    }
+}
+
+module.exports = TaskDecomposer;
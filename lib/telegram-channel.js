@@ -0,0 +1,484 @@
+// RIKA 2.0 - Telegram Channel: bot commands, per-chat memory, voice notes and photos
+//
+// Updates arrive through the /webhooks/telegram route or, with TELEGRAM_MODE=polling,
+// through a getUpdates long-polling loop for deployments without a public URL. Every
+// chat keeps its own short conversation history and agent choice, and its messages go
+// through IntelligenceRouter.route like the web chat.
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_LIMIT = 12; // messages (user + assistant) replayed to the agent
+const MESSAGE_LIMIT = 4096; // Telegram's maximum text length
+const SEEN_UPDATES_LIMIT = 1000; // update_ids remembered to drop redeliveries
+
+const COMMANDS = [
+    { command: 'agent', description: 'Talk to a specific agent (/agent scout, /agent auto)' },
+    { command: 'budget', description: 'Today\'s spend against the budget' },
+    { command: 'status', description: 'System and provider status' },
+    { command: 'pin', description: 'Pin a note to RIKA\'s memory' },
+    { command: 'reset', description: 'Start a fresh conversation' },
+    { command: 'confirm', description: 'Go ahead with a request the council flagged' },
+    { command: 'cancel', description: 'Drop a request the council flagged' },
+    { command: 'help', description: 'List commands' }
+];
+
+class TelegramChannel {
+    constructor(deps, options = {}) {
+        this.toolBroker = deps.toolBroker;
+        this.router = deps.router;
+        this.voiceEngine = deps.voiceEngine;
+        this.agents = deps.agents;
+        this.conversations = deps.conversations;
+        this.executeRouting = deps.executeRouting;
+        this.councilGate = deps.councilGate;
+
+        this.mode = options.mode || process.env.TELEGRAM_MODE || 'webhook';
+        this.visionModel = options.visionModel || process.env.TELEGRAM_VISION_MODEL || 'gpt-4o';
+        this.whitelist = (process.env.TELEGRAM_CHAT_WHITELIST || '').split(',').map(id => id.trim()).filter(Boolean);
+
+        this.chatQueues = new Map(); // chatId -> Promise, so one chat's messages are answered in order
+        this.seenUpdates = new Set(); // recent update_ids, oldest first
+        this.polling = false;
+        this.offset = 0;
+    }
+
+    isAvailable() {
+        return !!this.toolBroker?.providers.has('telegram');
+    }
+
+    async start() {
+        if (!this.isAvailable()) {
+            console.log('📵 Telegram channel disabled (no bot token)');
+            return;
+        }
+
+        try {
+            await this.toolBroker.callProvider('telegram', 'setCommands', { commands: COMMANDS });
+        } catch (error) {
+            console.warn('Telegram command menu not registered:', error.message);
+        }
+
+        if (this.mode === 'polling') {
+            await this.toolBroker.callProvider('telegram', 'deleteWebhook', {});
+            this.startPolling();
+        }
+        console.log(`💬 Telegram channel: ${this.mode} mode`);
+    }
+
+    startPolling() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+        this.pollLoop();
+    }
+
+    stopPolling() {
+        this.polling = false;
+    }
+
+    async pollLoop() {
+        let failures = 0;
+
+        while (this.polling) {
+            try {
+                const updates = await this.toolBroker.callProvider('telegram', 'getUpdates', {
+                    offset: this.offset,
+                    timeout: 25
+                }, { maxRetries: 1 });
+                failures = 0;
+
+                for (const update of updates) {
+                    this.offset = update.update_id + 1;
+                    this.handleUpdate(update).catch(error => console.error('Telegram update failed:', error));
+                }
+            } catch (error) {
+                failures++;
+                const delayMs = Math.min(60000, 1000 * Math.pow(2, failures));
+                console.warn(`⚠️ Telegram polling failed, retrying in ${delayMs}ms:`, error.message);
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+
+    // Telegram redelivers updates it did not see acknowledged in time; each update_id is
+    // handled once, so a redelivery is neither routed nor billed again
+    isDuplicate(update) {
+        if (!Number.isInteger(update?.update_id)) {
+            return false;
+        }
+        if (this.seenUpdates.has(update.update_id)) {
+            return true;
+        }
+
+        this.seenUpdates.add(update.update_id);
+        if (this.seenUpdates.size > SEEN_UPDATES_LIMIT) {
+            this.seenUpdates.delete(this.seenUpdates.values().next().value);
+        }
+        return false;
+    }
+
+    // Queued per chat; resolves once the reply is sent
+    handleUpdate(update) {
+        if (this.isDuplicate(update)) {
+            console.log(`♻️ Telegram update ${update.update_id} already handled`);
+            return Promise.resolve();
+        }
+
+        const message = update.message;
+        if (!message?.chat) {
+            return Promise.resolve();
+        }
+
+        const chatId = String(message.chat.id);
+        if (this.whitelist.length > 0 && !this.whitelist.includes(chatId)) {
+            console.log(`⚠️ Telegram message from unauthorized chat: ${chatId}`);
+            return Promise.resolve();
+        }
+
+        const previous = this.chatQueues.get(chatId) || Promise.resolve();
+        const next = previous.then(() => this.processMessage(update, chatId));
+        const settled = next.catch(() => {});
+        this.chatQueues.set(chatId, settled);
+        settled.then(() => {
+            if (this.chatQueues.get(chatId) === settled) {
+                this.chatQueues.delete(chatId);
+            }
+        });
+        return next;
+    }
+
+    async processMessage(update, chatId) {
+        const message = update.message;
+        const conversation = this.getConversation(chatId);
+
+        try {
+            if (message.text?.startsWith('/')) {
+                return await this.reply(update, await this.handleCommand(message.text, conversation));
+            }
+
+            let text = message.text || message.caption || '';
+            let prefix = '';
+
+            if (message.voice || message.audio) {
+                text = await this.transcribeVoice(message.voice || message.audio);
+                if (!text) {
+                    return await this.reply(update, '🎙️ I couldn\'t make out any words in that voice note.');
+                }
+                prefix = `🎙️ "${text}"\n\n`;
+            } else if (message.photo) {
+                text = await this.describePhoto(message.photo, message.caption, conversation);
+            }
+
+            if (!text) {
+                return;
+            }
+
+            await this.toolBroker.callProvider('telegram', 'sendChatAction', { chatId, action: 'typing' })
+                .catch(() => {});
+            const answer = await this.answer(text, conversation);
+            await this.reply(update, prefix + answer);
+        } catch (error) {
+            console.error('Telegram message processing failed:', error);
+            await this.reply(update, '⚠️ Something went wrong handling that message. Please try again.')
+                .catch(() => {});
+        }
+    }
+
+    async answer(text, conversation) {
+        const routing = await this.router.route(text, {
+            userId: conversation.userId,
+            channel: 'telegram',
+            ...(conversation.agentId ? { preferredAgent: conversation.agentId } : {})
+        });
+
+        if (routing.error) {
+            return `⚠️ ${routing.message}`;
+        }
+
+        // Council verdicts: block ends here, caution waits for /confirm or /cancel
+        const verdict = this.councilGate.verdict(routing);
+        if (verdict === 'block') {
+            this.router.reconcileCost(routing.id);
+            return this.describeCouncil(this.councilGate.block(routing));
+        }
+        if (verdict === 'caution') {
+            const confirmation = this.councilGate.hold(conversation.id, routing, { message: text, userId: conversation.userId }, () => {
+                this.router.reconcileCost(routing.id);
+                this.notify(conversation.chatId, '⌛ The flagged request expired without confirmation, so I left it. Send it again if you still want it.')
+                    .catch(error => console.warn('Telegram expiry notice failed:', error.message));
+            });
+            return this.describeCouncil(confirmation);
+        }
+
+        return this.respond(text, routing, conversation);
+    }
+
+    async respond(text, routing, conversation) {
+        let response;
+        try {
+            response = await this.executeRouting(text, routing, {
+                history: conversation.history.slice(-HISTORY_LIMIT),
+                toolContext: { telegramChatId: conversation.chatId }
+            });
+        } finally {
+            // Failed answers release their reservation too, not only at its TTL
+            this.router.reconcileCost(routing.id);
+        }
+
+        conversation.history.push(
+            { role: 'user', content: text },
+            { role: 'assistant', content: response.response }
+        );
+        conversation.history = conversation.history.slice(-HISTORY_LIMIT);
+        conversation.lastActivity = Date.now();
+
+        this.router.rememberExchange(text, response.response, routing, { userId: conversation.userId, channel: 'telegram' })
+            .catch(error => console.warn('Long-term memory write failed:', error.message));
+
+        const agent = this.agents.get(routing.targetAgent);
+        return conversation.agentId || routing.targetAgent === 'rika'
+            ? response.response
+            : `${agent?.emoji || '🤖'} ${agent?.name || routing.targetAgent}: ${response.response}`;
+    }
+
+    async handleCommand(text, conversation) {
+        const [rawCommand, ...rest] = text.trim().split(/\s+/);
+        const command = rawCommand.slice(1).split('@')[0].toLowerCase(); // /status@RikaBot in groups
+        const argument = rest.join(' ');
+
+        switch (command) {
+            case 'start':
+            case 'help':
+                return ['👋 I\'m RIKA. Send text, voice notes or photos. Commands:',
+                    ...COMMANDS.map(entry => `/${entry.command} — ${entry.description}`)].join('\n');
+
+            case 'agent':
+                return this.selectAgent(argument.toLowerCase(), conversation);
+
+            case 'budget':
+                return this.describeBudget(conversation);
+
+            case 'status':
+                return this.describeStatus();
+
+            case 'pin':
+                if (!argument) {
+                    return 'Usage: /pin <something to remember>';
+                }
+                this.router.pinToMemory(conversation.userId, { text: argument, source: 'telegram' });
+                return `📌 Pinned: ${argument}`;
+
+            case 'reset':
+                conversation.history = [];
+                conversation.agentId = null;
+                this.router.clearPins(conversation.userId);
+                return '🔄 Conversation and pins cleared. Long-term memory is kept.';
+
+            case 'confirm':
+            case 'cancel':
+                return this.resolveCouncil(command, conversation);
+
+            default:
+                return `Unknown command /${command}. Try /help.`;
+        }
+    }
+
+    // No per-message buttons here, so /confirm and /cancel answer the chat's latest flagged request
+    async resolveCouncil(command, conversation) {
+        const routingId = this.councilGate.latestFor(conversation.id);
+        if (!routingId) {
+            return 'Nothing is waiting for confirmation.';
+        }
+
+        const held = this.councilGate.resolve(conversation.id, routingId, command === 'confirm' ? 'confirm' : 'decline');
+        if (command !== 'confirm') {
+            this.router.reconcileCost(routingId);
+            return '🛑 Cancelled. Nothing was done.';
+        }
+        return this.respond(held.payload.message, held.routing, conversation);
+    }
+
+    describeCouncil(verdict) {
+        const lines = verdict.recommendation === 'block'
+            ? [`⛔ I won't go ahead with that. The council blocked it: ${verdict.reason || 'no reason given'}`]
+            : [`⚠️ The council advises caution: ${verdict.reason || 'no reason given'}`];
+
+        if (verdict.flags.length) {
+            lines.push(`Flags: ${verdict.flags.join(', ')}`);
+        }
+        verdict.votes
+            .filter(vote => vote.recommendation !== 'proceed')
+            .forEach(vote => lines.push(`• ${vote.member} (${vote.focus}): ${vote.recommendation}${vote.reason ? ` — ${vote.reason}` : ''}`));
+
+        if (verdict.recommendation === 'caution') {
+            lines.push('', `Reply /confirm within ${Math.round(verdict.timeoutMs / 60000) || 1} min to go ahead anyway, or /cancel.`);
+        }
+        return lines.join('\n');
+    }
+
+    selectAgent(agentId, conversation) {
+        const list = Array.from(this.agents.values()).map(agent => `${agent.emoji} ${agent.id} — ${agent.role}`).join('\n');
+
+        if (!agentId) {
+            const current = conversation.agentId || 'auto (routed per message)';
+            return `Current agent: ${current}\n\n${list}`;
+        }
+        if (agentId === 'auto') {
+            conversation.agentId = null;
+            return '🧭 Back to automatic routing.';
+        }
+
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            return `Unknown agent "${agentId}". Available:\n${list}`;
+        }
+        conversation.agentId = agentId;
+        return `${agent.emoji} You're now talking to ${agent.name} (${agent.role}).`;
+    }
+
+    describeBudget(conversation) {
+        const { costTracker, budgets } = this.router.getStatus();
+        const line = (label, usage) => usage?.limit
+            ? `${label}: $${usage.spent.toFixed(4)} of $${usage.limit.toFixed(2)} (${usage.percent}%)`
+            : `${label}: $${(usage?.spent || 0).toFixed(4)}`;
+
+        const global = budgets.scopes.global || {};
+        const mine = budgets.scopes[`user:${conversation.userId}`] || {};
+        return [
+            line('💰 Today', global.daily),
+            line('📅 This month', global.monthly),
+            line('👤 You today', mine.daily),
+            line('👤 You this month', mine.monthly),
+            `🔢 Requests today: ${costTracker.requests}`
+        ].join('\n');
+    }
+
+    // Users hear about their own budgets in their chat; every alert goes to the alert chat
+    async notifyBudgetAlert(alert) {
+        if (!this.isAvailable()) {
+            return;
+        }
+
+        const recipients = new Set();
+        if (alert.scope === 'user' && alert.id?.startsWith('telegram:')) {
+            recipients.add(alert.id.slice('telegram:'.length));
+        }
+        const alertChat = process.env.TELEGRAM_ALERT_CHAT_ID || process.env.TELEGRAM_DEFAULT_CHAT_ID;
+        if (alertChat) {
+            recipients.add(String(alertChat));
+        }
+
+        for (const chatId of recipients) {
+            const subject = alert.scope === 'global' ? 'Overall'
+                : alert.id === `telegram:${chatId}` ? 'Your'
+                    : `${alert.scope.charAt(0).toUpperCase()}${alert.scope.slice(1)} ${alert.id}`;
+            const text = `${alert.threshold >= 100 ? '🛑' : '🚨'} ${subject} ${alert.period} budget at ${alert.percent}%: $${alert.spent.toFixed(2)} of $${alert.limit.toFixed(2)}`;
+
+            await this.notify(chatId, text)
+                .catch(error => console.warn(`Telegram budget alert to ${chatId} failed:`, error.message));
+        }
+    }
+
+    describeStatus() {
+        const health = this.toolBroker.getHealthStatus();
+        const providers = Object.entries(health)
+            .filter(([, status]) => status.available)
+            .map(([name, status]) => `${status.healthy === false ? '🔴' : '🟢'} ${name}`);
+
+        return [
+            `🧠 RIKA is up (${Math.round(process.uptime() / 60)} min)`,
+            `🤖 Agents: ${this.agents.size}`,
+            `🛠️ Providers:\n${providers.join('\n') || 'none configured'}`
+        ].join('\n');
+    }
+
+    async transcribeVoice(voice) {
+        if (!this.voiceEngine) {
+            throw new Error('Voice engine unavailable');
+        }
+
+        const { data } = await this.toolBroker.callProvider('telegram', 'downloadFile', { fileId: voice.file_id });
+        const tempFile = path.join(__dirname, '../temp', `telegram_${voice.file_unique_id || Date.now()}.ogg`);
+        fs.mkdirSync(path.dirname(tempFile), { recursive: true });
+        fs.writeFileSync(tempFile, data);
+
+        try {
+            const transcription = await this.voiceEngine.transcribeAudio(tempFile);
+            return transcription.text.trim();
+        } finally {
+            fs.unlink(tempFile, () => {});
+        }
+    }
+
+    // Describe the photo with a vision model, then route the description like any message
+    async describePhoto(sizes, caption, conversation) {
+        if (!this.toolBroker.providers.has('openai')) {
+            return caption ? `${caption}\n\n[A photo was attached but image understanding is unavailable.]` : '';
+        }
+
+        const largest = sizes[sizes.length - 1];
+        const { data } = await this.toolBroker.callProvider('telegram', 'downloadFile', { fileId: largest.file_id });
+
+        const response = await this.toolBroker.callProvider('openai', 'chat', {
+            model: this.visionModel,
+            maxTokens: 400,
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: `Describe this image in detail${caption ? ` with this question in mind: "${caption}"` : ''}.` },
+                    { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${data.toString('base64')}` } }
+                ]
+            }]
+        }, { context: { agent: conversation.agentId || 'rika', tier: 'interactive', purpose: 'vision' } });
+
+        const description = response.choices[0].message.content;
+        return `${caption || 'What do you make of this photo?'}\n\n[Photo: ${description}]`;
+    }
+
+    getConversation(chatId) {
+        const key = `telegram:${chatId}`;
+        let conversation = this.conversations.get(key);
+
+        if (!conversation) {
+            conversation = {
+                id: key,
+                channel: 'telegram',
+                chatId,
+                userId: key,
+                agentId: null,
+                history: [],
+                lastActivity: Date.now()
+            };
+            this.conversations.set(key, conversation);
+        }
+        return conversation;
+    }
+
+    // Messages not answering a particular update (expiry notices)
+    async notify(chatId, text) {
+        await this.toolBroker.callProvider('telegram', 'sendMessage', { chatId, text });
+    }
+
+    async reply(update, text) {
+        if (!text) {
+            return;
+        }
+
+        const chatId = update.message.chat.id;
+        const parts = [];
+        for (let start = 0; start < text.length; start += MESSAGE_LIMIT) {
+            parts.push(text.slice(start, start + MESSAGE_LIMIT));
+        }
+
+        // Telegram redelivers updates it thinks failed; answer each one once
+        for (let i = 0; i < parts.length; i++) {
+            await this.toolBroker.callProvider('telegram', 'sendMessage', {
+                chatId,
+                text: parts[i]
+            }, { idempotencyKey: `telegram-update:${update.update_id}${i > 0 ? `:${i}` : ''}` });
+        }
+    }
+}
+
+module.exports = TelegramChannel;
@@ -1,122 +1,236 @@
 // RIKA 2.0 - SaaS Tool Broker with Health Monitoring & Fallbacks
-const { OpenAI } = require('openai');
-const { ElevenLabs } = require('elevenlabs-node');
-const twilio = require('twilio');
-const { PineconeClient } = require('@pinecone-database/pinecone');
-const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
-const TelegramBot = require('node-telegram-bot-api');
-
-class ToolBroker {
-    constructor() {
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const CircuitBreaker = require('./circuit-breaker');
+const ProviderLimiter = require('./provider-limiter');
+const Cassette = require('./cassette');
+const PricingTable = require('./pricing');
+const HealthHistory = require('./health-history');
+const IdempotencyStore = require('./idempotency-store');
+const ProviderRegistry = require('./provider-registry');
+const builtinAdapters = require('./providers');
+const { loadHttpAdapters } = require('./providers/http');
+
+class ToolBroker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.registry = options.registry || new ProviderRegistry();
+        this.cassette = options.cassette || new Cassette();
+        this.pricing = options.pricing || new PricingTable();
+        this.idempotency = options.idempotency || new IdempotencyStore();
+        this.secrets = options.secrets || null;
         this.providers = new Map();
         this.healthStatus = new Map();
-        this.retryAttempts = new Map();
+        this.circuits = new Map();
+        this.circuitOptions = {
+            failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+            resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_TIMEOUT_MS, 10) || 30000,
+            halfOpenMaxCalls: parseInt(process.env.CIRCUIT_HALF_OPEN_MAX_CALLS, 10) || 1,
+            successThreshold: parseInt(process.env.CIRCUIT_SUCCESS_THRESHOLD, 10) || 1,
+            ...options.circuitBreaker
+        };
+        this.retryOptions = {
+            baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 500,
+            maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 8000,
+            ...options.retry
+        };
+        this.limiters = new Map();
+        this.limitOverrides = {
+            ...this.parseJsonEnv('PROVIDER_LIMITS'),
+            ...options.limits
+        };
         this.lastHealthCheck = new Map();
+        this.healthHistory = new Map();
+        this.healthChecksInFlight = new Set();
+        this.healthOptions = {
+            defaultIntervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS, 10) || 30000,
+            timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 10000,
+            historySize: parseInt(process.env.HEALTH_HISTORY_SIZE, 10) || 100,
+            tickMs: 5000,
+            ...options.health
+        };
+        this.healthIntervalOverrides = this.parseJsonEnv('PROVIDER_HEALTH_INTERVALS');
         this.fallbacks = new Map();
+
+        builtinAdapters.forEach(adapter => this.registry.register(adapter));
+        this.loadExternalAdapters();
+        this.loadHttpTools();
         
         this.initializeProviders();
         this.startHealthMonitoring();
     }
 
-    async initializeProviders() {
-        console.log('🛠️ Tool Broker: Initializing SaaS providers...');
+    registerProvider(adapter) {
+        this.registry.register(adapter);
+        if (adapter.pricing) {
+            this.pricing.setProviderRates(adapter.name, adapter.pricing);
+        }
+        console.log(`🔌 Provider adapter registered: ${adapter.name}`);
+        return adapter;
+    }
 
-        // OpenAI - Primary LLM
-        if (process.env.OPENAI_API_KEY) {
-            try {
-                this.providers.set('openai', new OpenAI({
-                    apiKey: process.env.OPENAI_API_KEY
-                }));
-                console.log('✅ OpenAI initialized');
-            } catch (error) {
-                console.log('❌ OpenAI failed:', error.message);
+    // Register and bring up a provider while the server is running
+    async addProvider(adapter) {
+        this.registerProvider(adapter);
+        return await this.initializeProvider(adapter.name);
+    }
+
+    async removeProvider(name) {
+        this.providers.delete(name);
+        this.healthStatus.delete(name);
+        this.healthHistory.delete(name);
+        this.lastHealthCheck.delete(name);
+        this.resetCircuits(name);
+        this.limiters.delete(name);
+        return this.registry.unregister(name);
+    }
+
+    resetCircuits(name) {
+        for (const key of this.circuits.keys()) {
+            if (key.startsWith(`${name}.`)) {
+                this.circuits.delete(key);
             }
         }
+    }
 
-        // ElevenLabs - Premium TTS
-        if (process.env.ELEVENLABS_API_KEY) {
-            try {
-                this.providers.set('elevenlabs', new ElevenLabs({
-                    apiKey: process.env.ELEVENLABS_API_KEY
-                }));
-                console.log('✅ ElevenLabs initialized');
-            } catch (error) {
-                console.log('❌ ElevenLabs failed:', error.message);
-            }
+    // Stored credentials overlay process.env; revoked providers get no env at all
+    getProviderEnv(name) {
+        if (this.secrets?.isRevoked(name)) {
+            return null;
         }
+        return { ...process.env, ...this.secrets?.get(name) };
+    }
 
-        // Twilio - Voice & SMS
-        if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-            try {
-                this.providers.set('twilio', twilio(
-                    process.env.TWILIO_ACCOUNT_SID,
-                    process.env.TWILIO_AUTH_TOKEN
-                ));
-                console.log('✅ Twilio initialized');
-            } catch (error) {
-                console.log('❌ Twilio failed:', error.message);
-            }
+    // Rebuild one provider's client in place, e.g. after its credentials changed.
+    // The new client must pass a live health probe before it replaces the old one.
+    // credentials is the complete set about to be stored, checked exactly as it will be
+    // read after a restart; without it the current credentials are reloaded.
+    async reloadProvider(name, credentials = null) {
+        const adapter = this.registry.get(name);
+        if (!adapter) {
+            throw new Error(`Unknown provider: ${name}`);
         }
 
-        // Pinecone - Vector Database  
-        if (process.env.PINECONE_API_KEY && process.env.PINECONE_ENVIRONMENT) {
-            try {
-                const pinecone = new PineconeClient();
-                await pinecone.init({
-                    environment: process.env.PINECONE_ENVIRONMENT,
-                    apiKey: process.env.PINECONE_API_KEY
-                });
-                this.providers.set('pinecone', pinecone);
-                console.log('✅ Pinecone initialized');
-            } catch (error) {
-                console.log('❌ Pinecone failed:', error.message);
-            }
+        if (this.cassette.replaying) {
+            throw new Error('Providers cannot be reloaded during cassette replay');
         }
 
-        // Supabase - Database & Storage
-        if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-            try {
-                this.providers.set('supabase', createClient(
-                    process.env.SUPABASE_URL,
-                    process.env.SUPABASE_ANON_KEY
-                ));
-                console.log('✅ Supabase initialized');
-            } catch (error) {
-                console.log('❌ Supabase failed:', error.message);
-            }
+        const label = adapter.describe().displayName || name;
+        const env = credentials ? { ...process.env, ...credentials } : this.getProviderEnv(name);
+        if (!env) {
+            throw new Error(`${label} credentials are revoked`);
         }
 
-        // Telegram Bot
-        if (process.env.TELEGRAM_BOT_TOKEN) {
-            try {
-                this.providers.set('telegram', new TelegramBot(
-                    process.env.TELEGRAM_BOT_TOKEN,
-                    { polling: false }
-                ));
-                console.log('✅ Telegram initialized');
-            } catch (error) {
-                console.log('❌ Telegram failed:', error.message);
+        const client = await adapter.init(env);
+        if (!client) {
+            throw new Error(`${label} is not configured by these credentials`);
+        }
+
+        const startTime = Date.now();
+        try {
+            if (!await this.probe(name, adapter, client)) {
+                throw new Error('Probe reported unhealthy');
             }
+        } catch (error) {
+            throw new Error(`${label} rejected the credentials: ${error.message}`);
+        }
+
+        this.providers.set(name, client);
+        this.resetCircuits(name);
+        this.recordHealth(name, { healthy: true, latency: Date.now() - startTime });
+        this.lastHealthCheck.set(name, Date.now());
+        console.log(`🔄 ${label} reloaded with new credentials`);
+
+        return { provider: name, healthy: true, latency: Date.now() - startTime };
+    }
+
+    disableProvider(name) {
+        const removed = this.providers.delete(name);
+        this.resetCircuits(name);
+        this.recordHealth(name, { healthy: false, latency: null, error: 'Credentials revoked' });
+        console.log(`🚫 ${name} disabled`);
+        return removed;
+    }
+
+    // Declarative HTTP tools (config/http-tools.json unless RIKA_HTTP_TOOLS_FILE says otherwise)
+    loadHttpTools() {
+        const filePath = path.resolve(process.cwd(), process.env.RIKA_HTTP_TOOLS_FILE || 'config/http-tools.json');
+        if (!process.env.RIKA_HTTP_TOOLS_FILE && !fs.existsSync(filePath)) {
+            return;
         }
 
-        // Brave Search API
-        if (process.env.BRAVE_API_KEY) {
+        try {
+            loadHttpAdapters(filePath).forEach(adapter => this.registerProvider(adapter));
+        } catch (error) {
+            console.log(`❌ HTTP tools in ${filePath} failed to load:`, error.message);
+        }
+    }
+
+    loadExternalAdapters() {
+        // Comma-separated module paths, resolved from the project root
+        const modules = (process.env.RIKA_PROVIDER_ADAPTERS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+
+        for (const modulePath of modules) {
             try {
-                this.providers.set('brave', {
-                    apiKey: process.env.BRAVE_API_KEY,
-                    baseURL: 'https://api.search.brave.com/res/v1'
-                });
-                console.log('✅ Brave Search initialized');
+                const adapter = this.registry.loadModule(path.resolve(process.cwd(), modulePath));
+                console.log(`🔌 External provider adapter loaded: ${adapter.name}`);
             } catch (error) {
-                console.log('❌ Brave Search failed:', error.message);
+                console.log(`❌ Provider adapter ${modulePath} failed to load:`, error.message);
             }
         }
+    }
+
+    async initializeProviders() {
+        console.log('🛠️ Tool Broker: Initializing SaaS providers...');
+
+        for (const name of this.registry.list()) {
+            await this.initializeProvider(name);
+        }
 
         this.setupFallbacks();
         console.log(`🎯 Tool Broker: ${this.providers.size} providers initialized`);
     }
 
+    async initializeProvider(name) {
+        const adapter = this.registry.get(name);
+        if (!adapter) {
+            throw new Error(`Unknown provider: ${name}`);
+        }
+
+        const label = adapter.describe().displayName || name;
+
+        // Replayed calls never reach the client, so no credentials are needed
+        if (this.cassette.replaying) {
+            this.providers.set(name, { replay: true });
+            console.log(`📼 ${label} available from cassette`);
+            return true;
+        }
+
+        const env = this.getProviderEnv(name);
+        if (!env) {
+            console.log(`🚫 ${label} credentials revoked`);
+            return false;
+        }
+
+        try {
+            const client = await adapter.init(env);
+            if (!client) {
+                return false;
+            }
+
+            this.providers.set(name, client);
+            console.log(`✅ ${label} initialized`);
+            return true;
+        } catch (error) {
+            console.log(`❌ ${label} failed:`, error.message);
+            return false;
+        }
+    }
+
     setupFallbacks() {
         // LLM Fallbacks: OpenAI -> Local model
         this.fallbacks.set('llm', ['openai', 'local']);
@@ -132,291 +246,456 @@ class ToolBroker {
     }
 
     startHealthMonitoring() {
-        // Health check every 30 seconds
-        setInterval(() => this.performHealthChecks(), 30000);
-        
-        // Initial health check
-        setTimeout(() => this.performHealthChecks(), 5000);
+        // Each provider is probed on its own interval; the tick only finds who is due
+        setInterval(() => this.performHealthChecks(), this.healthOptions.tickMs);
     }
 
-    async performHealthChecks() {
-        console.log('🔍 Tool Broker: Performing health checks...');
-        
-        for (const [name, provider] of this.providers) {
+    getHealthInterval(name) {
+        return this.healthIntervalOverrides[name]
+            || this.registry.get(name)?.health?.intervalMs
+            || this.healthOptions.defaultIntervalMs;
+    }
+
+    async performHealthChecks(options = {}) {
+        if (this.cassette.replaying) {
+            return;
+        }
+
+        const now = Date.now();
+        const due = Array.from(this.providers.keys()).filter(name =>
+            !this.healthChecksInFlight.has(name) &&
+            (options.force || now - (this.lastHealthCheck.get(name) || 0) >= this.getHealthInterval(name)));
+
+        if (due.length === 0) {
+            return;
+        }
+
+        console.log(`🔍 Tool Broker: Probing ${due.join(', ')}...`);
+        await Promise.all(due.map(name => this.checkProviderHealth(name)));
+    }
+
+    async checkProviderHealth(name) {
+        const startTime = Date.now();
+
+        this.healthChecksInFlight.add(name);
+        this.lastHealthCheck.set(name, startTime);
+
+        try {
+            const isHealthy = await this.probe(name, this.registry.get(name), this.providers.get(name));
+
+            this.recordHealth(name, {
+                healthy: isHealthy,
+                latency: Date.now() - startTime,
+                error: isHealthy ? null : 'Probe reported unhealthy'
+            });
+
+        } catch (error) {
+            console.log(`❌ Health check failed for ${name}:`, error.message);
+            this.recordHealth(name, {
+                healthy: false,
+                latency: null,
+                error: error.message
+            });
+        } finally {
+            this.healthChecksInFlight.delete(name);
+        }
+
+        return this.healthStatus.get(name);
+    }
+
+    // Run the adapter's health probe against a client, bounded by the probe timeout
+    async probe(name, adapter, client) {
+        let timer;
+
+        const probe = Promise.resolve(adapter ? adapter.healthCheck(client, {
+            reportUsage: usage => this.recordUsage(name, 'healthCheck', usage, { purpose: 'health' })
+        }) : true);
+        probe.catch(() => {}); // A probe that loses the race must not surface as unhandled
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Health check timed out after ${this.healthOptions.timeoutMs}ms`)), this.healthOptions.timeoutMs);
+        });
+
+        try {
+            return !!(await Promise.race([probe, timeout]));
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    recordHealth(name, result) {
+        const current = this.healthStatus.get(name) || {};
+        const timestamp = Date.now();
+
+        this.healthStatus.set(name, {
+            healthy: result.healthy,
+            latency: result.latency,
+            lastCheck: timestamp,
+            consecutiveFailures: result.healthy ? 0 : (current.consecutiveFailures || 0) + 1,
+            ...(result.healthy ? {} : { error: result.error })
+        });
+
+        let history = this.healthHistory.get(name);
+        if (!history) {
+            history = new HealthHistory(this.healthOptions.historySize);
+            this.healthHistory.set(name, history);
+        }
+        history.record({ ...result, timestamp });
+    }
+
+    // Dashboard view: uptime, latency percentiles and recent failures over the rolling window
+    getProviderHealth(name) {
+        if (!this.registry.has(name) && !this.healthHistory.has(name)) {
+            return null;
+        }
+
+        const history = this.healthHistory.get(name) || new HealthHistory(this.healthOptions.historySize);
+
+        return {
+            name,
+            available: this.providers.has(name),
+            intervalMs: this.getHealthInterval(name),
+            current: this.healthStatus.get(name) || null,
+            ...history.getSummary(),
+            circuits: this.getCircuitStatus(name)
+        };
+    }
+
+    async callProvider(providerName, operation, params = {}, options = {}) {
+        const provider = this.providers.get(providerName);
+        if (!provider) {
+            throw new Error(`Provider ${providerName} not available`);
+        }
+
+        const handler = this.registry.getOperation(providerName, operation);
+        const circuit = this.getCircuit(providerName, operation);
+        const limiter = this.getLimiter(providerName);
+        const priority = options.priority || 2;
+
+        // A timeout can land after the provider already acted, so side effects
+        // are not retried automatically unless the caller opts in
+        const sideEffecting = this.registry.isSideEffecting(providerName, operation);
+        const maxRetries = sideEffecting && !options.retrySideEffects ? 1 : (options.maxRetries || 3);
+        // Callers without a key of their own get one per routed request and params. Without
+        // either there is nothing a later call could match, so the store is skipped.
+        const callerKey = options.idempotencyKey
+            || (options.context?.routingId && IdempotencyStore.deriveKey(options.context.routingId, providerName, operation, params));
+        const idempotencyKey = sideEffecting && callerKey ? `${providerName}.${operation}:${callerKey}` : null;
+
+        const settled = idempotencyKey && this.idempotency.get(idempotencyKey);
+        if (settled?.inDoubt) {
+            throw this.idempotency.inDoubtError(idempotencyKey, settled);
+        }
+        if (settled) {
+            console.log(`♻️ ${providerName}.${operation} returning result for completed key ${idempotencyKey}`);
+            return settled.result;
+        }
+
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            const release = await limiter.acquire(priority, options.queueTimeoutMs);
+
+            // Cancelled while it waited for a slot
+            if (options.signal?.aborted) {
+                release();
+                throw new Error(`${providerName}.${operation} cancelled before it was sent`);
+            }
+
+            if (!circuit.allowRequest()) {
+                release();
+                throw new Error(`Circuit open for ${providerName}.${operation} (retry in ${circuit.retryAfterMs()}ms)`);
+            }
+
             try {
                 const startTime = Date.now();
-                let isHealthy = false;
-                
-                switch (name) {
-                    case 'openai':
-                        const response = await provider.chat.completions.create({
-                            model: 'gpt-3.5-turbo',
-                            messages: [{ role: 'user', content: 'ping' }],
-                            max_tokens: 1
-                        });
-                        isHealthy = response.choices?.length > 0;
-                        break;
-                        
-                    case 'elevenlabs':
-                        // Simple API health check
-                        isHealthy = true; // Assume healthy for now
-                        break;
-                        
-                    case 'twilio':
-                        const account = await provider.api.accounts.list({ limit: 1 });
-                        isHealthy = account.length > 0;
-                        break;
-                        
-                    case 'supabase':
-                        const { data } = await provider.from('health_check').select('*').limit(1);
-                        isHealthy = true; // Connection successful
-                        break;
-                        
-                    case 'brave':
-                        const searchResponse = await axios.get(`${provider.baseURL}/web/search`, {
-                            headers: { 'X-Subscription-Token': provider.apiKey },
-                            params: { q: 'test', count: 1 }
-                        });
-                        isHealthy = searchResponse.status === 200;
-                        break;
-                        
-                    default:
-                        isHealthy = true;
+                const execute = () => this.invokeOperation(providerName, operation, params, () => handler(provider, params, { signal: options.signal }));
+                const { result, replayed } = idempotencyKey
+                    ? await this.idempotency.run(idempotencyKey, providerName, operation, execute)
+                    : { result: await execute(), replayed: false };
+                circuit.recordSuccess();
+                if (!replayed) {
+                    this.reportUsage(providerName, operation, params, result, options.context);
                 }
-                
+
                 const latency = Date.now() - startTime;
-                this.healthStatus.set(name, {
-                    healthy: isHealthy,
-                    latency,
-                    lastCheck: Date.now(),
-                    consecutiveFailures: isHealthy ? 0 : (this.healthStatus.get(name)?.consecutiveFailures || 0) + 1
-                });
-                
-                if (isHealthy) {
-                    this.retryAttempts.delete(name);
-                }
-                
+                console.log(`✅ ${providerName}.${operation} completed in ${latency}ms`);
+
+                return result;
+
             } catch (error) {
-                console.log(`❌ Health check failed for ${name}:`, error.message);
-                const current = this.healthStatus.get(name) || {};
-                this.healthStatus.set(name, {
-                    healthy: false,
-                    latency: null,
-                    lastCheck: Date.now(),
-                    consecutiveFailures: (current.consecutiveFailures || 0) + 1,
-                    error: error.message
-                });
+                // An earlier attempt may have gone out; nothing was sent this time
+                if (error.code === 'IDEMPOTENCY_IN_DOUBT') {
+                    circuit.release();
+                    throw error;
+                }
+
+                circuit.recordFailure(error);
+                console.log(`❌ ${providerName}.${operation} failed (attempt ${attempt}/${maxRetries}):`, error.message);
+
+                // A cancelled call is not retried; whoever aborted it no longer wants the answer
+                if (attempt >= maxRetries || options.signal?.aborted) {
+                    throw error;
+                }
+            } finally {
+                release();
             }
+
+            // Back off outside the limiter so waiting callers can use the slot
+            await this.delay(this.getBackoffDelay(attempt));
         }
     }
 
-    async callProvider(providerName, operation, params = {}, options = {}) {
+    reportUsage(providerName, operation, params, result, context) {
+        const extractor = this.registry.getUsageExtractor(providerName, operation);
+        if (!extractor) {
+            return null;
+        }
+
+        try {
+            return this.recordUsage(providerName, operation, extractor(result, params), context);
+        } catch (error) {
+            console.log(`⚠️ Usage extraction failed for ${providerName}.${operation}:`, error.message);
+            return null;
+        }
+    }
+
+    // Public so webhooks can report usage that arrives after the call (e.g. Twilio minutes)
+    recordUsage(providerName, operation, usage, context = {}) {
+        if (!usage) {
+            return null;
+        }
+
+        const event = {
+            provider: providerName,
+            operation,
+            model: usage.model || null,
+            usage,
+            cost: this.pricing.price({ ...usage, provider: providerName }),
+            context,
+            timestamp: Date.now()
+        };
+
+        this.emit('usage', event);
+        return event;
+    }
+
+    // Streams that never report token counts are billed on a ~4 characters/token estimate
+    estimateStreamUsage(params, text) {
+        const prompt = (params.messages || []).map(message => message.content || '').join('\n');
+        return {
+            model: params.model,
+            inputTokens: Math.ceil(prompt.length / 4),
+            outputTokens: Math.ceil(text.length / 4),
+            estimated: true
+        };
+    }
+
+    invokeOperation(providerName, operation, params, execute) {
+        if (!this.cassette.enabled) {
+            return execute();
+        }
+        return this.cassette.run(providerName, operation, params, execute);
+    }
+
+    // Streaming variant of callProvider: yields { delta, finishReason, toolCalls? } chunks.
+    // Retries only happen before the first chunk, so callers never see duplicates.
+    async *callProviderStream(providerName, operation, params = {}, options = {}) {
         const provider = this.providers.get(providerName);
         if (!provider) {
             throw new Error(`Provider ${providerName} not available`);
         }
 
-        const health = this.healthStatus.get(providerName);
-        if (health && !health.healthy && health.consecutiveFailures > 3) {
-            throw new Error(`Provider ${providerName} is unhealthy (${health.consecutiveFailures} failures)`);
-        }
-
+        const streamHandler = this.registry.getStream(providerName, operation);
+        const circuit = this.getCircuit(providerName, operation);
+        const limiter = this.getLimiter(providerName);
         const maxRetries = options.maxRetries || 3;
-        const currentAttempt = this.retryAttempts.get(`${providerName}-${operation}`) || 0;
+        const priority = options.priority || 2;
 
-        if (currentAttempt >= maxRetries) {
-            throw new Error(`Max retries exceeded for ${providerName}.${operation}`);
-        }
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            const release = await limiter.acquire(priority, options.queueTimeoutMs);
 
-        try {
-            const startTime = Date.now();
-            let result;
-
-            switch (providerName) {
-                case 'openai':
-                    result = await this.callOpenAI(provider, operation, params);
-                    break;
-                case 'elevenlabs':
-                    result = await this.callElevenLabs(provider, operation, params);
-                    break;
-                case 'twilio':
-                    result = await this.callTwilio(provider, operation, params);
-                    break;
-                case 'pinecone':
-                    result = await this.callPinecone(provider, operation, params);
-                    break;
-                case 'supabase':
-                    result = await this.callSupabase(provider, operation, params);
-                    break;
-                case 'telegram':
-                    result = await this.callTelegram(provider, operation, params);
-                    break;
-                case 'brave':
-                    result = await this.callBrave(provider, operation, params);
-                    break;
-                default:
-                    throw new Error(`Unknown provider: ${providerName}`);
+            if (!circuit.allowRequest()) {
+                release();
+                throw new Error(`Circuit open for ${providerName}.${operation} (retry in ${circuit.retryAfterMs()}ms)`);
             }
 
-            // Reset retry counter on success
-            this.retryAttempts.delete(`${providerName}-${operation}`);
-            
-            const latency = Date.now() - startTime;
-            console.log(`✅ ${providerName}.${operation} completed in ${latency}ms`);
-            
-            return result;
+            let started = false;
+            let settled = false;
+            let text = '';
+            let usage = null;
 
-        } catch (error) {
-            const nextAttempt = currentAttempt + 1;
-            this.retryAttempts.set(`${providerName}-${operation}`, nextAttempt);
+            try {
+                const startTime = Date.now();
+                const stream = this.cassette.enabled
+                    ? this.cassette.runStream(providerName, operation, params, () => streamHandler(provider, params))
+                    : streamHandler(provider, params);
+
+                for await (const chunk of stream) {
+                    started = true;
+                    text += chunk.delta || '';
+                    usage = chunk.usage || usage;
+                    yield chunk;
+                }
+                settled = true;
+                circuit.recordSuccess();
+                this.recordUsage(providerName, operation, usage || this.estimateStreamUsage(params, text), options.context);
 
-            console.log(`❌ ${providerName}.${operation} failed (attempt ${nextAttempt}/${maxRetries}):`, error.message);
+                const latency = Date.now() - startTime;
+                console.log(`✅ ${providerName}.${operation} stream completed in ${latency}ms`);
+
+                return;
+
+            } catch (error) {
+                settled = true;
+                circuit.recordFailure(error);
+                console.log(`❌ ${providerName}.${operation} stream failed (attempt ${attempt}/${maxRetries}):`, error.message);
 
-            if (nextAttempt < maxRetries) {
-                // Exponential backoff
-                const delay = Math.pow(2, currentAttempt) * 1000;
-                await this.delay(delay);
-                return this.callProvider(providerName, operation, params, options);
+                if (started || attempt >= maxRetries) {
+                    throw error;
+                }
+            } finally {
+                // The consumer stopped early (break, return() or a disconnect): the provider was
+                // delivering, so the call counts as a success and the text so far is billed
+                if (!settled) {
+                    circuit.recordSuccess();
+                    this.recordUsage(providerName, operation, usage || this.estimateStreamUsage(params, text), options.context);
+                }
+                release();
             }
 
-            throw error;
+            await this.delay(this.getBackoffDelay(attempt));
         }
     }
 
-    async callWithFallback(service, operation, params = {}, options = {}) {
+    async *streamWithFallback(service, operation, params = {}, options = {}) {
         const fallbackChain = this.fallbacks.get(service) || [service];
-        
+
         for (const providerName of fallbackChain) {
+            if (!this.providers.has(providerName) || !this.registry.supportsStream(providerName, operation)) {
+                continue;
+            }
+
+            let started = false;
+
             try {
-                return await this.callProvider(providerName, operation, params, options);
+                for await (const chunk of this.callProviderStream(providerName, operation, params, options)) {
+                    started = true;
+                    yield chunk;
+                }
+                return;
             } catch (error) {
+                // Once text reached the caller, switching providers would garble the reply
+                if (started) {
+                    throw error;
+                }
                 console.log(`⚠️ ${providerName} failed, trying next in chain:`, error.message);
-                continue;
             }
         }
-        
+
         throw new Error(`All providers failed for service: ${service}`);
     }
 
-    // Provider-specific call methods
-    async callOpenAI(provider, operation, params) {
-        switch (operation) {
-            case 'chat':
-                return await provider.chat.completions.create({
-                    model: params.model || 'gpt-4',
-                    messages: params.messages,
-                    max_tokens: params.maxTokens || 1000,
-                    temperature: params.temperature || 0.7,
-                    ...params.options
+    getCircuit(providerName, operation) {
+        const key = `${providerName}.${operation}`;
+        let circuit = this.circuits.get(key);
+
+        if (!circuit) {
+            circuit = new CircuitBreaker(key, this.circuitOptions);
+            circuit.on('state_change', change => {
+                console.log(`⚡ Circuit ${key}: ${change.from} -> ${change.to}`);
+                this.emit('circuit_state_change', {
+                    ...change,
+                    provider: providerName,
+                    operation
                 });
-            case 'transcribe':
-                return await provider.audio.transcriptions.create({
-                    file: params.file,
-                    model: 'whisper-1'
-                });
-            default:
-                throw new Error(`Unknown OpenAI operation: ${operation}`);
+            });
+            this.circuits.set(key, circuit);
         }
+
+        return circuit;
     }
 
-    async callElevenLabs(provider, operation, params) {
-        switch (operation) {
-            case 'synthesize':
-                return await provider.textToSpeech({
-                    voiceId: params.voiceId || 'EXAVITQu4vr4xnSDxMaL',
-                    text: params.text,
-                    modelId: params.modelId || 'eleven_monolingual_v1'
-                });
-            case 'voices':
-                return await provider.getVoices();
-            default:
-                throw new Error(`Unknown ElevenLabs operation: ${operation}`);
+    getCircuitStatus(providerName) {
+        const circuits = {};
+        for (const [key, circuit] of this.circuits) {
+            const [name, operation] = key.split('.');
+            if (name === providerName) {
+                circuits[operation] = circuit.getStatus();
+            }
         }
+        return circuits;
     }
 
-    async callTwilio(provider, operation, params) {
-        switch (operation) {
-            case 'call':
-                return await provider.calls.create({
-                    url: params.twimlUrl,
-                    to: params.to,
-                    from: params.from
-                });
-            case 'message':
-                return await provider.messages.create({
-                    body: params.body,
-                    to: params.to,
-                    from: params.from
-                });
-            default:
-                throw new Error(`Unknown Twilio operation: ${operation}`);
+    getLimiter(providerName) {
+        let limiter = this.limiters.get(providerName);
+
+        if (!limiter) {
+            const adapter = this.registry.get(providerName);
+            limiter = new ProviderLimiter(providerName, {
+                maxConcurrent: parseInt(process.env.PROVIDER_MAX_CONCURRENT, 10) || undefined,
+                queueTimeoutMs: parseInt(process.env.PROVIDER_QUEUE_TIMEOUT_MS, 10) || undefined,
+                ...adapter?.limits,
+                ...this.limitOverrides[providerName]
+            });
+            this.limiters.set(providerName, limiter);
         }
+
+        return limiter;
     }
 
-    async callPinecone(provider, operation, params) {
-        const index = provider.Index(params.indexName || 'rika-memory');
+    getQueueMetrics() {
+        const metrics = {};
+        for (const [name, limiter] of this.limiters) {
+            metrics[name] = limiter.getMetrics();
+        }
+        return metrics;
+    }
+
+    parseJsonEnv(name) {
+        if (!process.env[name]) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(process.env[name]);
+        } catch (error) {
+            console.log(`⚠️ Ignoring invalid JSON in ${name}:`, error.message);
+            return {};
+        }
+    }
+
+    getBackoffDelay(attempt) {
+        // Exponential backoff with full jitter, so concurrent callers spread out
+        const { baseDelayMs, maxDelayMs } = this.retryOptions;
+        const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    async callWithFallback(service, operation, params = {}, options = {}) {
+        const fallbackChain = this.fallbacks.get(service) || [service];
         
-        switch (operation) {
-            case 'upsert':
-                return await index.upsert({
-                    upsertRequest: {
-                        vectors: params.vectors
-                    }
-                });
-            case 'query':
-                return await index.query({
-                    queryRequest: {
-                        vector: params.vector,
-                        topK: params.topK || 10,
-                        includeMetadata: true
-                    }
-                });
-            default:
-                throw new Error(`Unknown Pinecone operation: ${operation}`);
-        }
-    }
-
-    async callSupabase(provider, operation, params) {
-        switch (operation) {
-            case 'insert':
-                return await provider.from(params.table).insert(params.data);
-            case 'select':
-                return await provider.from(params.table).select(params.columns || '*');
-            case 'update':
-                return await provider.from(params.table).update(params.data).eq('id', params.id);
-            case 'delete':
-                return await provider.from(params.table).delete().eq('id', params.id);
-            default:
-                throw new Error(`Unknown Supabase operation: ${operation}`);
-        }
-    }
-
-    async callTelegram(provider, operation, params) {
-        switch (operation) {
-            case 'sendMessage':
-                return await provider.sendMessage(params.chatId, params.text, params.options);
-            case 'sendPhoto':
-                return await provider.sendPhoto(params.chatId, params.photo, params.options);
-            default:
-                throw new Error(`Unknown Telegram operation: ${operation}`);
-        }
-    }
-
-    async callBrave(provider, operation, params) {
-        switch (operation) {
-            case 'search':
-                const response = await axios.get(`${provider.baseURL}/web/search`, {
-                    headers: { 'X-Subscription-Token': provider.apiKey },
-                    params: {
-                        q: params.query,
-                        count: params.count || 10,
-                        offset: params.offset || 0
-                    }
-                });
-                return response.data;
-            default:
-                throw new Error(`Unknown Brave operation: ${operation}`);
+        for (const providerName of fallbackChain) {
+            if (!this.providers.has(providerName)) {
+                continue;
+            }
+
+            try {
+                return await this.callProvider(providerName, operation, params, options);
+            } catch (error) {
+                console.log(`⚠️ ${providerName} failed, trying next in chain:`, error.message);
+                continue;
+            }
         }
+        
+        throw new Error(`All providers failed for service: ${service}`);
+    }
+
+    hasService(service) {
+        return this.getServiceProviders(service).length > 0;
+    }
+
+    // Configured providers in the service's fallback chain, in order
+    getServiceProviders(service) {
+        const fallbackChain = this.fallbacks.get(service) || [service];
+        return fallbackChain.filter(providerName => this.providers.has(providerName));
     }
 
     delay(ms) {
@@ -425,10 +704,16 @@ class ToolBroker {
 
     getHealthStatus() {
         const status = {};
-        for (const [name, health] of this.healthStatus) {
+        const names = new Set([
+            ...this.healthStatus.keys(),
+            ...Array.from(this.circuits.keys()).map(key => key.split('.')[0])
+        ]);
+
+        for (const name of names) {
             status[name] = {
-                ...health,
-                available: this.providers.has(name)
+                ...this.healthStatus.get(name),
+                available: this.providers.has(name),
+                circuits: this.getCircuitStatus(name)
             };
         }
         return status;
@@ -437,6 +722,14 @@ class ToolBroker {
     getProviderList() {
         return Array.from(this.providers.keys());
     }
+
+    describeProviders() {
+        return this.registry.describeAll().map(description => ({
+            ...description,
+            available: this.providers.has(description.name),
+            health: this.healthStatus.get(description.name) || null
+        }));
+    }
 }
 
 module.exports = ToolBroker;
\ No newline at end of file
@@ -0,0 +1,221 @@
+// RIKA 2.0 - Embedded Vector Store: cosine search over a local SQLite file
+//
+// Mirrors the subset of the Pinecone contract the Tool Broker uses, so the
+// "sqlite" provider can stand in for Pinecone on a single box.
+const fs = require('fs');
+const path = require('path');
+const { matchesFilter } = require('./metadata-filter');
+
+class SqliteVectorStore {
+    constructor(options = {}) {
+        // Loaded lazily so a missing native module only disables this provider
+        const Database = require('better-sqlite3');
+
+        this.filePath = options.filePath || path.join(__dirname, '../data', 'rika-memory.sqlite');
+        this.defaultIndex = options.defaultIndex || 'rika-memory';
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.initSchema();
+    }
+
+    initSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS vectors (
+                index_name TEXT NOT NULL,
+                namespace TEXT NOT NULL DEFAULT '',
+                id TEXT NOT NULL,
+                dimension INTEGER NOT NULL,
+                norm REAL NOT NULL,
+                embedding BLOB NOT NULL,
+                metadata TEXT,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (index_name, namespace, id)
+            );
+            CREATE INDEX IF NOT EXISTS vectors_scope ON vectors (index_name, namespace);
+        `);
+
+        this.statements = {
+            upsert: this.db.prepare(`
+                INSERT INTO vectors (index_name, namespace, id, dimension, norm, embedding, metadata, updated_at)
+                VALUES (@indexName, @namespace, @id, @dimension, @norm, @embedding, @metadata, @updatedAt)
+                ON CONFLICT (index_name, namespace, id) DO UPDATE SET
+                    dimension = excluded.dimension,
+                    norm = excluded.norm,
+                    embedding = excluded.embedding,
+                    metadata = excluded.metadata,
+                    updated_at = excluded.updated_at
+            `),
+            scan: this.db.prepare('SELECT id, dimension, norm, embedding, metadata FROM vectors WHERE index_name = ? AND namespace = ?'),
+            getById: this.db.prepare('SELECT id, dimension, norm, embedding, metadata FROM vectors WHERE index_name = ? AND namespace = ? AND id = ?'),
+            deleteById: this.db.prepare('DELETE FROM vectors WHERE index_name = ? AND namespace = ? AND id = ?'),
+            deleteAll: this.db.prepare('DELETE FROM vectors WHERE index_name = ? AND namespace = ?'),
+            stats: this.db.prepare('SELECT namespace, COUNT(*) AS vectorCount, MAX(dimension) AS dimension FROM vectors WHERE index_name = ? GROUP BY namespace')
+        };
+    }
+
+    upsert({ vectors = [], namespace = '', indexName } = {}) {
+        const scope = this.scope(indexName, namespace);
+        const now = Date.now();
+
+        const write = this.db.transaction(items => {
+            for (const vector of items) {
+                if (!vector.id || !Array.isArray(vector.values) || vector.values.length === 0) {
+                    throw new Error('Each vector needs an id and a non-empty values array');
+                }
+
+                const values = Float32Array.from(vector.values);
+                this.statements.upsert.run({
+                    ...scope,
+                    id: String(vector.id),
+                    dimension: values.length,
+                    norm: this.norm(values),
+                    embedding: Buffer.from(values.buffer),
+                    metadata: vector.metadata ? JSON.stringify(vector.metadata) : null,
+                    updatedAt: now
+                });
+            }
+        });
+
+        write(vectors);
+        return { upsertedCount: vectors.length };
+    }
+
+    query({ vector, topK = 10, filter, namespace = '', indexName, includeMetadata = true, includeValues = false } = {}) {
+        if (!Array.isArray(vector) || vector.length === 0) {
+            throw new Error('Query vector is required');
+        }
+
+        const scope = this.scope(indexName, namespace);
+        const queryValues = Float32Array.from(vector);
+        const queryNorm = this.norm(queryValues);
+        const matches = [];
+
+        for (const row of this.statements.scan.iterate(scope.indexName, scope.namespace)) {
+            // Vectors from a different embedding model are not comparable
+            if (row.dimension !== queryValues.length) {
+                continue;
+            }
+
+            const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+            if (!matchesFilter(metadata, filter)) {
+                continue;
+            }
+
+            const values = this.decode(row.embedding);
+            const score = this.cosine(queryValues, queryNorm, values, row.norm);
+            matches.push({ id: row.id, score, values, metadata });
+        }
+
+        matches.sort((a, b) => b.score - a.score);
+
+        return {
+            namespace: scope.namespace,
+            matches: matches.slice(0, topK).map(match => ({
+                id: match.id,
+                score: match.score,
+                ...(includeValues ? { values: Array.from(match.values) } : {}),
+                ...(includeMetadata ? { metadata: match.metadata } : {})
+            }))
+        };
+    }
+
+    fetch({ ids = [], namespace = '', indexName } = {}) {
+        const scope = this.scope(indexName, namespace);
+        const vectors = {};
+
+        for (const id of ids) {
+            const row = this.statements.getById.get(scope.indexName, scope.namespace, String(id));
+            if (row) {
+                vectors[row.id] = {
+                    id: row.id,
+                    values: Array.from(this.decode(row.embedding)),
+                    metadata: row.metadata ? JSON.parse(row.metadata) : {}
+                };
+            }
+        }
+
+        return { namespace: scope.namespace, vectors };
+    }
+
+    delete({ ids, filter, deleteAll = false, namespace = '', indexName } = {}) {
+        const scope = this.scope(indexName, namespace);
+
+        if (deleteAll) {
+            const result = this.statements.deleteAll.run(scope.indexName, scope.namespace);
+            return { deletedCount: result.changes };
+        }
+
+        let targets = ids || [];
+        if (filter) {
+            targets = [];
+            for (const row of this.statements.scan.iterate(scope.indexName, scope.namespace)) {
+                const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+                if (matchesFilter(metadata, filter) && (!ids || ids.includes(row.id))) {
+                    targets.push(row.id);
+                }
+            }
+        }
+
+        const remove = this.db.transaction(items => items.reduce((count, id) =>
+            count + this.statements.deleteById.run(scope.indexName, scope.namespace, String(id)).changes, 0));
+
+        return { deletedCount: remove(targets) };
+    }
+
+    describeIndexStats({ indexName } = {}) {
+        const rows = this.statements.stats.all(indexName || this.defaultIndex);
+        const namespaces = {};
+        let totalVectorCount = 0;
+        let dimension = 0;
+
+        for (const row of rows) {
+            namespaces[row.namespace] = { vectorCount: row.vectorCount };
+            totalVectorCount += row.vectorCount;
+            dimension = Math.max(dimension, row.dimension);
+        }
+
+        return { dimension, namespaces, totalVectorCount };
+    }
+
+    // Helpers
+    scope(indexName, namespace) {
+        return {
+            indexName: indexName || this.defaultIndex,
+            namespace: namespace || ''
+        };
+    }
+
+    decode(blob) {
+        // Copy out of the SQLite buffer so the Float32Array is correctly aligned
+        const bytes = new Uint8Array(blob);
+        return new Float32Array(bytes.slice().buffer);
+    }
+
+    norm(values) {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i] * values[i];
+        }
+        return Math.sqrt(sum);
+    }
+
+    cosine(a, aNorm, b, bNorm) {
+        if (!aNorm || !bNorm) {
+            return 0;
+        }
+
+        let dot = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+        }
+        return dot / (aNorm * bNorm);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteVectorStore;
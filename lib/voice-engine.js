@@ -17,6 +17,8 @@ class VoiceEngine {
             useSpeakerBoost: true
         };
         this.realtimeTarget = 800; // 800ms target
+        this.callPriority = 1; // Realtime QoS: voice turns go ahead of queued chat/batch calls
+        this.usageContext = { tier: 'realtime', purpose: 'voice' }; // Cost ledger attribution
     }
 
     // Text-to-Speech with ElevenLabs
@@ -36,7 +38,7 @@ class VoiceEngine {
                     style: this.voiceSettings.style,
                     use_speaker_boost: this.voiceSettings.useSpeakerBoost
                 }
-            });
+            }, { priority: this.callPriority, context: this.usageContext });
 
             const processingTime = Date.now() - startTime;
             console.log(`✅ TTS completed in ${processingTime}ms`);
@@ -79,9 +81,9 @@ class VoiceEngine {
                 file: fs.createReadStream(audioFile),
                 language: options.language || 'en',
                 prompt: options.prompt || '',
-                response_format: options.format || 'json',
+                response_format: options.format || 'verbose_json',
                 temperature: options.temperature || 0.0
-            });
+            }, { priority: this.callPriority, context: this.usageContext });
 
             const processingTime = Date.now() - startTime;
             console.log(`✅ STT completed in ${processingTime}ms`);
@@ -258,8 +260,9 @@ class VoiceEngine {
                 to: to,
                 from: from,
                 record: true,
-                recordingStatusCallback: `${process.env.WEBHOOK_BASE_URL}/webhooks/twilio/recording`
-            });
+                recordingStatusCallback: `${process.env.WEBHOOK_BASE_URL}/webhooks/twilio/recording`,
+                statusCallback: `${process.env.WEBHOOK_BASE_URL}/webhooks/twilio/status`
+            }, { idempotencyKey: options.idempotencyKey || (callSid && `call:${callSid}`) });
 
             return {
                 callSid: recording.sid,
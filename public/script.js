@@ -9,6 +9,9 @@ class RikaInterface {
         this.messageHistory = [];
         this.agents = new Map();
         this.systemMetrics = {};
+        this.streamingMessages = new Map();
+        this.taskPlans = new Map();
+        this.councilPrompts = new Map();
         
         this.init();
     }
@@ -102,6 +105,42 @@ class RikaInterface {
                 this.handleAgentResponse(response);
             });
 
+            this.socket.on('agent_response_chunk', (chunk) => {
+                this.handleResponseChunk(chunk);
+            });
+
+            this.socket.on('agent_response_done', (response) => {
+                this.handleResponseDone(response);
+            });
+
+            this.socket.on('clarification_needed', (clarification) => {
+                this.handleClarification(clarification);
+            });
+
+            this.socket.on('council_blocked', (verdict) => {
+                this.handleCouncilVerdict(verdict);
+            });
+
+            this.socket.on('council_confirmation_needed', (verdict) => {
+                this.handleCouncilVerdict(verdict);
+            });
+
+            this.socket.on('council_confirmation_expired', (data) => {
+                this.closeCouncilPrompt(data.routingId, 'Expired without confirmation — send it again if you still want it.');
+            });
+
+            this.socket.on('council_confirmation_closed', (data) => {
+                this.closeCouncilPrompt(data.routingId, data.found === false ? 'This request is no longer waiting.' : 'Cancelled.');
+            });
+
+            this.socket.on('task_plan', (plan) => {
+                this.handleTaskPlan(plan);
+            });
+
+            this.socket.on('subtask_progress', (progress) => {
+                this.handleSubtaskProgress(progress);
+            });
+
             this.socket.on('agent_typing', (data) => {
                 this.showTypingIndicator(data.agentId);
             });
@@ -114,6 +153,14 @@ class RikaInterface {
                 this.handleAgentSwitch(data);
             });
 
+            this.socket.on('provider_circuit_changed', (change) => {
+                this.handleCircuitChange(change);
+            });
+
+            this.socket.on('budget_alert', (alert) => {
+                this.handleBudgetAlert(alert);
+            });
+
             this.socket.on('error', (error) => {
                 console.error('⚠️ Server error:', error);
                 this.showError(error.message);
@@ -225,6 +272,7 @@ class RikaInterface {
         this.socket.emit('chat_message', {
             message: message,
             agentId: this.currentAgent,
+            stream: true,
             context: {
                 timestamp: Date.now(),
                 sessionId: this.socket.id
@@ -264,6 +312,8 @@ class RikaInterface {
             author,
             timestamp: Date.now()
         });
+
+        return messageElement;
     }
 
     handleAgentResponse(response) {
@@ -273,11 +323,247 @@ class RikaInterface {
         const agentName = agent ? agent.name : response.agent.toUpperCase();
         const agentEmoji = agent ? agent.emoji : '🤖';
         
-        this.addMessageToChat('agent', response.response, `${agentEmoji} ${agentName}`);
+        const messageElement = this.addMessageToChat('agent', response.response, `${agentEmoji} ${agentName}`);
+        this.renderCitations(messageElement, response.citations);
         
         console.log(`🤖 Response from ${agentName} (${response.processingTime}ms):`, response.response);
     }
 
+    handleResponseChunk(chunk) {
+        let stream = this.streamingMessages.get(chunk.routingId);
+
+        if (!stream) {
+            this.hideTypingIndicator();
+
+            const agent = this.agents.get(chunk.agent);
+            const agentName = agent ? agent.name : chunk.agent.toUpperCase();
+            const agentEmoji = agent ? agent.emoji : '🤖';
+
+            const messageElement = this.addMessageToChat('agent', '', `${agentEmoji} ${agentName}`);
+            messageElement.classList.add('streaming');
+
+            stream = {
+                element: messageElement,
+                textElement: messageElement.querySelector('.message-text'),
+                historyEntry: this.messageHistory[this.messageHistory.length - 1],
+                text: ''
+            };
+            this.streamingMessages.set(chunk.routingId, stream);
+        }
+
+        // textContent keeps partial markup from being interpreted mid-stream
+        stream.text += chunk.delta;
+        stream.textElement.textContent = stream.text;
+        stream.historyEntry.content = stream.text;
+        this.scrollToBottom();
+    }
+
+    handleResponseDone(response) {
+        const routingId = response.routing?.id;
+        const stream = this.streamingMessages.get(routingId);
+
+        if (!stream) {
+            this.handleAgentResponse(response);
+            return;
+        }
+
+        stream.textElement.textContent = response.response;
+        stream.historyEntry.content = response.response;
+        stream.element.classList.remove('streaming');
+        this.renderCitations(stream.element, response.citations);
+        this.streamingMessages.delete(routingId);
+
+        console.log(`🤖 Streamed response from ${response.agent} (${response.processingTime}ms):`, response.response);
+    }
+
+    // Sources from agent tool calls (e.g. Scout's web searches), numbered as cited
+    renderCitations(messageElement, citations) {
+        if (!citations || citations.length === 0) {
+            return;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'message-citations';
+
+        citations.forEach(citation => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = citation.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = citation.title || citation.url;
+            item.appendChild(link);
+
+            // Pages an agent read also link to the snapshot it read
+            if (citation.snapshot) {
+                const snapshot = document.createElement('a');
+                snapshot.href = citation.snapshot;
+                snapshot.target = '_blank';
+                snapshot.className = 'citation-snapshot';
+                snapshot.textContent = 'snapshot';
+                item.append(' · ', snapshot);
+            }
+            list.appendChild(item);
+        });
+
+        messageElement.querySelector('.message-content').appendChild(list);
+    }
+
+    // Low-confidence routing: RIKA asks which specialist the message is for
+    handleClarification(clarification) {
+        this.hideTypingIndicator();
+
+        const messageElement = this.addMessageToChat('agent', clarification.question, '🧠 RIKA');
+        const replies = document.createElement('div');
+        replies.className = 'quick-replies';
+
+        clarification.options.forEach(option => {
+            const agent = this.agents.get(option.agentId);
+            const button = document.createElement('button');
+            button.className = 'btn quick-reply';
+            button.textContent = agent ? `${agent.emoji} ${agent.name} · ${option.category}` : option.label;
+
+            button.addEventListener('click', () => {
+                replies.querySelectorAll('button').forEach(item => { item.disabled = true; });
+                button.classList.add('btn-primary');
+
+                this.socket.emit('chat_message', {
+                    message: clarification.message,
+                    agentId: option.agentId,
+                    stream: true,
+                    context: {
+                        timestamp: Date.now(),
+                        sessionId: this.socket.id,
+                        clarified: clarification.routingId
+                    }
+                });
+            });
+            replies.appendChild(button);
+        });
+
+        messageElement.querySelector('.message-content').appendChild(replies);
+    }
+
+    // Council verdicts: block explains why; caution asks before the agent answers
+    handleCouncilVerdict(verdict) {
+        this.hideTypingIndicator();
+
+        const blocked = verdict.recommendation === 'block';
+        const text = blocked
+            ? `⛔ The council blocked this request: ${verdict.reason || 'no reason given'}`
+            : `⚠️ The council advises caution: ${verdict.reason || 'no reason given'}`;
+        const messageElement = this.addMessageToChat('agent', text, '🏛️ Council');
+
+        const details = document.createElement('ul');
+        details.className = 'council-votes';
+        if (verdict.flags.length) {
+            const flags = document.createElement('li');
+            flags.textContent = `Flags: ${verdict.flags.join(', ')}`;
+            details.appendChild(flags);
+        }
+        verdict.votes.forEach(vote => {
+            const item = document.createElement('li');
+            item.textContent = `${vote.member} (${vote.focus}): ${vote.recommendation}${vote.reason ? ` — ${vote.reason}` : ''}`;
+            details.appendChild(item);
+        });
+        messageElement.querySelector('.message-content').appendChild(details);
+
+        if (blocked) {
+            return;
+        }
+
+        const replies = document.createElement('div');
+        replies.className = 'quick-replies';
+        [['confirm', 'Go ahead anyway'], ['decline', 'Cancel']].forEach(([decision, label]) => {
+            const button = document.createElement('button');
+            button.className = `btn quick-reply${decision === 'confirm' ? ' btn-warning' : ''}`;
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                replies.querySelectorAll('button').forEach(item => { item.disabled = true; });
+                this.socket.emit('council_confirm', { routingId: verdict.routingId, decision });
+                if (decision === 'confirm') {
+                    this.councilPrompts.delete(verdict.routingId);
+                    this.showTypingIndicator(verdict.agent);
+                }
+            });
+            replies.appendChild(button);
+        });
+        messageElement.querySelector('.message-content').appendChild(replies);
+        this.councilPrompts.set(verdict.routingId, replies);
+    }
+
+    closeCouncilPrompt(routingId, note) {
+        const replies = this.councilPrompts.get(routingId);
+        if (!replies) {
+            return;
+        }
+
+        replies.querySelectorAll('button').forEach(item => { item.disabled = true; });
+        const status = document.createElement('span');
+        status.className = 'council-prompt-status';
+        status.textContent = note;
+        replies.appendChild(status);
+        this.councilPrompts.delete(routingId);
+    }
+
+    // Compound requests: one line per specialist, updated as each subtask moves
+    handleTaskPlan(plan) {
+        this.hideTypingIndicator();
+
+        const messageElement = this.addMessageToChat('agent', `Splitting this across ${plan.subtasks.length} specialists:`, '🧠 RIKA');
+        const list = document.createElement('ol');
+        list.className = 'task-plan';
+        const items = new Map();
+
+        plan.subtasks.forEach(subtask => {
+            const agent = this.agents.get(subtask.agentId);
+            const item = document.createElement('li');
+            item.dataset.status = 'queued';
+
+            const label = document.createElement('span');
+            label.textContent = `${agent ? `${agent.emoji} ${agent.name}` : subtask.agentId} — ${subtask.task}`;
+            const status = document.createElement('span');
+            status.className = 'subtask-status';
+            status.textContent = 'queued';
+
+            item.append(label, ' ', status);
+            list.appendChild(item);
+            items.set(subtask.id, { item, status });
+        });
+
+        messageElement.querySelector('.message-content').appendChild(list);
+        this.taskPlans.set(plan.routingId, { messageElement, items });
+    }
+
+    handleSubtaskProgress(progress) {
+        const plan = this.taskPlans.get(progress.routingId);
+        if (!plan) {
+            return;
+        }
+
+        if (progress.subtaskId === 'merge') {
+            if (progress.status === 'running') {
+                this.showTypingIndicator('rika');
+            } else {
+                this.taskPlans.delete(progress.routingId);
+            }
+            return;
+        }
+
+        const entry = plan.items.get(progress.subtaskId);
+        if (!entry) {
+            return;
+        }
+
+        entry.item.dataset.status = progress.status;
+        entry.status.textContent = progress.processingTime
+            ? `${progress.status} · ${(progress.processingTime / 1000).toFixed(1)}s`
+            : progress.status;
+        if (progress.error) {
+            entry.status.title = progress.error;
+        }
+    }
+
     showTypingIndicator(agentId) {
         const typingIndicator = document.getElementById('typing-indicator');
         const typingText = typingIndicator.querySelector('.typing-text');
@@ -575,6 +861,24 @@ class RikaInterface {
         // Additional logic for successful agent switch
     }
 
+    handleCircuitChange(change) {
+        const label = `${change.provider}.${change.operation}`;
+
+        if (change.to === 'open') {
+            this.showError(`${label} is failing - requests paused (${change.lastError || 'unknown error'})`, 'warning');
+        }
+
+        console.log(`⚡ Circuit ${label}: ${change.from} -> ${change.to}`);
+    }
+
+    handleBudgetAlert(alert) {
+        const scope = alert.scope === 'global' ? 'Overall' : `${alert.scope} ${alert.id}`;
+        this.showError(
+            `${scope} ${alert.period} budget at ${alert.percent}% ($${alert.spent.toFixed(2)} of $${alert.limit.toFixed(2)})`,
+            alert.threshold >= 100 ? 'error' : 'warning'
+        );
+    }
+
     showError(message, type = 'error') {
         // Create and show error notification
         const notification = document.createElement('div');
@@ -0,0 +1,161 @@
+// RIKA 2.0 - Canary Suite: exercises the Tool Broker end-to-end against the fake providers
+//
+// Runs without real API keys: `npm run canary`. Exits non-zero if any check fails.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeProviderServer } = require('./fake-providers');
+
+async function main() {
+    const fakes = createFakeProviderServer();
+    const port = await fakes.start();
+
+    // Point every provider at the fakes and keep the run hermetic
+    Object.assign(process.env, fakes.envFor(port), {
+        RIKA_CASSETTE_MODE: 'off',
+        DUCKDUCKGO_ENABLED: 'false',
+        SQLITE_VECTOR_ENABLED: 'false',
+        LOCAL_LLM_BASE_URL: '',
+        RETRY_BASE_DELAY_MS: '10'
+    });
+    for (const key of ['PINECONE_API_KEY', 'SUPABASE_URL', 'TELEGRAM_BOT_TOKEN']) {
+        delete process.env[key];
+    }
+
+    const ToolBroker = require('../lib/tool-broker');
+    const broker = new ToolBroker();
+    await broker.initializeProviders();
+
+    const control = (endpoint, body) => fetch(`http://127.0.0.1:${port}/__control/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    });
+
+    const checks = [
+        ['openai.chat returns a completion', async () => {
+            const response = await broker.callProvider('openai', 'chat', {
+                model: 'gpt-3.5-turbo',
+                messages: [{ role: 'user', content: 'canary' }]
+            });
+            assert(response.choices[0].message.content.includes('canary'), 'reply does not echo prompt');
+        }],
+
+        ['openai.chat streams deltas', async () => {
+            let text = '';
+            let chunks = 0;
+            for await (const chunk of broker.callProviderStream('openai', 'chat', {
+                messages: [{ role: 'user', content: 'stream please' }]
+            })) {
+                text += chunk.delta;
+                chunks++;
+            }
+            assert(chunks > 1, `expected several chunks, got ${chunks}`);
+            assert(text.includes('stream please'), 'streamed text incomplete');
+        }],
+
+        ['openai.embed returns vectors', async () => {
+            const response = await broker.callProvider('openai', 'embed', { input: 'remember this' });
+            assert(response.data[0].embedding.length > 0, 'empty embedding');
+        }],
+
+        ['openai.transcribe uploads audio', async () => {
+            const audioFile = path.join(os.tmpdir(), `rika-canary-${Date.now()}.wav`);
+            fs.writeFileSync(audioFile, Buffer.alloc(1024));
+            try {
+                const response = await broker.callProvider('openai', 'transcribe', {
+                    file: fs.createReadStream(audioFile)
+                });
+                assert(response.text, 'no transcription text');
+            } finally {
+                fs.unlinkSync(audioFile);
+            }
+        }],
+
+        ['elevenlabs.synthesize returns audio', async () => {
+            const stream = await broker.callProvider('elevenlabs', 'synthesize', { text: 'Hello from the canary' });
+            const chunks = [];
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+            }
+            const audio = Buffer.concat(chunks);
+            assert(audio.length > 0 && audio[0] === 0xff, 'not an MPEG frame');
+        }],
+
+        ['twilio.message sends SMS', async () => {
+            const message = await broker.callProvider('twilio', 'message', {
+                body: 'canary', to: '+15550001111', from: '+15550002222'
+            });
+            assert(message.sid?.startsWith('SM'), 'missing message sid');
+        }],
+
+        ['twilio.call places a call', async () => {
+            const call = await broker.callProvider('twilio', 'call', {
+                twimlUrl: 'https://example.com/twiml', to: '+15550001111', from: '+15550002222'
+            });
+            assert(call.sid?.startsWith('CA'), 'missing call sid');
+        }],
+
+        ['brave.search returns normalized results', async () => {
+            const response = await broker.callWithFallback('search', 'search', { query: 'rika' });
+            const first = response.results[0];
+            assert(first && first.source === 'brave' && first.rank === 1, 'unexpected result schema');
+            assert(!first.title.includes('<strong>'), 'markup not stripped');
+        }],
+
+        ['retries recover from an injected 500', async () => {
+            await control('script', { route: 'brave.search', status: 500, body: { error: 'injected' } });
+            const response = await broker.callProvider('brave', 'search', { query: 'retry' });
+            assert(response.results.length > 0, 'no results after retry');
+        }],
+
+        ['injected latency is observed', async () => {
+            await control('script', { route: 'brave.search', latencyMs: 150 });
+            const startTime = Date.now();
+            await broker.callProvider('brave', 'search', { query: 'slow' });
+            assert(Date.now() - startTime >= 150, 'latency not applied');
+        }],
+
+        ['scripted body is returned verbatim', async () => {
+            await control('script', {
+                route: 'openai.chat',
+                body: {
+                    id: 'scripted',
+                    object: 'chat.completion',
+                    choices: [{ index: 0, message: { role: 'assistant', content: '{"category":"finance"}' }, finish_reason: 'stop' }]
+                }
+            });
+            const response = await broker.callProvider('openai', 'chat', { messages: [{ role: 'user', content: 'x' }] });
+            assert(response.choices[0].message.content === '{"category":"finance"}', 'script ignored');
+        }]
+    ];
+
+    let failed = 0;
+    console.log('\n🐤 RIKA canary suite');
+
+    for (const [name, check] of checks) {
+        const startTime = Date.now();
+        try {
+            await check();
+            console.log(`✅ ${name} (${Date.now() - startTime}ms)`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+    await fakes.stop();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Canary suite crashed:', error);
+    process.exit(1);
+});
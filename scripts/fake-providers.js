@@ -0,0 +1,277 @@
+// RIKA 2.0 - Fake Provider Server: local stand-ins for OpenAI, ElevenLabs, Twilio and Brave
+//
+// Mimics the subset of each API the Tool Broker uses. Point the broker at it with
+//   OPENAI_BASE_URL=http://localhost:4010/openai/v1
+//   ELEVENLABS_BASE_URL=http://localhost:4010/elevenlabs/v1
+//   TWILIO_BASE_URL=http://localhost:4010/twilio
+//   BRAVE_BASE_URL=http://localhost:4010/brave/res/v1
+//
+// Control API (scripted responses, latency and error injection):
+//   POST /__control/script    { route, status?, body?, latencyMs?, times? }  queue one-off responses
+//   POST /__control/defaults  { route?, latencyMs?, errorRate?, errorStatus? } standing behaviour
+//   POST /__control/reset     clear scripts, defaults and the request log
+//   GET  /__control/requests  requests received so far
+//
+// Routes: openai.chat, openai.embeddings, openai.transcriptions, openai.models,
+//         elevenlabs.tts, elevenlabs.voices, elevenlabs.user,
+//         twilio.calls, twilio.messages, twilio.accounts, brave.search
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+// Smallest valid MPEG audio frame header followed by silence
+const FAKE_MP3 = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(413)]);
+
+function createFakeProviderServer() {
+    const app = express();
+    const state = {
+        scripts: new Map(),  // route -> [{ status, body, latencyMs, times }]
+        defaults: new Map(), // route ('*' for all) -> { latencyMs, errorRate, errorStatus }
+        requests: []
+    };
+
+    app.use(express.json({ limit: '10mb' }));
+    app.use(express.urlencoded({ extended: true }));
+
+    // Control API
+    app.post('/__control/script', (req, res) => {
+        const { route, times = 1 } = req.body;
+        if (!route) {
+            return res.status(400).json({ error: 'route is required' });
+        }
+
+        const queue = state.scripts.get(route) || [];
+        queue.push({ ...req.body, times });
+        state.scripts.set(route, queue);
+        res.json({ route, queued: queue.length });
+    });
+
+    app.post('/__control/defaults', (req, res) => {
+        const { route = '*', ...behaviour } = req.body;
+        state.defaults.set(route, behaviour);
+        res.json({ route, behaviour });
+    });
+
+    app.post('/__control/reset', (req, res) => {
+        state.scripts.clear();
+        state.defaults.clear();
+        state.requests = [];
+        res.json({ reset: true });
+    });
+
+    app.get('/__control/requests', (req, res) => {
+        res.json(state.requests);
+    });
+
+    // Wraps a route handler with logging, scripted responses, latency and error injection
+    const fake = (route, handler) => async (req, res) => {
+        state.requests.push({
+            route,
+            method: req.method,
+            path: req.path,
+            body: req.is('multipart/form-data') ? '[multipart]' : req.body,
+            timestamp: Date.now()
+        });
+
+        const behaviour = { ...state.defaults.get('*'), ...state.defaults.get(route) };
+        const queue = state.scripts.get(route) || [];
+        const scripted = queue[0];
+
+        if (scripted && --scripted.times <= 0) {
+            queue.shift();
+        }
+
+        const latencyMs = scripted?.latencyMs ?? behaviour.latencyMs ?? 0;
+        if (latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, latencyMs));
+        }
+
+        if (scripted && (scripted.status || scripted.body !== undefined)) {
+            return res.status(scripted.status || 200).json(scripted.body ?? {});
+        }
+
+        if (behaviour.errorRate && Math.random() < behaviour.errorRate) {
+            const status = behaviour.errorStatus || 500;
+            return res.status(status).json({ error: { message: `Injected ${status} from fake ${route}` } });
+        }
+
+        // Multipart uploads (Whisper) are drained, not parsed
+        if (req.is('multipart/form-data')) {
+            req.resume();
+            await new Promise(resolve => req.on('end', resolve));
+        }
+
+        return handler(req, res);
+    };
+
+    // OpenAI
+    app.post('/openai/v1/chat/completions', fake('openai.chat', (req, res) => {
+        const lastMessage = (req.body.messages || []).slice(-1)[0]?.content || '';
+        const content = `Fake reply to: ${String(lastMessage).substring(0, 200)}`;
+        const created = Math.floor(Date.now() / 1000);
+        const id = `chatcmpl-${uuidv4()}`;
+        const usage = { prompt_tokens: 10, completion_tokens: content.split(' ').length, total_tokens: 10 + content.split(' ').length };
+
+        if (req.body.stream) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            for (const word of content.split(/(?<= )/)) {
+                res.write(`data: ${JSON.stringify({
+                    id, object: 'chat.completion.chunk', created, model: req.body.model,
+                    choices: [{ index: 0, delta: { content: word }, finish_reason: null }]
+                })}\n\n`);
+            }
+            res.write(`data: ${JSON.stringify({
+                id, object: 'chat.completion.chunk', created, model: req.body.model,
+                choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
+            })}\n\n`);
+            if (req.body.stream_options?.include_usage) {
+                res.write(`data: ${JSON.stringify({
+                    id, object: 'chat.completion.chunk', created, model: req.body.model, choices: [], usage
+                })}\n\n`);
+            }
+            res.write('data: [DONE]\n\n');
+            return res.end();
+        }
+
+        res.json({
+            id,
+            object: 'chat.completion',
+            created,
+            model: req.body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage
+        });
+    }));
+
+    app.post('/openai/v1/embeddings', fake('openai.embeddings', (req, res) => {
+        const inputs = Array.isArray(req.body.input) ? req.body.input : [req.body.input];
+        res.json({
+            object: 'list',
+            model: req.body.model,
+            data: inputs.map((input, index) => ({
+                object: 'embedding',
+                index,
+                // Deterministic pseudo-embedding so identical text matches itself
+                embedding: Array.from({ length: 8 }, (value, i) =>
+                    Math.sin(String(input).split('').reduce((sum, ch) => sum + ch.charCodeAt(0) * (i + 1), 0)))
+            })),
+            usage: { prompt_tokens: 5, total_tokens: 5 }
+        });
+    }));
+
+    app.post('/openai/v1/audio/transcriptions', fake('openai.transcriptions', (req, res) => {
+        res.json({ task: 'transcribe', language: 'english', duration: 2.5, text: 'This is a fake transcription.' });
+    }));
+
+    app.get('/openai/v1/models', fake('openai.models', (req, res) => {
+        res.json({ object: 'list', data: [{ id: 'gpt-4', object: 'model' }, { id: 'gpt-3.5-turbo', object: 'model' }] });
+    }));
+
+    // ElevenLabs
+    app.post('/elevenlabs/v1/text-to-speech/:voiceId', fake('elevenlabs.tts', (req, res) => {
+        res.type('audio/mpeg').send(FAKE_MP3);
+    }));
+
+    app.get('/elevenlabs/v1/voices', fake('elevenlabs.voices', (req, res) => {
+        res.json({ voices: [{ voice_id: 'EXAVITQu4vr4xnSDxMaL', name: 'Bella' }] });
+    }));
+
+    app.get('/elevenlabs/v1/user', fake('elevenlabs.user', (req, res) => {
+        res.json({ subscription: { tier: 'fake', character_count: 0, character_limit: 10000 } });
+    }));
+
+    // Twilio
+    const twilioResource = (prefix, req, extra) => ({
+        sid: `${prefix}${uuidv4().replace(/-/g, '')}`,
+        account_sid: req.params.accountSid,
+        to: req.body.To,
+        from: req.body.From,
+        date_created: new Date().toUTCString(),
+        ...extra
+    });
+
+    app.post('/twilio/2010-04-01/Accounts/:accountSid/Calls.json', fake('twilio.calls', (req, res) => {
+        res.status(201).json(twilioResource('CA', req, { status: 'queued', url: req.body.Url }));
+    }));
+
+    app.post('/twilio/2010-04-01/Accounts/:accountSid/Messages.json', fake('twilio.messages', (req, res) => {
+        res.status(201).json(twilioResource('SM', req, { status: 'queued', body: req.body.Body, num_segments: '1' }));
+    }));
+
+    app.get('/twilio/2010-04-01/Accounts.json', fake('twilio.accounts', (req, res) => {
+        res.json({
+            accounts: [{ sid: 'ACfake', friendly_name: 'Fake account', status: 'active' }],
+            page: 0,
+            page_size: 1,
+            uri: '/2010-04-01/Accounts.json'
+        });
+    }));
+
+    app.get('/twilio/2010-04-01/Accounts/:accountSid.json', fake('twilio.accounts', (req, res) => {
+        res.json({ sid: req.params.accountSid, friendly_name: 'Fake account', status: 'active' });
+    }));
+
+    // Brave Search
+    app.get('/brave/res/v1/web/search', fake('brave.search', (req, res) => {
+        const count = parseInt(req.query.count, 10) || 10;
+        res.json({
+            query: { original: req.query.q },
+            web: {
+                results: Array.from({ length: Math.min(count, 3) }, (value, index) => ({
+                    title: `Result ${index + 1} for <strong>${req.query.q}</strong>`,
+                    url: `https://example.com/${encodeURIComponent(req.query.q)}/${index + 1}`,
+                    description: `Fake snippet ${index + 1} about ${req.query.q}`
+                }))
+            }
+        });
+    }));
+
+    app.use((req, res) => {
+        res.status(404).json({ error: { message: `Fake providers: no route for ${req.method} ${req.path}` } });
+    });
+
+    let server = null;
+
+    return {
+        app,
+        state,
+
+        start(port = 0) {
+            return new Promise(resolve => {
+                server = app.listen(port, '127.0.0.1', () => resolve(server.address().port));
+            });
+        },
+
+        stop() {
+            return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+        },
+
+        envFor(port) {
+            const base = `http://127.0.0.1:${port}`;
+            return {
+                OPENAI_API_KEY: 'sk-fake',
+                OPENAI_BASE_URL: `${base}/openai/v1`,
+                ELEVENLABS_API_KEY: 'fake-elevenlabs-key',
+                ELEVENLABS_BASE_URL: `${base}/elevenlabs/v1`,
+                TWILIO_ACCOUNT_SID: 'ACfake',
+                TWILIO_AUTH_TOKEN: 'fake-token',
+                TWILIO_BASE_URL: `${base}/twilio`,
+                BRAVE_API_KEY: 'fake-brave-key',
+                BRAVE_BASE_URL: `${base}/brave/res/v1`
+            };
+        }
+    };
+}
+
+module.exports = { createFakeProviderServer };
+
+if (require.main === module) {
+    const fakes = createFakeProviderServer();
+    const port = parseInt(process.env.FAKE_PROVIDERS_PORT, 10) || 4010;
+
+    fakes.start(port).then(listening => {
+        console.log(`🧪 Fake providers listening on http://127.0.0.1:${listening}`);
+        for (const [key, value] of Object.entries(fakes.envFor(listening))) {
+            console.log(`   ${key}=${value}`);
+        }
+    });
+}
@@ -0,0 +1,54 @@
+// RIKA 2.0 - Trains the offline intent classifier
+//
+// Combines the seed examples in config/intent-training.json with labels collected at
+// runtime (data/intent-history.jsonl) and writes config/intent-model.json, which is
+// committed so fresh deployments classify offline from the start: `npm run train-intents`.
+const fs = require('fs');
+const path = require('path');
+const { LocalIntentClassifier, trainModel, CATEGORIES } = require('../lib/intent-classifier');
+
+const SEED_PATH = path.join(__dirname, '../config/intent-training.json');
+const HISTORY_PATH = process.env.INTENT_HISTORY_PATH || path.join(__dirname, '../data/intent-history.jsonl');
+const MODEL_PATH = process.env.INTENT_MODEL_PATH || path.join(__dirname, '../config/intent-model.json');
+
+function readHistory() {
+    try {
+        return fs.readFileSync(HISTORY_PATH, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    } catch (error) {
+        return [];
+    }
+}
+
+function main() {
+    const seed = JSON.parse(fs.readFileSync(SEED_PATH, 'utf8')).examples;
+    const history = readHistory();
+
+    // Hold out every fifth seed example to report accuracy before training on everything
+    const holdout = seed.filter((example, index) => index % 5 === 0);
+    const evaluationModel = trainModel([...seed.filter((example, index) => index % 5 !== 0), ...history]);
+    fs.writeFileSync(`${MODEL_PATH}.eval`, JSON.stringify(evaluationModel));
+    const evaluator = new LocalIntentClassifier({ modelPath: `${MODEL_PATH}.eval`, historyPath: '/nonexistent' });
+    fs.unlinkSync(`${MODEL_PATH}.eval`);
+
+    const correct = holdout.filter(example => evaluator.classify(example.text).category === example.category).length;
+    console.log(`🧪 Holdout accuracy: ${correct}/${holdout.length} (${Math.round((correct / holdout.length) * 100)}%)`);
+
+    const model = trainModel([...seed, ...history]);
+    fs.writeFileSync(MODEL_PATH, `${JSON.stringify(model)}\n`);
+
+    const perCategory = CATEGORIES.map(category => `${category}: ${model.categories[category]?.docs || 0}`).join(', ');
+    console.log(`✅ Intent model written to ${path.relative(process.cwd(), MODEL_PATH)}`);
+    console.log(`📚 ${model.examples} examples (${seed.length} seed, ${history.length} from history) — ${perCategory}`);
+}
+
+main();
@@ -8,6 +8,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const cron = require('node-cron');
 require('dotenv').config();
 
@@ -15,6 +16,16 @@ require('dotenv').config();
 const ToolBroker = require('./lib/tool-broker');
 const IntelligenceRouter = require('./lib/intelligence-router');
 const VoiceEngine = require('./lib/voice-engine');
+const AgentToolRunner = require('./lib/agent-tools');
+const SecretsStore = require('./lib/secrets-store');
+const TelegramChannel = require('./lib/telegram-channel');
+const PageCache = require('./lib/page-cache');
+const PlanExecutor = require('./lib/plan-executor');
+const CouncilGate = require('./lib/council-gate');
+
+// Recalled long-term memories put in front of the agent, and how much of each
+const MEMORY_PROMPT_MATCHES = parseInt(process.env.MEMORY_PROMPT_MATCHES, 10) || 3;
+const MEMORY_PROMPT_CHARS = 600;
 
 class RikaOrchestrator {
     constructor() {
@@ -31,6 +42,10 @@ class RikaOrchestrator {
         this.toolBroker = null;
         this.intelligenceRouter = null;
         this.voiceEngine = null;
+        this.agentTools = null;
+        this.secretsStore = null;
+        this.planExecutor = null;
+        this.councilGate = null;
         this.safeMode = process.env.RIKA_SAFE_MODE === 'true';
         this.bootPhases = [];
         this.agents = new Map();
@@ -147,6 +162,20 @@ class RikaOrchestrator {
     }
 
     validateSecrets() {
+        if (process.env.ENCRYPTION_KEY) {
+            try {
+                this.secretsStore = new SecretsStore();
+                console.log(`🔐 Secrets store: ${this.secretsStore.list().length} provider(s) stored`);
+            } catch (error) {
+                console.warn('⚠️ Secrets store unavailable:', error.message);
+            }
+        }
+
+        if (process.env.RIKA_CASSETTE_MODE === 'replay') {
+            console.log('📼 Cassette replay: provider secrets not required');
+            return;
+        }
+
         // Validate API keys format and access
         const secrets = {
             openai: process.env.OPENAI_API_KEY?.startsWith('sk-'),
@@ -155,6 +184,13 @@ class RikaOrchestrator {
             pinecone: process.env.PINECONE_API_KEY?.length > 10
         };
 
+        // Stored credentials are validated live by the broker when they are set
+        for (const entry of this.secretsStore?.list() || []) {
+            if (!entry.revoked) {
+                secrets[entry.provider] = true;
+            }
+        }
+
         const validSecrets = Object.entries(secrets)
             .filter(([key, valid]) => valid)
             .map(([key]) => key);
@@ -167,12 +203,26 @@ class RikaOrchestrator {
     }
 
     async initializeToolBroker() {
-        this.toolBroker = new ToolBroker();
+        this.toolBroker = new ToolBroker({ secrets: this.secretsStore });
         await this.toolBroker.initializeProviders();
+
+        // Surface circuit breaker transitions on the dashboard
+        this.toolBroker.on('circuit_state_change', change => {
+            this.io.emit('provider_circuit_changed', change);
+        });
+
+        this.agentTools = new AgentToolRunner(this.toolBroker);
     }
 
     async initializeIntelligence() {
         this.intelligenceRouter = new IntelligenceRouter(this.toolBroker);
+        this.councilGate = new CouncilGate();
+
+        // Budget thresholds crossed (50/80/100% by default) go to the dashboard and Telegram
+        this.intelligenceRouter.budgets.on('budget_alert', alert => {
+            this.io.emit('budget_alert', alert);
+            this.telegramChannel?.notifyBudgetAlert(alert);
+        });
         console.log('🧠 Intelligence Router: Intent classification, QoS tiers, Memory shaping, Council check, Cost sentinel');
     }
 
@@ -183,19 +233,20 @@ class RikaOrchestrator {
 
     initializeAgents() {
         const agentConfigs = [
-            { id: 'rika', name: 'RIKA', role: 'Core Orchestrator', emoji: '🧠', capabilities: ['orchestration', 'planning', 'coordination'] },
-            { id: 'echo', name: 'Echo', role: 'Security Specialist', emoji: '🔐', capabilities: ['security-analysis', 'threat-assessment', 'compliance'] },
+            { id: 'rika', name: 'RIKA', role: 'Core Orchestrator', emoji: '🧠', capabilities: ['orchestration', 'planning', 'coordination'], tools: ['web_search', 'send_telegram_message', 'send_sms'] },
+            { id: 'echo', name: 'Echo', role: 'Security Specialist', emoji: '🔐', capabilities: ['security-analysis', 'threat-assessment', 'compliance'], tools: ['web_search'] },
             { id: 'rig', name: 'Rig', role: '3D Creative', emoji: '🎨', capabilities: ['3d-modeling', 'rendering', 'visual-design'] },
-            { id: 'scout', name: 'Scout', role: 'Research Agent', emoji: '🔍', capabilities: ['research', 'citations', 'fact-checking'] },
+            { id: 'scout', name: 'Scout', role: 'Research Agent', emoji: '🔍', capabilities: ['research', 'citations', 'fact-checking'], tools: ['web_search', 'fetch_page'], alwaysUseTools: true },
             { id: 'kibo', name: 'Kibo', role: 'Learning Assistant', emoji: '🌸', capabilities: ['learning-paths', 'spaced-repetition', 'progress-tracking'] },
             { id: 'craft', name: 'Craft', role: 'Brand Manager', emoji: '🛠️', capabilities: ['content-creation', 'brand-alignment', 'social-media'] },
             { id: 'moda', name: 'Moda', role: 'Fashion Stylist', emoji: '👗', capabilities: ['fashion-advice', 'outfit-coordination', 'style-analysis'] },
-            { id: 'mint', name: 'Mint', role: 'Financial Analyst', emoji: '💰', capabilities: ['financial-planning', 'budget-analysis', 'investment-advice'] },
+            { id: 'mint', name: 'Mint', role: 'Financial Analyst', emoji: '💰', capabilities: ['financial-planning', 'budget-analysis', 'investment-advice'], tools: ['query_records'] },
             { id: 'pulse', name: 'Pulse', role: 'Fitness Coach', emoji: '💪', capabilities: ['workout-planning', 'nutrition-guidance', 'health-metrics'] }
         ];
 
         agentConfigs.forEach(config => {
             this.agents.set(config.id, {
+                tools: [],
                 ...config,
                 status: 'active',
                 lastActive: Date.now(),
@@ -208,12 +259,28 @@ class RikaOrchestrator {
             });
         });
 
+        this.planExecutor = new PlanExecutor({
+            agents: this.agents,
+            processAgentRequest: (...args) => this.processAgentRequest(...args)
+        });
+
         console.log(`🤖 Agents initialized: ${this.agents.size} specialists ready`);
     }
 
-    setupWebhooks() {
+    async setupWebhooks() {
         // Webhook endpoints will be set up in routes
         console.log('🌐 Webhook endpoints prepared for Twilio, Telegram, and external integrations');
+
+        this.telegramChannel = new TelegramChannel({
+            toolBroker: this.toolBroker,
+            router: this.intelligenceRouter,
+            voiceEngine: this.voiceEngine,
+            agents: this.agents,
+            conversations: this.conversations,
+            executeRouting: (...args) => this.executeRouting(...args),
+            councilGate: this.councilGate
+        });
+        await this.telegramChannel.start();
     }
 
     async setupMiddleware() {
@@ -273,6 +340,7 @@ class RikaOrchestrator {
                 emoji: agent.emoji,
                 status: agent.status,
                 capabilities: agent.capabilities,
+                tools: this.agentTools?.toolsFor(agent) || agent.tools,
                 metrics: agent.metrics
             }));
             res.json(agents);
@@ -282,11 +350,87 @@ class RikaOrchestrator {
             res.json({
                 ...this.metrics,
                 intelligence: this.intelligenceRouter?.getStatus() || {},
+                councilGate: this.councilGate?.getStatus() || {},
                 toolBroker: this.toolBroker?.getHealthStatus() || {},
+                queues: this.toolBroker?.getQueueMetrics() || {},
+                idempotency: this.toolBroker?.idempotency.getStats() || {},
                 voice: this.voiceEngine?.getVoiceMetrics() || {}
             });
         });
 
+        this.app.get('/api/providers', (req, res) => {
+            res.json(this.toolBroker?.describeProviders() || []);
+        });
+
+        this.app.get('/api/providers/:name/health', (req, res) => {
+            const health = this.toolBroker?.getProviderHealth(req.params.name);
+            if (!health) {
+                return res.status(404).json({ error: `Unknown provider: ${req.params.name}` });
+            }
+            res.json(health);
+        });
+
+        // Provider credentials (admin only); values are write-only
+        const admin = (req, res, next) => this.requireAdmin(req, res, next);
+
+        this.app.get('/api/admin/secrets', admin, (req, res) => {
+            res.json(this.secretsStore.list());
+        });
+
+        this.app.put('/api/admin/secrets/:provider', admin, async (req, res) => {
+            await this.updateProviderSecrets(req, res, 'set');
+        });
+
+        this.app.post('/api/admin/secrets/:provider/rotate', admin, async (req, res) => {
+            await this.updateProviderSecrets(req, res, 'rotate');
+        });
+
+        this.app.post('/api/admin/secrets/:provider/rollback', admin, async (req, res) => {
+            await this.updateProviderSecrets(req, res, 'rollback');
+        });
+
+        this.app.delete('/api/admin/secrets/:provider', admin, (req, res) => {
+            const { provider } = req.params;
+            if (!this.toolBroker?.registry.has(provider)) {
+                return res.status(404).json({ error: `Unknown provider: ${provider}` });
+            }
+
+            const entry = this.secretsStore.revoke(provider);
+            this.toolBroker.disableProvider(provider);
+            console.log(`🔐 Credentials revoked for ${provider}`);
+            res.json(entry);
+        });
+
+        // Long-term memory (admin only): per-provider stats, and forgetting a user's memories
+        this.app.get('/api/admin/memory/stats', admin, async (req, res) => {
+            res.json(await this.intelligenceRouter.getLongTermMemoryStats());
+        });
+
+        this.app.delete('/api/admin/memory', admin, async (req, res) => {
+            const { userId, agent, ids, filter } = req.body || {};
+            try {
+                res.json(await this.intelligenceRouter.forgetLongTermMemory({ userId, agent, ids, filter }));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        // Requests users confirmed against the council's caution, newest first
+        this.app.get('/api/admin/council/overrides', admin, (req, res) => {
+            res.json(this.councilGate.getOverrides(Math.min(parseInt(req.query.limit, 10) || 50, 500)));
+        });
+
+        // Snapshot of a fetched page exactly as an agent read it, for stable citations
+        this.app.get('/api/sources/:hash', (req, res) => {
+            // The web provider's own cache knows every URL it has indexed since boot
+            this.pageCache = this.toolBroker?.providers.get('web')?.cache || this.pageCache || new PageCache();
+            const snapshot = /^[a-f0-9]{64}$/.test(req.params.hash) ? this.pageCache.getSnapshot(req.params.hash) : null;
+            if (!snapshot) {
+                return res.status(404).json({ error: 'Snapshot not found' });
+            }
+            res.json(snapshot);
+        });
+
         this.app.get('/api/system-status', (req, res) => {
             res.json(this.getSystemStatus());
         });
@@ -320,14 +464,24 @@ class RikaOrchestrator {
             res.status(200).send('OK');
         });
 
-        this.app.post('/webhooks/telegram', async (req, res) => {
-            try {
-                await this.processTelegramWebhook(req.body);
-                res.status(200).send('OK');
-            } catch (error) {
-                console.error('Telegram webhook error:', error);
-                res.status(500).send('Internal server error');
+        // Call minutes are only billed once Twilio reports the finished call
+        this.app.post('/webhooks/twilio/status', (req, res) => {
+            const { CallSid, CallStatus, CallDuration } = req.body;
+
+            if (CallStatus === 'completed' && this.toolBroker) {
+                this.toolBroker.recordUsage('twilio', 'call', {
+                    callMinutes: Math.ceil((parseInt(CallDuration, 10) || 0) / 60)
+                }, { agent: 'rika', tier: 'realtime', purpose: 'call', callSid: CallSid });
             }
+            res.status(200).send('OK');
+        });
+
+        // Acknowledged before the update is handled: Telegram redelivers updates that take
+        // long to answer, and routing plus the model's reply easily does
+        this.app.post('/webhooks/telegram', (req, res) => {
+            res.status(200).send('OK');
+            this.processTelegramWebhook(req.body)
+                .catch(error => console.error('Telegram webhook error:', error));
         });
 
         // Serve main application
@@ -373,15 +527,18 @@ class RikaOrchestrator {
             // Enhanced chat message handling with Intelligence Router
             socket.on('chat_message', async (data) => {
                 const startTime = Date.now();
+                let routing = null;
                 
                 try {
-                    const { message, agentId = 'rika', context = {} } = data;
+                    const { message, agentId = 'rika', context = {}, stream = false } = data;
                     
-                    // Use Intelligence Router for smart routing
-                    const routing = await this.intelligenceRouter.route(message, {
+                    // Use Intelligence Router for smart routing. RIKA selected means "route it";
+                    // a specialist, or an answer to a clarifying question, pins the agent.
+                    routing = await this.intelligenceRouter.route(message, {
                         ...context,
                         socketId: socket.id,
-                        preferredAgent: agentId
+                        canClarify: true,
+                        preferredAgent: agentId !== 'rika' || context.clarified ? agentId : undefined
                     });
 
                     if (routing.error) {
@@ -392,42 +549,39 @@ class RikaOrchestrator {
                         return;
                     }
 
-                    // Broadcast typing indicator
-                    socket.broadcast.emit('agent_typing', { 
-                        agentId: routing.targetAgent,
-                        routingId: routing.id
-                    });
-
-                    // Process with selected agent and QoS tier
-                    const response = await this.processAgentRequest(
-                        routing.targetAgent, 
-                        message, 
-                        routing
-                    );
+                    if (routing.clarification) {
+                        socket.emit('clarification_needed', {
+                            routingId: routing.id,
+                            ...routing.clarification
+                        });
+                        return;
+                    }
 
-                    const totalTime = Date.now() - startTime;
-                    this.updateMetrics(totalTime, true);
-
-                    // Send enhanced response
-                    socket.emit('agent_response', {
-                        ...response,
-                        routing: {
-                            id: routing.id,
-                            agent: routing.targetAgent,
-                            qosTier: routing.qosTier.name,
-                            processingTime: totalTime,
-                            memoryContext: routing.memoryContext,
-                            councilAdvice: routing.councilAdvice
-                        }
-                    });
+                    // Council verdicts: block stops here, caution waits for the user to confirm
+                    const verdict = this.councilGate.verdict(routing);
+                    if (verdict === 'block') {
+                        this.intelligenceRouter.reconcileCost(routing.id);
+                        socket.emit('council_blocked', this.councilGate.block(routing));
+                        return;
+                    }
+                    if (verdict === 'caution') {
+                        const confirmation = this.councilGate.hold(socket.id, routing, { message, userId: context.userId, context, stream }, () => {
+                            this.intelligenceRouter.reconcileCost(routing.id);
+                            socket.emit('council_confirmation_expired', { routingId: routing.id });
+                        });
+                        socket.emit('council_confirmation_needed', confirmation);
+                        return;
+                    }
 
-                    socket.broadcast.emit('agent_stopped_typing', { 
-                        agentId: routing.targetAgent 
-                    });
+                    await this.respondToRouting(socket, message, routing, { context, stream, startTime });
 
                 } catch (error) {
                     const totalTime = Date.now() - startTime;
                     this.updateMetrics(totalTime, false);
+                    // Release the cost reservation now rather than at its TTL
+                    if (routing?.id) {
+                        this.intelligenceRouter.reconcileCost(routing.id);
+                    }
                     
                     console.error('Chat message processing error:', error);
                     socket.emit('agent_error', { 
@@ -478,11 +632,100 @@ class RikaOrchestrator {
                 socket.emit('tool_broker_status', this.toolBroker?.getHealthStatus() || {});
             });
 
+            // Answer to council_confirmation_needed: { routingId, decision: 'confirm' | 'decline' }
+            socket.on('council_confirm', async (data = {}) => {
+                const decision = data.decision === 'confirm' ? 'confirm' : 'decline';
+                const held = this.councilGate.resolve(socket.id, data.routingId, decision);
+
+                if (!held || decision === 'decline') {
+                    if (held) {
+                        this.intelligenceRouter.reconcileCost(held.routing.id);
+                    }
+                    socket.emit('council_confirmation_closed', { routingId: data.routingId, decision, found: !!held });
+                    return;
+                }
+
+                try {
+                    await this.respondToRouting(socket, held.payload.message, held.routing, {
+                        context: held.payload.context,
+                        stream: held.payload.stream
+                    });
+                } catch (error) {
+                    this.intelligenceRouter.reconcileCost(held.routing.id);
+                    console.error('Confirmed request processing error:', error);
+                    socket.emit('agent_error', {
+                        message: 'Failed to process request',
+                        error: error.message
+                    });
+                }
+            });
+
             socket.on('disconnect', () => {
                 console.log(`🔌 Client disconnected: ${socket.id}`);
                 this.metrics.activeConnections--;
+                this.councilGate.dropOwner(socket.id).forEach(entry => this.intelligenceRouter.reconcileCost(entry.routing.id));
+            });
+        });
+    }
+
+    // Second half of a chat message once routing (and any council confirmation) is settled
+    async respondToRouting(socket, message, routing, { context = {}, stream = false, startTime = Date.now() } = {}) {
+        // Broadcast typing indicator
+        socket.broadcast.emit('agent_typing', { 
+            agentId: routing.targetAgent,
+            routingId: routing.id
+        });
+
+        // Process with selected agent and QoS tier; streaming clients get tokens as they arrive
+        const onChunk = stream
+            ? delta => socket.emit('agent_response_chunk', {
+                routingId: routing.id,
+                agent: routing.targetAgent,
+                delta
+            })
+            : null;
+
+        // Compound requests: announce the plan, then report each subtask as it moves
+        if (routing.plan) {
+            socket.emit('task_plan', {
+                routingId: routing.id,
+                goal: routing.plan.goal,
+                subtasks: routing.plan.subtasks.map(({ id, agentId, task, dependsOn }) => ({ id, agentId, task, dependsOn }))
             });
+        }
+
+        const response = await this.executeRouting(message, routing, {
+            onChunk,
+            onProgress: progress => socket.emit('subtask_progress', { routingId: routing.id, ...progress })
+        });
+
+        const totalTime = Date.now() - startTime;
+        this.updateMetrics(totalTime, true);
+        const cost = this.intelligenceRouter.reconcileCost(routing.id);
+
+        // Send enhanced response
+        socket.emit(stream ? 'agent_response_done' : 'agent_response', {
+            ...response,
+            routing: {
+                id: routing.id,
+                agent: routing.targetAgent,
+                qosTier: routing.qosTier.name,
+                processingTime: totalTime,
+                councilAdvice: routing.councilAdvice,
+                candidates: routing.candidates,
+                subtasks: routing.plan?.subtasks.length,
+                councilOverride: routing.councilOverride,
+                cost
+            }
+        });
+
+        socket.broadcast.emit('agent_stopped_typing', { 
+            agentId: routing.targetAgent 
         });
+
+        // Persist the exchange to long-term memory without delaying the reply
+        this.intelligenceRouter.rememberExchange(message, response.response, routing, { userId: context.userId })
+            .catch(error => console.warn('Long-term memory write failed:', error.message));
     }
 
     setupCronJobs() {
@@ -505,20 +748,82 @@ class RikaOrchestrator {
         console.log('⏰ Cron jobs scheduled: cost reset, health checks, memory cleanup');
     }
 
+    requireAdmin(req, res, next) {
+        const token = process.env.ADMIN_API_TOKEN;
+        const supplied = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+
+        if (!token) {
+            return res.status(403).json({ error: 'Admin API disabled (set ADMIN_API_TOKEN)' });
+        }
+        if (supplied.length !== token.length ||
+            !crypto.timingSafeEqual(Buffer.from(supplied), Buffer.from(token))) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (!this.secretsStore) {
+            return res.status(503).json({ error: 'Secrets store unavailable (set ENCRYPTION_KEY)' });
+        }
+        next();
+    }
+
+    // Validate the new credentials live against the provider before persisting them
+    async updateProviderSecrets(req, res, mode) {
+        const { provider } = req.params;
+        const values = mode === 'rollback' ? this.secretsStore.previous(provider) : req.body?.values;
+
+        if (!this.toolBroker?.registry.has(provider)) {
+            return res.status(404).json({ error: `Unknown provider: ${provider}` });
+        }
+        if (mode === 'rollback' && !values) {
+            return res.status(404).json({ error: `No previous credentials stored for ${provider}` });
+        }
+
+        try {
+            this.secretsStore.validateValues(values);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // A set merges into the stored credentials; a rotation or rollback replaces them
+        const candidate = mode === 'set' ? { ...this.secretsStore.get(provider), ...values } : values;
+
+        try {
+            const validation = await this.toolBroker.reloadProvider(provider, candidate);
+            const entry = this.secretsStore[mode](provider, values);
+            console.log(`🔐 Credentials ${{ set: 'updated', rotate: 'rotated', rollback: 'rolled back' }[mode]} for ${provider}`);
+            res.json({ ...entry, validation });
+        } catch (error) {
+            res.status(422).json({ error: error.message });
+        }
+    }
+
     // Agent Processing
-    async processAgentRequest(agentId, message, routing) {
+    // A routed request: one agent, or a plan fanned out across agents and merged by RIKA
+    async executeRouting(message, routing, options = {}) {
+        if (routing.plan) {
+            return this.planExecutor.run(message, routing, options);
+        }
+        return this.processAgentRequest(routing.targetAgent, message, routing, options);
+    }
+
+    async processAgentRequest(agentId, message, routing, options = {}) {
         const agent = this.agents.get(agentId);
         if (!agent) {
             throw new Error(`Agent ${agentId} not found`);
         }
 
         const startTime = Date.now();
-        
-        // Simulate processing based on QoS tier
-        const processingTime = this.getProcessingTime(agentId, message, routing.qosTier);
-        await this.delay(processingTime);
-
-        const response = await this.generateAgentResponse(agentId, message, routing);
+        let response;
+        let toolRun = null;
+
+        if (options.tools !== false && this.canUseAgentTools(agent, routing)) {
+            // Streams too when onChunk is set: tool rounds stay quiet, the answer is passed on as written
+            toolRun = await this.generateAgentResponseWithTools(agent, message, routing, options);
+            response = toolRun.text;
+        } else if (options.onChunk) {
+            response = await this.generateAgentResponseStream(agentId, message, routing, options.onChunk, options);
+        } else {
+            response = await this.generateAgentResponse(agentId, message, routing, options);
+        }
         const endTime = Date.now();
 
         // Update agent metrics
@@ -531,28 +836,72 @@ class RikaOrchestrator {
             response: response,
             processingTime: endTime - startTime,
             timestamp: endTime,
-            qosTier: routing.qosTier.name
+            qosTier: routing.qosTier.name,
+            ...(toolRun && { toolCalls: toolRun.toolCalls, citations: toolRun.citations })
         };
     }
 
-    async generateAgentResponse(agentId, message, routing) {
+    // The tool loop costs a round-trip of its own, so it only runs for agents that work from
+    // sources (Scout) or requests the classifier saw needing a tool (search, send, ...)
+    canUseAgentTools(agent, routing = {}) {
+        return !this.safeMode &&
+            !!this.agentTools &&
+            (agent.alwaysUseTools || routing.intent?.requiresTools !== false) &&
+            this.toolBroker?.hasService('llm') &&
+            this.agentTools.availableTools(this.agentTools.toolsFor(agent)).length > 0;
+    }
+
+    async generateAgentResponseWithTools(agent, message, routing, options = {}) {
+        let streamed = '';
+        const onChunk = options.onChunk && (delta => {
+            streamed += delta;
+            options.onChunk(delta);
+        });
+
+        try {
+            return await this.agentTools.run(this.agentTools.toolsFor(agent), this.buildAgentMessages(agent.id, message, options.history, routing), {
+                model: routing.qosTier.model,
+                maxTokens: routing.qosTier.maxTokens,
+                temperature: routing.qosTier.temperature
+            }, {
+                priority: routing.qosTier.priority,
+                context: this.getUsageContext(agent.id, routing)
+            }, options.toolContext, onChunk);
+        } catch (error) {
+            // Keep whatever already reached the client rather than contradicting it
+            if (streamed) {
+                console.warn(`Tool loop for ${agent.id} ended early:`, error.message);
+                return { text: streamed, toolCalls: [], citations: [] };
+            }
+
+            console.warn(`Tool loop failed for ${agent.id}, answering without tools:`, error.message);
+            return {
+                text: options.onChunk
+                    ? await this.generateAgentResponseStream(agent.id, message, routing, options.onChunk, options)
+                    : await this.generateAgentResponse(agent.id, message, routing, options),
+                toolCalls: [],
+                citations: []
+            };
+        }
+    }
+
+    async generateAgentResponse(agentId, message, routing, options = {}) {
         // Use Tool Broker for enhanced responses when available
-        if (this.toolBroker?.providers.has('openai') && !this.safeMode) {
+        if (this.toolBroker?.hasService('llm') && !this.safeMode) {
             try {
-                const systemPrompt = this.getAgentSystemPrompt(agentId);
-                const response = await this.toolBroker.callProvider('openai', 'chat', {
+                const response = await this.toolBroker.callWithFallback('llm', 'chat', {
                     model: routing.qosTier.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: message }
-                    ],
+                    messages: this.buildAgentMessages(agentId, message, options.history, routing),
                     maxTokens: routing.qosTier.maxTokens,
                     temperature: routing.qosTier.temperature
+                }, {
+                    priority: routing.qosTier.priority,
+                    context: this.getUsageContext(agentId, routing)
                 });
 
                 return response.choices[0].message.content;
             } catch (error) {
-                console.warn(`OpenAI failed for ${agentId}, using fallback:`, error.message);
+                console.warn(`LLM chain failed for ${agentId}, using fallback:`, error.message);
             }
         }
 
@@ -560,12 +909,126 @@ class RikaOrchestrator {
         return this.getFallbackResponse(agentId, message, routing);
     }
 
+    // Attributes broker spend to the agent, tier and routed request in the cost ledger
+    getUsageContext(agentId, routing) {
+        return {
+            routingId: routing.id,
+            agent: agentId,
+            tier: routing.qosTier.name,
+            purpose: 'agent'
+        };
+    }
+
+    async generateAgentResponseStream(agentId, message, routing, onChunk, options = {}) {
+        if (this.toolBroker?.hasService('llm') && !this.safeMode) {
+            let text = '';
+
+            try {
+                const stream = this.toolBroker.streamWithFallback('llm', 'chat', {
+                    model: routing.qosTier.model,
+                    messages: this.buildAgentMessages(agentId, message, options.history, routing),
+                    maxTokens: routing.qosTier.maxTokens,
+                    temperature: routing.qosTier.temperature
+                }, {
+                    priority: routing.qosTier.priority,
+                    context: this.getUsageContext(agentId, routing)
+                });
+
+                for await (const chunk of stream) {
+                    if (chunk.delta) {
+                        text += chunk.delta;
+                        onChunk(chunk.delta);
+                    }
+                }
+
+                return text;
+            } catch (error) {
+                // Keep whatever already reached the client rather than contradicting it
+                if (text) {
+                    console.warn(`LLM stream for ${agentId} ended early:`, error.message);
+                    return text;
+                }
+                console.warn(`LLM chain failed for ${agentId}, using fallback:`, error.message);
+            }
+        }
+
+        const fallback = this.getFallbackResponse(agentId, message, routing);
+        onChunk(fallback);
+        return fallback;
+    }
+
+    // history: earlier { role, content } turns of the same conversation, oldest first
+    buildAgentMessages(agentId, message, history = [], routing = {}) {
+        let systemPrompt = this.getAgentSystemPrompt(agentId);
+
+        // Low-confidence routing: RIKA answers, knowing which specialists it might concern
+        if (routing.lowConfidence && routing.candidates?.length) {
+            const candidates = routing.candidates.map(candidate => `${candidate.category} (${candidate.agentId})`).join(' or ');
+            systemPrompt += ` The request was ambiguous; it most likely concerns ${candidates}. Answer what you can and suggest the specialist who could go further.`;
+        }
+
+        // The user went ahead despite the council's caution; the answer should still address it
+        if (routing.councilOverride) {
+            const flags = routing.councilAdvice.flags?.length ? ` (${routing.councilAdvice.flags.join(', ')})` : '';
+            systemPrompt += ` The review council advised caution${flags}: ${routing.councilAdvice.reason || 'no reason given'}. The user confirmed they want to go ahead; answer, and point out the concern where it matters.`;
+        }
+
+        // Notes this user pinned (/pin on Telegram); the router only returns the caller's own
+        const pins = routing.memoryContext?.pins || [];
+        if (pins.length) {
+            systemPrompt += `\n\nThe user pinned these notes for you to keep in mind:\n${pins.map(pin => `- ${pin.text}`).join('\n')}`;
+        }
+
+        // Fan-out subtask: answer only this part, building on the subtasks it depends on
+        if (routing.subtask) {
+            systemPrompt += ` This is one part of a larger request ("${routing.subtask.request}") that other specialists share; handle only your part.`;
+            for (const dependency of routing.subtask.dependencies) {
+                systemPrompt += `\n\n${dependency.agentName} already handled "${dependency.task}":\n${dependency.response}`;
+            }
+        }
+
+        // Merge step: RIKA combines the specialists' answers, keeping who said what
+        if (routing.mergeSections) {
+            systemPrompt += ' Specialists answered parts of the user\'s request. Combine their answers into one reply with a section per specialist, headed by the specialist\'s name, adding only what is needed to connect them. Say plainly if a part could not be completed.';
+            for (const section of routing.mergeSections) {
+                systemPrompt += section.status === 'done'
+                    ? `\n\n${section.agentName} (${section.task}):\n${section.response}`
+                    : `\n\n${section.agentName} (${section.task}): failed - ${section.error}`;
+            }
+        }
+
+        return [
+            { role: 'system', content: systemPrompt },
+            ...this.buildRecallMessages(routing.memoryContext?.longTerm),
+            ...history,
+            { role: 'user', content: message }
+        ];
+    }
+
+    // Long-term memories the router recalled for this user, best match first. They come from
+    // the user's own namespace, so nothing here belongs to anyone else.
+    buildRecallMessages(matches = []) {
+        const recalled = matches
+            .filter(match => match.text)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MEMORY_PROMPT_MATCHES);
+        if (recalled.length === 0) {
+            return [];
+        }
+
+        const lines = recalled.map(match => `- ${match.text.slice(0, MEMORY_PROMPT_CHARS)}`);
+        return [{
+            role: 'system',
+            content: `Earlier exchanges with this user that may be relevant; use them only where they help:\n${lines.join('\n')}`
+        }];
+    }
+
     getAgentSystemPrompt(agentId) {
         const prompts = {
-            rika: "You are RIKA, the core AI orchestrator. Coordinate tasks efficiently and provide clear guidance.",
+            rika: "You are RIKA, the core AI orchestrator. Coordinate tasks efficiently and provide clear guidance. Only send Telegram or SMS messages when the user explicitly asks for it.",
             echo: "You are Echo, a security specialist. Analyze threats, assess risks, and recommend security measures.",
             rig: "You are Rig, a 3D creative specialist. Help with modeling, rendering, and visual design projects.",
-            scout: "You are Scout, a research agent. Gather information, verify facts, and provide citations.",
+            scout: "You are Scout, a research agent. Gather information, verify facts, and provide citations. Use web_search for anything current and fetch_page to read a source before relying on it; cite sources inline as [n] and end with a numbered list of the URLs you cited.",
             kibo: "You are Kibo, a learning assistant. Create study plans, track progress, and optimize learning.",
             craft: "You are Craft, a brand manager. Create aligned content and optimize for engagement.",
             moda: "You are Moda, a fashion stylist. Provide outfit advice and style recommendations.",
@@ -577,6 +1040,10 @@ class RikaOrchestrator {
     }
 
     getFallbackResponse(agentId, message, routing) {
+        if (routing.mergeSections) {
+            return PlanExecutor.formatSections(routing.mergeSections);
+        }
+
         const agent = this.agents.get(agentId);
         const responses = {
             rika: `🧠 I'm coordinating your request: "${message}". Using ${routing.qosTier.name} QoS tier for optimal processing.`,
@@ -593,19 +1060,6 @@ class RikaOrchestrator {
         return responses[agentId] || `${agent?.emoji || '🤖'} ${agent?.name || 'Agent'} processing: "${message}"`;
     }
 
-    getProcessingTime(agentId, message, qosTier) {
-        const baseTimes = {
-            rika: 1200, echo: 800, rig: 2000, scout: 1500,
-            kibo: 600, craft: 900, moda: 700, mint: 1000, pulse: 500
-        };
-
-        const baseTime = baseTimes[agentId] || 1000;
-        const qosMultiplier = qosTier.name === 'realtime' ? 0.5 : qosTier.name === 'batch' ? 1.5 : 1.0;
-        const complexity = Math.min(message.length / 20, 500);
-
-        return Math.floor((baseTime + complexity) * qosMultiplier);
-    }
-
     // System Management
     async enterSafeMode(error) {
         this.safeMode = true;
@@ -686,32 +1140,7 @@ class RikaOrchestrator {
     }
 
     async processTelegramWebhook(update) {
-        if (update.message && update.message.text) {
-            const chatId = update.message.chat.id;
-            const text = update.message.text;
-            
-            // Check whitelist
-            const whitelist = process.env.TELEGRAM_CHAT_WHITELIST?.split(',') || [];
-            if (whitelist.length > 0 && !whitelist.includes(chatId.toString())) {
-                console.log(`⚠️ Telegram message from unauthorized chat: ${chatId}`);
-                return;
-            }
-
-            try {
-                const response = await this.generateAgentResponse('rika', text, {
-                    qosTier: this.intelligenceRouter?.qosTiers.interactive || { name: 'interactive', model: 'gpt-4' }
-                });
-
-                if (this.toolBroker?.providers.has('telegram')) {
-                    await this.toolBroker.callProvider('telegram', 'sendMessage', {
-                        chatId: chatId,
-                        text: response
-                    });
-                }
-            } catch (error) {
-                console.error('Telegram webhook processing failed:', error);
-            }
-        }
+        await this.telegramChannel?.handleUpdate(update);
     }
 
     // Utility Methods
@@ -745,10 +1174,6 @@ class RikaOrchestrator {
         };
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     // Server startup
     start() {
         const PORT = process.env.PORT || 3001;
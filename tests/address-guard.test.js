@@ -0,0 +1,89 @@
+const http = require('http');
+const { isPrivateAddress, assertPublicUrl } = require('../lib/address-guard');
+const web = require('../lib/providers/web');
+
+const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+describe('isPrivateAddress', () => {
+    test.each([
+        '127.0.0.1', '10.1.2.3', '172.31.255.255', '192.168.0.10', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd12:3456::1', 'fe80::1%eth0',
+        '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '::7f00:1', '::127.0.0.1', '64:ff9b::a00:1',
+        'not-an-address'
+    ])('%s is private', address => {
+        expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each(['93.184.216.34', '172.32.0.1', '2606:4700::1111', '::ffff:5db8:d822', '64:ff9b::5db8:d822'])('%s is public', address => {
+        expect(isPrivateAddress(address)).toBe(false);
+    });
+
+    test('every URL spelling of loopback resolves to a private host', () => {
+        // The URL parser folds these into the forms checked above
+        for (const url of ['http://[::ffff:127.0.0.1]/', 'http://[::127.0.0.1]/', 'http://2130706433/', 'http://0x7f.1/', 'http://017700000001/']) {
+            expect(isPrivateAddress(hostOf(url))).toBe(true);
+        }
+    });
+});
+
+describe('assertPublicUrl', () => {
+    test('refuses private literals and non-http schemes', async () => {
+        await expect(assertPublicUrl(new URL('http://[::ffff:127.0.0.1]:8080/admin'))).rejects.toThrow('Refusing to fetch private address');
+        await expect(assertPublicUrl(new URL('http://2130706433/'))).rejects.toThrow('Refusing to fetch private address');
+        await expect(assertPublicUrl(new URL('file:///etc/passwd'))).rejects.toThrow('Only http(s) pages can be fetched');
+    });
+
+    test('pins public literals and skips the check when private fetches are allowed', async () => {
+        await expect(assertPublicUrl(new URL('https://93.184.216.34/'))).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+        await expect(assertPublicUrl(new URL('http://127.0.0.1/'), { allowPrivate: true })).resolves.toBeNull();
+    });
+});
+
+describe('web fetchPage', () => {
+    let server;
+    let origin;
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                return res.end('User-agent: RIKA\nDisallow: /private\n');
+            }
+            if (req.url === '/go') {
+                res.writeHead(302, { Location: '/private/notes' });
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(`page at ${req.url}`);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            origin = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    }));
+
+    async function client(env = {}) {
+        const instance = await web.init({ WEB_FETCH_ALLOW_PRIVATE: 'true', ...env });
+        // Keep snapshots out of data/
+        instance.cache = { getFresh: () => null, put: page => ({ ...page, contentHash: 'test' }) };
+        return instance;
+    }
+
+    test('robots.txt is checked on the hop a redirect lands on', async () => {
+        await expect(web.operations.fetchPage(await client(), { url: `${origin}/go` }))
+            .rejects.toThrow(`robots.txt disallows fetching ${origin}/private/notes`);
+
+        const page = await web.operations.fetchPage(await client(), { url: `${origin}/public` });
+        expect(page.chunks.join('')).toBe('page at /public');
+    });
+
+    test('loopback is refused unless private fetches are allowed', async () => {
+        await expect(web.operations.fetchPage(await client({ WEB_FETCH_ALLOW_PRIVATE: 'false', WEB_FETCH_RESPECT_ROBOTS: 'false' }), { url: `${origin}/public` }))
+            .rejects.toThrow('Refusing to fetch private address');
+    });
+});
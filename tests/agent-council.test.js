@@ -0,0 +1,92 @@
+const AgentCouncil = require('../lib/agent-council');
+
+// Broker stand-in: each member answers with its scripted vote after its scripted delay
+function fakeBroker(script) {
+    const calls = [];
+    return {
+        calls,
+        callProvider(provider, operation, params, options) {
+            const member = options.context.agent;
+            const { vote, delayMs = 0, error } = script[member];
+            calls.push({ member, signal: options.signal });
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    if (error) {
+                        return reject(new Error(error));
+                    }
+                    resolve({ choices: [{ message: { content: JSON.stringify(vote) } }] });
+                }, delayMs);
+                options.signal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+                });
+            });
+        }
+    };
+}
+
+const vote = (recommendation, confidence = 1, flags = []) => ({ recommendation, confidence, flags, reason: `${recommendation} reason` });
+const counted = (member, weight, recommendation, confidence = 1) => ({ member, weight, recommendation, confidence, flags: [], reason: `${member} says ${recommendation}` });
+
+describe('AgentCouncil.aggregate', () => {
+    const council = new AgentCouncil(null, { deadlineMs: 50 });
+
+    test('without quorum the council does not decide', () => {
+        expect(council.aggregate([])).toMatchObject({ recommendation: 'proceed', reason: 'council_unavailable', score: null });
+        expect(council.aggregate([counted('echo', 0.5, 'block')])).toMatchObject({ recommendation: 'proceed', reason: 'no_quorum' });
+    });
+
+    test('votes are weighted by member weight and confidence', () => {
+        // (0.5 * 2 + 0.3 * 0) / 0.8 = 1.25 -> caution
+        expect(council.aggregate([counted('echo', 0.5, 'block'), counted('scout', 0.3, 'proceed')]))
+            .toMatchObject({ recommendation: 'caution', score: 1.25 });
+
+        // A hesitant block barely moves the mean: (0.5 * 0.2 * 2) / (0.1 + 0.3 + 0.2) = 0.33
+        expect(council.aggregate([counted('echo', 0.5, 'block', 0.2), counted('scout', 0.3, 'proceed'), counted('kibo', 0.2, 'proceed')]))
+            .toMatchObject({ recommendation: 'proceed', score: 0.33 });
+    });
+
+    test('a unanimous block blocks and takes the heaviest agreeing reason', () => {
+        const result = council.aggregate([counted('scout', 0.3, 'block'), counted('echo', 0.5, 'block')]);
+        expect(result).toMatchObject({ recommendation: 'block', score: 2, reason: 'echo says block' });
+    });
+});
+
+describe('AgentCouncil.review', () => {
+    test('late members are cancelled and left out of the vote', async () => {
+        const broker = fakeBroker({
+            echo: { vote: vote('block', 1, ['risky_action']) },
+            scout: { vote: vote('block') },
+            kibo: { vote: vote('proceed'), delayMs: 1000 }
+        });
+        const council = new AgentCouncil(broker, { deadlineMs: 50 });
+
+        const result = await council.review({ message: 'wire $5000', intent: { category: 'finance' }, targetAgent: 'mint' });
+
+        expect(result.recommendation).toBe('block');
+        expect(result.flags).toEqual(['risky_action']);
+        expect(result.quorum).toEqual({ required: 2, reported: 2, met: true });
+        expect(result.missing).toEqual([{ member: 'kibo', status: 'late' }]);
+        expect(result.withinBudget).toBe(false);
+        expect(broker.calls.find(call => call.member === 'kibo').signal.aborted).toBe(true);
+        expect(broker.calls.find(call => call.member === 'echo').signal.aborted).toBe(false);
+    });
+
+    test('failed and late members can cost the quorum', async () => {
+        const broker = fakeBroker({
+            echo: { vote: vote('block') },
+            scout: { error: 'bad gateway' },
+            kibo: { vote: vote('proceed'), delayMs: 1000 }
+        });
+        const council = new AgentCouncil(broker, { deadlineMs: 50 });
+
+        const result = await council.review({ message: 'wire $5000', intent: {}, targetAgent: 'mint' });
+
+        expect(result).toMatchObject({ recommendation: 'proceed', reason: 'no_quorum' });
+        expect(result.missing).toEqual([
+            { member: 'scout', status: 'failed', error: 'bad gateway' },
+            { member: 'kibo', status: 'late' }
+        ]);
+    });
+});
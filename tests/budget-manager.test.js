@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BudgetManager = require('../lib/budget-manager');
+
+const LIMITS = {
+    global: { daily: 1, monthly: null },
+    user: { default: { daily: 0.2, monthly: null }, overrides: { vip: { daily: 5 } } },
+    agent: { mint: { daily: 0.5 } },
+    tier: {}
+};
+
+let dir;
+let budget;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rika-budget-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    budget = new BudgetManager({ statePath: path.join(dir, 'state.json'), limits: LIMITS, thresholds: [50, 80, 100] });
+});
+
+afterEach(() => {
+    clearTimeout(budget.saveTimer);
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('BudgetManager.check', () => {
+    test('every scope the request touches needs room', () => {
+        budget.record(0.1, { userId: 'u1', agent: 'mint' });
+
+        const result = budget.check({ userId: 'u1', tier: 'interactive', costs: { mint: 0.15 } });
+
+        expect(result.allowed).toBe(false);
+        expect(result.exceeded.map(usage => usage.key)).toEqual(['user:u1']);
+        expect(result.tightest).toMatchObject({ key: 'user:u1', period: 'daily', ratio: 1.25 });
+        expect(budget.check({ userId: 'vip', costs: { mint: 0.15 } }).allowed).toBe(true);
+    });
+
+    test('open reservations count against the limit', () => {
+        const reservations = [{ estimatedCost: 0.4, actualCost: 0.1, scope: { userId: 'vip', costs: { mint: 0.4 } } }];
+
+        const result = budget.check({ userId: 'vip', costs: { mint: 0.25 } }, reservations);
+
+        expect(result.allowed).toBe(false);
+        expect(result.exceeded.map(usage => usage.key)).toEqual(['agent:mint']);
+        expect(result.exceeded[0].pending).toBeCloseTo(0.3);
+    });
+
+    test('flags requests that would take a scope past the downgrade share', () => {
+        budget.record(0.8);
+
+        expect(budget.check({ costs: { pulse: 0.05 } })).toMatchObject({ allowed: true, nearLimit: false });
+        expect(budget.check({ costs: { pulse: 0.12 } })).toMatchObject({ allowed: true, nearLimit: true });
+    });
+});
+
+describe('BudgetManager alerts', () => {
+    test('each threshold alerts once per scope and period', () => {
+        const alerts = [];
+        budget.on('budget_alert', alert => alerts.push(`${alert.key}@${alert.threshold}`));
+
+        budget.record(0.55);
+        budget.record(0.01);
+        budget.record(0.3);
+        budget.record(0.5);
+
+        expect(alerts).toEqual(['global@50', 'global@80', 'global@100']);
+    });
+
+    test('a jump past several thresholds sends only the highest', () => {
+        const alerts = [];
+        budget.on('budget_alert', alert => alerts.push(alert));
+
+        budget.record(0.19, { userId: 'u1' });
+
+        expect(alerts).toEqual([expect.objectContaining({ scope: 'user', id: 'u1', period: 'daily', threshold: 80, percent: 95 })]);
+    });
+});
+
+describe('BudgetManager.rollover', () => {
+    test('a new UTC day clears the daily spend and alerts but keeps the month', () => {
+        budget.record(0.6);
+        const now = new Date();
+        const tomorrow = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1, 0, 30));
+
+        expect(budget.rollover(now)).toBe(false);
+        expect(budget.rollover(tomorrow)).toBe(true);
+        expect(budget.spent('global', 'daily')).toBe(0);
+        expect(budget.state.daily.alerted).toEqual({});
+        expect(budget.spent('global', 'monthly')).toBe(tomorrow.getUTCMonth() === now.getUTCMonth() ? 0.6 : 0);
+    });
+
+    test('state is persisted and reloaded for the same period', () => {
+        budget.record(0.3, { userId: 'u1' });
+        budget.flush();
+
+        const restarted = new BudgetManager({ statePath: budget.statePath, limits: LIMITS });
+        expect(restarted.spent('user:u1', 'daily')).toBe(0.3);
+        expect(restarted.state.daily.alerted['global']).toBeUndefined();
+        expect(restarted.state.daily.alerted['user:u1']).toBe(100);
+    });
+});
@@ -0,0 +1,105 @@
+const CircuitBreaker = require('../lib/circuit-breaker');
+
+const { STATES, classifyError } = CircuitBreaker;
+const serverError = () => Object.assign(new Error('Bad gateway'), { status: 502 });
+
+describe('CircuitBreaker', () => {
+    test('opens after the failure threshold and refuses calls', () => {
+        const breaker = new CircuitBreaker('openai.chat', { failureThreshold: 3, resetTimeoutMs: 1000 });
+
+        breaker.recordFailure(serverError());
+        breaker.recordFailure(serverError());
+        expect(breaker.state).toBe(STATES.CLOSED);
+
+        breaker.recordFailure(serverError());
+        expect(breaker.state).toBe(STATES.OPEN);
+        expect(breaker.allowRequest()).toBe(false);
+        expect(breaker.retryAfterMs()).toBeGreaterThan(0);
+    });
+
+    test('a success resets the failure count', () => {
+        const breaker = new CircuitBreaker('openai.chat', { failureThreshold: 2 });
+
+        breaker.recordFailure(serverError());
+        breaker.recordSuccess();
+        breaker.recordFailure(serverError());
+        expect(breaker.state).toBe(STATES.CLOSED);
+    });
+
+    test('caller errors never open the circuit', () => {
+        const breaker = new CircuitBreaker('supabase.insert', { failureThreshold: 2 });
+
+        for (let i = 0; i < 5; i++) {
+            breaker.recordFailure(Object.assign(new Error('duplicate key'), { name: 'SupabaseError', status: 409, code: '23505' }));
+            breaker.recordFailure(new Error('Supabase insert needs rows'));
+        }
+        expect(breaker.state).toBe(STATES.CLOSED);
+        expect(breaker.failures).toBe(0);
+    });
+
+    describe('half-open', () => {
+        function halfOpen(options = {}) {
+            const breaker = new CircuitBreaker('openai.chat', { failureThreshold: 1, resetTimeoutMs: 1, ...options });
+            breaker.recordFailure(serverError());
+            breaker.openedAt = Date.now() - 10;
+            return breaker;
+        }
+
+        test('lets one probe through and closes on its success', () => {
+            const breaker = halfOpen();
+
+            expect(breaker.allowRequest()).toBe(true);
+            expect(breaker.state).toBe(STATES.HALF_OPEN);
+            expect(breaker.allowRequest()).toBe(false);
+
+            breaker.recordSuccess();
+            expect(breaker.state).toBe(STATES.CLOSED);
+        });
+
+        test('reopens when the probe fails', () => {
+            const breaker = halfOpen();
+
+            breaker.allowRequest();
+            breaker.recordFailure(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+            expect(breaker.state).toBe(STATES.OPEN);
+        });
+
+        test('an aborted probe frees its slot without deciding', () => {
+            const breaker = halfOpen();
+
+            breaker.allowRequest();
+            breaker.recordFailure(Object.assign(new Error('Request was aborted.'), { name: 'APIUserAbortError' }));
+            expect(breaker.state).toBe(STATES.HALF_OPEN);
+            expect(breaker.allowRequest()).toBe(true);
+        });
+
+        test('emits state changes', () => {
+            const changes = [];
+            const breaker = halfOpen();
+            breaker.on('state_change', change => changes.push(`${change.from}>${change.to}`));
+
+            breaker.allowRequest();
+            breaker.recordSuccess();
+            expect(changes).toEqual(['open>half-open', 'half-open>closed']);
+        });
+    });
+});
+
+describe('classifyError', () => {
+    test.each([
+        [{ status: 500 }, 'failure'],
+        [{ response: { status: 503 } }, 'failure'],
+        [{ statusCode: 408 }, 'failure'],
+        [{ code: 'ETIMEDOUT', message: 'connect ETIMEDOUT' }, 'failure'],
+        [{ name: 'APIConnectionTimeoutError', message: 'Request timed out.' }, 'failure'],
+        [{ message: 'TypeError: fetch failed' }, 'failure'],
+        [{ status: 400 }, 'caller'],
+        [{ response: { status: 404 } }, 'caller'],
+        [{ status: 429 }, 'caller'],
+        [{ message: 'Invalid credential name: lower' }, 'caller'],
+        [{ name: 'AbortError', message: 'This operation was aborted' }, 'aborted'],
+        [{ name: 'CanceledError', message: 'canceled' }, 'aborted']
+    ])('%j is a %s', (error, kind) => {
+        expect(classifyError(error)).toBe(kind);
+    });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CouncilGate = require('../lib/council-gate');
+
+let dir;
+let gate;
+
+const routing = (id, recommendation = 'caution') => ({
+    id,
+    targetAgent: 'mint',
+    councilAdvice: {
+        recommendation,
+        reason: 'large transfer',
+        flags: ['financial_risk'],
+        votes: [{ member: 'echo', focus: 'security', recommendation, flags: ['financial_risk'], reason: 'large transfer', confidence: 0.9 }]
+    }
+});
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rika-council-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gate = new CouncilGate({ timeoutMs: 50, overridesPath: path.join(dir, 'overrides.jsonl') });
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('CouncilGate', () => {
+    test('reads the verdict, treating no council check as proceed', () => {
+        expect(gate.verdict(routing('r1', 'block'))).toBe('block');
+        expect(gate.verdict(routing('r1', 'caution'))).toBe('caution');
+        expect(gate.verdict({ id: 'r1', councilAdvice: null })).toBe('proceed');
+    });
+
+    test('only the owner can confirm, and a confirmation is logged as an override', () => {
+        gate.hold('socket-a', routing('r1'), { message: 'wire $5000', userId: 'u1' });
+
+        expect(gate.resolve('socket-b', 'r1', 'confirm')).toBeNull();
+        const entry = gate.resolve('socket-a', 'r1', 'confirm');
+
+        expect(entry.routing.councilOverride).toBe(true);
+        expect(gate.resolve('socket-a', 'r1', 'confirm')).toBeNull();
+        expect(gate.getOverrides()).toEqual([expect.objectContaining({
+            routingId: 'r1', owner: 'socket-a', userId: 'u1', flags: ['financial_risk'], votes: [{ member: 'echo', recommendation: 'caution' }], message: 'wire $5000'
+        })]);
+    });
+
+    test('a declined request is released without an override', () => {
+        gate.hold('socket-a', routing('r1'), { message: 'wire $5000' });
+
+        expect(gate.resolve('socket-a', 'r1', 'decline').routing.councilOverride).toBeUndefined();
+        expect(gate.getOverrides()).toEqual([]);
+        expect(gate.getStatus()).toMatchObject({ pending: 0, held: 1, declined: 1, confirmed: 0 });
+    });
+
+    test('unanswered requests expire', async () => {
+        const onExpire = jest.fn();
+        gate.hold('chat-1', routing('r1'), { message: 'wire $5000' }, onExpire);
+
+        await new Promise(resolve => setTimeout(resolve, 80));
+
+        expect(onExpire).toHaveBeenCalledWith(expect.objectContaining({ owner: 'chat-1' }));
+        expect(gate.resolve('chat-1', 'r1', 'confirm')).toBeNull();
+        expect(gate.getStatus()).toMatchObject({ pending: 0, expired: 1 });
+    });
+
+    test('latestFor finds the newest held request, dropOwner clears them all', () => {
+        gate.hold('chat-1', routing('r1'), { message: 'first' });
+        gate.pending.get('r1').expiresAt -= 10;
+        gate.hold('chat-1', routing('r2'), { message: 'second' });
+        gate.hold('chat-2', routing('r3'), { message: 'other' });
+
+        expect(gate.latestFor('chat-1')).toBe('r2');
+        expect(gate.dropOwner('chat-1').map(entry => entry.routing.id)).toEqual(['r1', 'r2']);
+        expect(gate.latestFor('chat-1')).toBeNull();
+        expect(gate.pending.size).toBe(1);
+        gate.dropOwner('chat-2');
+    });
+});
@@ -0,0 +1,64 @@
+const { renderString, renderTemplate, extractJsonPath, findSecretRefs } = require('../lib/http-template');
+
+const scope = {
+    baseUrl: 'https://api.example.com/v1',
+    params: { city: 'São Paulo & more', days: 3, filters: { units: 'metric' }, ids: [4, 5] },
+    secrets: { WEATHER_KEY: 'k-123' }
+};
+
+describe('renderString', () => {
+    test('interpolates paths and leaves missing values empty', () => {
+        expect(renderString('{{ params.city }} for {{params.days}} days{{params.missing}}', scope)).toBe('São Paulo & more for 3 days');
+        expect(renderString('first id {{params.ids[0]}}', scope)).toBe('first id 4');
+    });
+
+    test('encodes caller params in URLs but not trusted config', () => {
+        expect(renderString('{{baseUrl}}/forecast?q={{params.city}}', scope, { encodeParams: true }))
+            .toBe('https://api.example.com/v1/forecast?q=S%C3%A3o%20Paulo%20%26%20more');
+    });
+});
+
+describe('renderTemplate', () => {
+    test('a whole placeholder keeps the value type', () => {
+        expect(renderTemplate({
+            days: '{{params.days}}',
+            filters: '{{ params.filters }}',
+            label: 'Forecast for {{params.city}}',
+            key: '{{secrets.WEATHER_KEY}}',
+            list: ['{{params.ids}}', 'x'],
+            dropped: '{{params.missing}}'
+        }, scope)).toEqual({
+            days: 3,
+            filters: { units: 'metric' },
+            label: 'Forecast for São Paulo & more',
+            key: 'k-123',
+            list: [[4, 5], 'x']
+        });
+    });
+});
+
+describe('extractJsonPath', () => {
+    const data = { data: { items: [{ name: 'first' }, { name: 'second' }] } };
+
+    test('resolves $ and dotted paths with indexes', () => {
+        expect(extractJsonPath(data, '$')).toBe(data);
+        expect(extractJsonPath(data, undefined)).toBe(data);
+        expect(extractJsonPath(data, '$.data.items[1].name')).toBe('second');
+        expect(extractJsonPath(data, '$.data.nothing.here')).toBeUndefined();
+    });
+
+    test('rejects paths that are not rooted at $', () => {
+        expect(() => extractJsonPath(data, 'data.items')).toThrow('Unsupported JSON path: data.items');
+    });
+});
+
+describe('findSecretRefs', () => {
+    test('lists each secret referenced anywhere in the template once', () => {
+        expect(findSecretRefs({
+            headers: { Authorization: 'Bearer {{secrets.API_TOKEN}}' },
+            query: { key: '{{ secrets.WEATHER_KEY }}', again: '{{secrets.API_TOKEN}}' },
+            city: '{{params.city}}'
+        }).sort()).toEqual(['API_TOKEN', 'WEATHER_KEY']);
+        expect(findSecretRefs('{{baseUrl}}/ping')).toEqual([]);
+    });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IdempotencyStore = require('../lib/idempotency-store');
+
+let dir;
+let store;
+
+const timeout = () => Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+const rejected = () => Object.assign(new Error('Invalid phone number'), { status: 400 });
+const reopen = () => new IdempotencyStore({ filePath: store.filePath });
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rika-idempotency-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = new IdempotencyStore({ filePath: path.join(dir, 'idempotency.json') });
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('IdempotencyStore.run', () => {
+    test('a completed key replays its result, also after a restart', async () => {
+        const execute = jest.fn(async () => ({ sid: 'SM1' }));
+
+        expect(await store.run('sms:1', 'twilio', 'sendSMS', execute)).toEqual({ result: { sid: 'SM1' }, replayed: false });
+        expect(await store.run('sms:1', 'twilio', 'sendSMS', execute)).toEqual({ result: { sid: 'SM1' }, replayed: true });
+        expect(await reopen().run('sms:1', 'twilio', 'sendSMS', execute)).toEqual({ result: { sid: 'SM1' }, replayed: true });
+        expect(execute).toHaveBeenCalledTimes(1);
+    });
+
+    test('concurrent callers with the same key share one attempt', async () => {
+        const execute = jest.fn(() => new Promise(resolve => setTimeout(() => resolve({ ok: true }), 10)));
+
+        const [first, second] = await Promise.all([
+            store.run('k', 'telegram', 'sendMessage', execute),
+            store.run('k', 'telegram', 'sendMessage', execute)
+        ]);
+
+        expect(execute).toHaveBeenCalledTimes(1);
+        expect([first.replayed, second.replayed]).toEqual([false, true]);
+    });
+
+    test('a call the provider rejected can be tried again', async () => {
+        await expect(store.run('k', 'twilio', 'sendSMS', () => Promise.reject(rejected()))).rejects.toThrow('Invalid phone number');
+
+        expect(store.get('k')).toBeNull();
+        await expect(store.run('k', 'twilio', 'sendSMS', async () => 'sent')).resolves.toEqual({ result: 'sent', replayed: false });
+    });
+
+    test('an unconfirmed call leaves the key in doubt, and it is never run again', async () => {
+        const execute = jest.fn(() => Promise.reject(timeout()));
+
+        await expect(store.run('k', 'twilio', 'sendSMS', execute)).rejects.toThrow('timeout of 10000ms exceeded');
+        await expect(store.run('k', 'twilio', 'sendSMS', execute)).rejects.toMatchObject({ code: 'IDEMPOTENCY_IN_DOUBT' });
+        await expect(reopen().run('k', 'twilio', 'sendSMS', execute)).rejects.toThrow('twilio.sendSMS for key k may already have been sent');
+
+        expect(execute).toHaveBeenCalledTimes(1);
+        expect(store.getStats()).toMatchObject({ completedKeys: 0, inDoubtKeys: 1 });
+    });
+
+    test('an operator can release an in-doubt key', async () => {
+        await expect(store.run('k', 'twilio', 'sendSMS', () => Promise.reject(timeout()))).rejects.toThrow();
+
+        expect(store.forget('k')).toBe(true);
+        await expect(reopen().run('k', 'twilio', 'sendSMS', async () => 'sent')).resolves.toMatchObject({ replayed: false });
+    });
+
+    test('entries older than the TTL are dropped', async () => {
+        await store.run('k', 'twilio', 'sendSMS', async () => 'sent');
+        store.entries.get('k').completedAt -= store.ttlMs + 1;
+
+        expect(store.get('k')).toBeNull();
+    });
+});
+
+describe('IdempotencyStore.wasRejected', () => {
+    test.each([
+        [{ status: 400 }, true],
+        [{ response: { status: 403 } }, true],
+        [{ code: 'ECONNREFUSED' }, true],
+        [{ status: 408 }, false],
+        [{ status: 502 }, false],
+        [{ code: 'ECONNRESET' }, false],
+        [{ name: 'AbortError' }, false]
+    ])('%j -> %s', (error, expected) => {
+        expect(IdempotencyStore.wasRejected(error)).toBe(expected);
+    });
+});
+
+describe('IdempotencyStore.deriveKey', () => {
+    test('is stable under key order and differs per scope', () => {
+        const key = IdempotencyStore.deriveKey('r1', 'twilio', 'sendSMS', { to: '+1', body: 'hi' });
+
+        expect(key).toMatch(/^auto:[a-f0-9]{32}$/);
+        expect(IdempotencyStore.deriveKey('r1', 'twilio', 'sendSMS', { body: 'hi', to: '+1' })).toBe(key);
+        expect(IdempotencyStore.deriveKey('r2', 'twilio', 'sendSMS', { to: '+1', body: 'hi' })).not.toBe(key);
+    });
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalIntentClassifier, trainModel, tokenize } = require('../lib/intent-classifier');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rika-intent-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+function classifierWith(examples) {
+    const modelPath = path.join(dir, 'model.json');
+    if (examples) {
+        // Trained in the past so labels learned during the test count as newer
+        fs.writeFileSync(modelPath, JSON.stringify({ ...trainModel(examples), trainedAt: '2020-01-01T00:00:00.000Z' }));
+    }
+    return new LocalIntentClassifier({ modelPath, historyPath: path.join(dir, 'history.jsonl') });
+}
+
+describe('tokenize', () => {
+    test('drops stopwords and adds bigrams', () => {
+        expect(tokenize('How do I lose weight fast?')).toEqual(['lose', 'weight', 'fast', 'lose_weight', 'weight_fast']);
+    });
+});
+
+describe('LocalIntentClassifier', () => {
+    test('without a model, rules decide but are never certain', () => {
+        const classifier = classifierWith(null);
+
+        expect(classifier.classify('my password was leaked!!')).toMatchObject({ category: 'security', confidence: 0.8, urgency: 'high', source: 'local' });
+        expect(classifier.classify('xyzzy plugh')).toMatchObject({ category: 'general', confidence: 0.3, complexity: 'simple' });
+    });
+
+    test('the model carries messages no rule covers', () => {
+        const classifier = classifierWith([
+            { text: 'deadlift form and hypertrophy sets', category: 'fitness' },
+            { text: 'hypertrophy block with deadlift progression', category: 'fitness' },
+            { text: 'roth conversion and brokerage allocation', category: 'finance' },
+            { text: 'brokerage allocation rebalancing', category: 'finance' }
+        ]);
+
+        expect(classifier.classify('hypertrophy deadlift').category).toBe('fitness');
+        expect(classifier.classify('brokerage allocation').category).toBe('finance');
+    });
+
+    test('learned labels are kept and replayed by the next instance', () => {
+        const classifier = classifierWith([{ text: 'deadlift form', category: 'fitness' }]);
+
+        expect(classifier.learn('kanban board for my zine', 'nonsense', 'clarification')).toBe(false);
+        expect(classifier.learn('kanban board for my zine', 'content', 'clarification')).toBe(true);
+
+        const restarted = classifierWith(null);
+        expect(restarted.getStats()).toMatchObject({ modelExamples: 2, learnedSinceTraining: 1 });
+        expect(restarted.classify('kanban zine').category).toBe('content');
+    });
+});
@@ -0,0 +1,41 @@
+const { matchesFilter } = require('../lib/metadata-filter');
+
+const memory = { agent: 'scout', category: 'research', score: 7, tags: ['ai', 'papers'], userId: 'u1' };
+
+describe('matchesFilter', () => {
+    test('no filter matches everything', () => {
+        expect(matchesFilter(memory, undefined)).toBe(true);
+        expect(matchesFilter(memory, {})).toBe(true);
+    });
+
+    test('plain values are equality, list metadata matches any element', () => {
+        expect(matchesFilter(memory, { agent: 'scout' })).toBe(true);
+        expect(matchesFilter(memory, { agent: 'echo' })).toBe(false);
+        expect(matchesFilter(memory, { tags: 'ai' })).toBe(true);
+    });
+
+    test('comparison operators', () => {
+        expect(matchesFilter(memory, { score: { $gte: 7, $lt: 10 } })).toBe(true);
+        expect(matchesFilter(memory, { score: { $gt: 7 } })).toBe(false);
+        expect(matchesFilter(memory, { agent: { $ne: 'echo' } })).toBe(true);
+        expect(matchesFilter(memory, { agent: { $in: ['echo', 'scout'] } })).toBe(true);
+        expect(matchesFilter(memory, { tags: { $nin: ['papers'] } })).toBe(false);
+    });
+
+    test('missing fields only satisfy negative operators', () => {
+        expect(matchesFilter(memory, { channel: { $eq: 'telegram' } })).toBe(false);
+        expect(matchesFilter(memory, { channel: { $ne: 'telegram' } })).toBe(true);
+        expect(matchesFilter(memory, { channel: { $exists: false } })).toBe(true);
+        expect(matchesFilter(memory, { userId: { $exists: true } })).toBe(true);
+    });
+
+    test('$and and $or combine clauses', () => {
+        expect(matchesFilter(memory, { $and: [{ agent: 'scout' }, { score: { $gt: 5 } }] })).toBe(true);
+        expect(matchesFilter(memory, { $or: [{ agent: 'echo' }, { category: 'research' }] })).toBe(true);
+        expect(matchesFilter(memory, { $or: [{ agent: 'echo' }, { category: 'finance' }] })).toBe(false);
+    });
+
+    test('unknown operators are an error, not a silent match', () => {
+        expect(() => matchesFilter(memory, { score: { $regex: '7' } })).toThrow('Unsupported metadata filter operator: $regex');
+    });
+});
@@ -0,0 +1,62 @@
+const ProviderLimiter = require('../lib/provider-limiter');
+
+describe('ProviderLimiter', () => {
+    test('waiting calls are granted by priority, then arrival', async () => {
+        const limiter = new ProviderLimiter('openai', { maxConcurrent: 1 });
+        const order = [];
+
+        const releaseFirst = await limiter.acquire(2);
+        const waiting = [
+            ['batch-1', 3],
+            ['interactive-1', 2],
+            ['realtime-1', 1],
+            ['batch-2', 3],
+            ['realtime-2', 1]
+        ].map(([name, priority]) => limiter.acquire(priority).then(release => {
+            order.push(name);
+            release();
+        }));
+
+        expect(limiter.getMetrics().queuedByPriority).toEqual({ 1: 2, 2: 1, 3: 2 });
+        releaseFirst();
+        await Promise.all(waiting);
+
+        expect(order).toEqual(['realtime-1', 'realtime-2', 'interactive-1', 'batch-1', 'batch-2']);
+        expect(limiter.getMetrics()).toMatchObject({ active: 0, queueDepth: 0, granted: 6 });
+    });
+
+    test('respects the concurrency limit', async () => {
+        const limiter = new ProviderLimiter('twilio', { maxConcurrent: 2 });
+
+        const first = await limiter.acquire();
+        await limiter.acquire();
+        let third = null;
+        const pending = limiter.acquire().then(release => { third = release; });
+
+        await new Promise(resolve => setImmediate(resolve));
+        expect(third).toBeNull();
+        expect(limiter.getMetrics().active).toBe(2);
+
+        first();
+        first(); // releasing twice frees one slot only
+        await pending;
+        expect(limiter.getMetrics().active).toBe(2);
+    });
+
+    test('times out callers that wait too long', async () => {
+        const limiter = new ProviderLimiter('brave', { maxConcurrent: 1 });
+        await limiter.acquire();
+
+        await expect(limiter.acquire(2, 20)).rejects.toThrow('Timed out after 20ms waiting for brave');
+        expect(limiter.getMetrics()).toMatchObject({ queueDepth: 0, timedOut: 1 });
+    });
+
+    test('rejects when the queue is full', async () => {
+        const limiter = new ProviderLimiter('brave', { maxConcurrent: 1, maxQueueSize: 1 });
+        await limiter.acquire();
+        const queued = limiter.acquire(2, 50).catch(() => {});
+
+        await expect(limiter.acquire()).rejects.toThrow('Queue full for brave');
+        await queued;
+    });
+});
@@ -0,0 +1,64 @@
+const { parseRobots, isAllowed } = require('../lib/robots-txt');
+
+const ROBOTS = `
+# Generic rules
+User-agent: *
+Disallow: /private
+Allow: /private/press
+
+User-agent: Mozilla
+Disallow: /
+
+User-agent: rika
+User-agent: OtherBot
+Disallow: /drafts
+Allow: /drafts/public$
+
+User-agent: RIKA
+Disallow: /*.pdf$
+`;
+
+describe('parseRobots', () => {
+    test('groups consecutive user-agent lines and skips comments', () => {
+        const groups = parseRobots(ROBOTS);
+
+        expect(groups.map(group => group.agents)).toEqual([['*'], ['mozilla'], ['rika', 'otherbot'], ['rika']]);
+        expect(groups[0].rules).toEqual([{ allow: false, path: '/private' }, { allow: true, path: '/private/press' }]);
+    });
+
+    test('empty or missing files have no groups', () => {
+        expect(parseRobots('')).toEqual([]);
+        expect(parseRobots(undefined)).toEqual([]);
+    });
+});
+
+describe('isAllowed', () => {
+    const groups = parseRobots(ROBOTS);
+
+    test('our product token picks its groups, combined, case-insensitively', () => {
+        expect(isAllowed(groups, 'RIKA', '/drafts/today')).toBe(false);
+        expect(isAllowed(groups, 'Rika', '/report.pdf')).toBe(false);
+        expect(isAllowed(groups, 'RIKA', '/private')).toBe(true);
+    });
+
+    test('$ anchors the end of the path', () => {
+        expect(isAllowed(groups, 'RIKA', '/drafts/public')).toBe(true);
+        expect(isAllowed(groups, 'RIKA', '/drafts/public/more')).toBe(false);
+    });
+
+    test('tokens only match whole, so unrelated groups do not apply', () => {
+        // Would have matched "mozilla" (and been shut out) as a substring of a browser-like header
+        expect(isAllowed(groups, 'Mozilla/5.0 (compatible; RIKA/3.0)', '/about')).toBe(true);
+        expect(isAllowed(groups, 'rik', '/drafts/today')).toBe(true);
+    });
+
+    test('other agents fall back to *, where the longest rule wins', () => {
+        expect(isAllowed(groups, 'SomeBot', '/private/notes')).toBe(false);
+        expect(isAllowed(groups, 'SomeBot', '/private/press/2024')).toBe(true);
+    });
+
+    test('ties go to Allow, and no groups allow everything', () => {
+        expect(isAllowed(parseRobots('User-agent: *\nDisallow: /a\nAllow: /a'), 'RIKA', '/a')).toBe(true);
+        expect(isAllowed([], 'RIKA', '/anything')).toBe(true);
+    });
+});
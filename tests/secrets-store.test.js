@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecretsStore = require('../lib/secrets-store');
+
+const KEY = 'test-encryption-key-0123456789';
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rika-secrets-'));
+    filePath = path.join(dir, 'secrets.enc.json');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('SecretsStore', () => {
+    test('needs an encryption key', () => {
+        expect(() => new SecretsStore({ encryptionKey: 'short', filePath })).toThrow('ENCRYPTION_KEY must be set');
+    });
+
+    test('values are sealed on disk and only readable with the same key', () => {
+        new SecretsStore({ encryptionKey: KEY, filePath }).set('openai', { OPENAI_API_KEY: 'sk-secret-value' });
+
+        expect(fs.readFileSync(filePath, 'utf8')).not.toContain('sk-secret-value');
+        expect(new SecretsStore({ encryptionKey: KEY, filePath }).get('openai')).toEqual({ OPENAI_API_KEY: 'sk-secret-value' });
+        expect(() => new SecretsStore({ encryptionKey: `${KEY}-other`, filePath }).get('openai')).toThrow('wrong ENCRYPTION_KEY');
+    });
+
+    test('set merges, rotate replaces, and describe never shows values', () => {
+        const store = new SecretsStore({ encryptionKey: KEY, filePath });
+
+        store.set('twilio', { TWILIO_ACCOUNT_SID: 'AC1', TWILIO_AUTH_TOKEN: 't1' });
+        store.set('twilio', { TWILIO_PHONE_NUMBER: '+15550001' });
+        expect(store.get('twilio')).toEqual({ TWILIO_ACCOUNT_SID: 'AC1', TWILIO_AUTH_TOKEN: 't1', TWILIO_PHONE_NUMBER: '+15550001' });
+
+        const described = store.rotate('twilio', { TWILIO_ACCOUNT_SID: 'AC2', TWILIO_AUTH_TOKEN: 't2' });
+        expect(store.get('twilio')).toEqual({ TWILIO_ACCOUNT_SID: 'AC2', TWILIO_AUTH_TOKEN: 't2' });
+        expect(described).toMatchObject({ provider: 'twilio', names: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN'], version: 3, revoked: false });
+        expect(JSON.stringify(store.list())).not.toContain('t2');
+    });
+
+    test('rollback swaps back to the previous set, twice undoes it', () => {
+        const store = new SecretsStore({ encryptionKey: KEY, filePath });
+        expect(() => store.rollback('brave')).toThrow('No previous credentials stored for brave');
+
+        store.rotate('brave', { BRAVE_API_KEY: 'old' });
+        store.rotate('brave', { BRAVE_API_KEY: 'new' });
+
+        store.rollback('brave');
+        expect(store.get('brave')).toEqual({ BRAVE_API_KEY: 'old' });
+        store.rollback('brave');
+        expect(store.get('brave')).toEqual({ BRAVE_API_KEY: 'new' });
+    });
+
+    test('revoked credentials read as none and cannot be rolled back', () => {
+        const store = new SecretsStore({ encryptionKey: KEY, filePath });
+        store.rotate('brave', { BRAVE_API_KEY: 'old' });
+        store.rotate('brave', { BRAVE_API_KEY: 'new' });
+
+        expect(store.revoke('brave')).toMatchObject({ revoked: true, names: [] });
+        expect(store.isRevoked('brave')).toBe(true);
+        expect(store.get('brave')).toBeNull();
+        expect(() => store.rollback('brave')).toThrow('No previous credentials');
+    });
+
+    test('rejects names that are not environment-style and empty values', () => {
+        const store = new SecretsStore({ encryptionKey: KEY, filePath });
+
+        expect(() => store.set('openai', {})).toThrow('Credentials must be an object');
+        expect(() => store.set('openai', { openai_key: 'x' })).toThrow('Invalid credential name: openai_key');
+        expect(() => store.set('openai', { OPENAI_API_KEY: '' })).toThrow('Credential OPENAI_API_KEY must be a non-empty string');
+        expect(fs.existsSync(filePath)).toBe(false);
+    });
+});
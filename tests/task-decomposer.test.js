@@ -0,0 +1,67 @@
+const TaskDecomposer = require('../lib/task-decomposer');
+const PlanExecutor = require('../lib/plan-executor');
+
+const CATEGORY_AGENTS = { fitness: 'pulse', finance: 'mint', learning: 'kibo', research: 'scout', general: 'rika' };
+
+// Classifier stand-in: one keyword per category, anything else is a weak general guess
+const KEYWORDS = { fitness: /\b(gym|run)\b/i, finance: /\$|\bbudget\b/i, learning: /\bspanish\b/i, research: /\bflights\b/i };
+const classifier = {
+    classify(text) {
+        const match = Object.entries(KEYWORDS).find(([, pattern]) => pattern.test(text));
+        return match ? { category: match[0], confidence: 0.9 } : { category: 'general', confidence: 0.3 };
+    }
+};
+
+function decomposer() {
+    return new TaskDecomposer({ hasService: () => false }, classifier, CATEGORY_AGENTS);
+}
+
+describe('TaskDecomposer.localPlan', () => {
+    test('splits a compound request per specialist and shares the goal', () => {
+        const plan = decomposer().localPlan('plan my week: gym three times, stay under $200, and learn Spanish basics');
+
+        expect(plan.goal).toBe('plan my week');
+        expect(plan.source).toBe('local');
+        expect(plan.subtasks.map(({ id, agentId, task, dependsOn }) => ({ id, agentId, task, dependsOn }))).toEqual([
+            { id: 't1', agentId: 'pulse', task: 'plan my week: gym three times', dependsOn: [] },
+            { id: 't2', agentId: 'mint', task: 'plan my week: stay under $200', dependsOn: [] },
+            { id: 't3', agentId: 'kibo', task: 'plan my week: learn Spanish basics', dependsOn: [] }
+        ]);
+    });
+
+    test('"then" makes a subtask depend on the one before it', () => {
+        const plan = decomposer().localPlan('find flights to Lisbon, then budget the trip');
+
+        expect(plan.subtasks.map(subtask => [subtask.agentId, subtask.dependsOn])).toEqual([['scout', []], ['mint', ['t1']]]);
+    });
+
+    test('weak clauses stay with the subtask before them', () => {
+        const plan = decomposer().localPlan('gym three times and make it fun, and learn Spanish basics');
+
+        expect(plan.subtasks.map(subtask => subtask.task)).toEqual(['gym three times, make it fun', 'learn Spanish basics']);
+    });
+
+    test('a request for one specialist is not a plan', async () => {
+        expect(decomposer().localPlan('gym on monday and run on friday')).toBeNull();
+        await expect(decomposer().decompose('what is a good budget app?')).resolves.toBeNull();
+    });
+});
+
+describe('PlanExecutor.orderWaves', () => {
+    const task = (id, dependsOn = []) => ({ id, dependsOn });
+    const ids = waves => waves.map(wave => wave.map(subtask => subtask.id));
+
+    test('independent subtasks share a wave, dependents wait for theirs', () => {
+        expect(ids(PlanExecutor.orderWaves([task('t1'), task('t2', ['t1']), task('t3'), task('t4', ['t2', 't3'])])))
+            .toEqual([['t1', 't3'], ['t2'], ['t4']]);
+    });
+
+    test('unknown dependencies are ignored', () => {
+        expect(ids(PlanExecutor.orderWaves([task('t1', ['t9']), task('t2')]))).toEqual([['t1', 't2']]);
+    });
+
+    test('a cycle runs together instead of never', () => {
+        expect(ids(PlanExecutor.orderWaves([task('t1'), task('t2', ['t3']), task('t3', ['t2'])])))
+            .toEqual([['t1'], ['t2', 't3']]);
+    });
+});
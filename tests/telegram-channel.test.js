@@ -0,0 +1,94 @@
+const TelegramChannel = require('../lib/telegram-channel');
+const IntelligenceRouter = require('../lib/intelligence-router');
+
+function channel(router = {}) {
+    const sent = [];
+    const toolBroker = {
+        providers: new Map([['telegram', {}]]),
+        async callProvider(provider, operation, params) {
+            if (operation === 'sendMessage') {
+                sent.push(`${params.chatId}: ${params.text}`);
+            }
+        }
+    };
+    const instance = new TelegramChannel({ toolBroker, router, conversations: new Map(), agents: new Map() });
+    return { instance, sent };
+}
+
+const update = (id, chatId, text) => ({ update_id: id, message: { chat: { id: chatId }, text } });
+
+describe('TelegramChannel', () => {
+    beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    test('a redelivered update is answered once', async () => {
+        const { instance, sent } = channel();
+        instance.answer = jest.fn(async text => `echo ${text}`);
+
+        await instance.handleUpdate(update(7, 1, 'hello'));
+        await instance.handleUpdate(update(7, 1, 'hello'));
+
+        expect(instance.answer).toHaveBeenCalledTimes(1);
+        expect(sent).toEqual(['1: echo hello']);
+    });
+
+    test('messages of one chat are answered in order, other chats do not wait', async () => {
+        const { instance, sent } = channel();
+        const delays = { slow: 40, fast: 0, other: 0 };
+        instance.answer = text => new Promise(resolve => setTimeout(() => resolve(`re ${text}`), delays[text]));
+
+        await Promise.all([
+            instance.handleUpdate(update(1, 1, 'slow')),
+            instance.handleUpdate(update(2, 1, 'fast')),
+            instance.handleUpdate(update(3, 2, 'other'))
+        ]);
+
+        expect(sent).toEqual(['2: re other', '1: re slow', '1: re fast']);
+        expect(instance.chatQueues.size).toBe(0);
+    });
+
+    test('pins are kept per chat and cleared by /reset', async () => {
+        const router = new IntelligenceRouter({ on() {}, hasService: () => false });
+        const { instance, sent } = channel(router);
+
+        await instance.handleUpdate(update(1, 1, '/pin I am vegetarian'));
+        await instance.handleUpdate(update(2, 2, '/pin allergic to peanuts'));
+
+        expect(router.pinsFor('telegram:1').map(pin => pin.text)).toEqual(['I am vegetarian']);
+        expect(router.pinsFor('telegram:2').map(pin => pin.text)).toEqual(['allergic to peanuts']);
+        expect(router.pinsFor(undefined)).toEqual([]);
+
+        await instance.handleUpdate(update(3, 1, '/reset'));
+        expect(router.pinsFor('telegram:1')).toEqual([]);
+        expect(router.pinsFor('telegram:2')).toHaveLength(1);
+        expect(sent[0]).toBe('1: 📌 Pinned: I am vegetarian');
+    });
+});
+
+describe('IntelligenceRouter pins', () => {
+    test('each user keeps only the newest notes', () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const router = new IntelligenceRouter({ on() {}, hasService: () => false });
+
+        for (let i = 1; i <= 25; i++) {
+            router.pinToMemory('u1', { text: `note ${i}` });
+        }
+
+        const pins = router.pinsFor('u1');
+        expect(pins).toHaveLength(20);
+        expect(pins[0].text).toBe('note 6');
+        expect(() => router.pinToMemory(null, { text: 'orphan' })).toThrow('Pinning needs a userId');
+        jest.restoreAllMocks();
+    });
+});
+
+describe('TelegramChannel.respond', () => {
+    test('a failed answer still releases its cost reservation', async () => {
+        const router = { reconcileCost: jest.fn() };
+        const { instance } = channel(router);
+        instance.executeRouting = () => Promise.reject(new Error('bad gateway'));
+
+        await expect(instance.respond('hi', { id: 'r1', targetAgent: 'rika' }, instance.getConversation('1'))).rejects.toThrow('bad gateway');
+        expect(router.reconcileCost).toHaveBeenCalledWith('r1');
+    });
+});